@@ -35,5 +35,14 @@ module.exports = tseslint.config(
             '@stylistic/comma-dangle': 'off',
             '@stylistic/eol-last': 'off',
         },
+    },
+    {
+        files: ['test/**/*.js'],
+
+        languageOptions: {
+            globals: {
+                ...globals.jest,
+            },
+        },
     }
 );
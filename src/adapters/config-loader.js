@@ -7,13 +7,25 @@ const vscode = require('vscode');
 const fs = require('fs').promises;
 const path = require('path');
 const { logger } = require('../utils/logger');
+const { isRemoteUriPath } = require('../utils/remote-uri');
+const credentialStore = require('./credential-store');
 
 // 全局配置缓存
 let configCache = null;
-let workspaceConfigCache = null;
+// 各工作区文件夹配置文件的缓存，键为文件夹URI
+const folderConfigCache = new Map();
 let lastLoadTime = 0;
 const CACHE_TTL = 1000; // 1秒缓存有效期
 
+/**
+ * 判断当前工作区是否受信任
+ * 未信任的工作区中不读取工作区设置和 .smartssh-smba.json，其中的服务器、跳板机和命令可能来自克隆的仓库
+ * @returns {boolean} - 是否受信任
+ */
+function isWorkspaceTrusted() {
+  return vscode.workspace.isTrusted !== false;
+}
+
 /**
  * 获取扩展配置
  * @returns {Object} - 配置对象
@@ -36,8 +48,8 @@ function getConfig() {
       customCommands: [],
     };
 
-    // 获取工作区配置
-    const workspaceConfig = config.inspect('config').workspaceValue || {
+    // 获取工作区配置，受限模式（未信任的工作区）中忽略，避免仓库中的设置添加服务器或命令
+    const workspaceConfig = (isWorkspaceTrusted() && config.inspect('config').workspaceValue) || {
       showHostsInPickLists: false,
       serverList: [],
       customCommands: [],
@@ -46,7 +58,17 @@ function getConfig() {
     // 合并配置，模拟原始loadConfig功能
     const integratedConfig = {
       showHostsInPickLists: workspaceConfig.showHostsInPickLists || globalConfig.showHostsInPickLists || false,
-      serverList: [...(globalConfig.serverList || []), ...(workspaceConfig.serverList || [])],
+      passwordPromptTimeout: workspaceConfig.passwordPromptTimeout || globalConfig.passwordPromptTimeout,
+      serverAliveInterval: workspaceConfig.serverAliveInterval ?? globalConfig.serverAliveInterval,
+      serverAliveCountMax: workspaceConfig.serverAliveCountMax ?? globalConfig.serverAliveCountMax,
+      trackRemoteCwd: workspaceConfig.trackRemoteCwd ?? globalConfig.trackRemoteCwd,
+      buildCommand: workspaceConfig.buildCommand || globalConfig.buildCommand,
+      buildDefaultSeverity: workspaceConfig.buildDefaultSeverity || globalConfig.buildDefaultSeverity,
+      unmappedPathAction: workspaceConfig.unmappedPathAction || globalConfig.unmappedPathAction,
+      scpLegacyProtocol: workspaceConfig.scpLegacyProtocol ?? globalConfig.scpLegacyProtocol,
+      // 工作区的链接模式优先于全局的链接模式
+      linkPatterns: [...(workspaceConfig.linkPatterns || []), ...(globalConfig.linkPatterns || [])],
+      serverList: mergeFolderServers([...(globalConfig.serverList || []), ...(workspaceConfig.serverList || [])]),
       // 确保全局命令不包含工作区标识
       customCommands: (globalConfig.customCommands || []).map(cmd => ({
         ...cmd,
@@ -148,6 +170,74 @@ function getServerList() {
   }
 }
 
+/**
+ * 解析服务器的凭据
+ * 返回服务器配置的副本，密码从 SecretStorage 中读取；settings.json 中遗留的明文密码仅作为后备
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<Object>} - 包含凭据的服务器配置
+ */
+async function resolveServerSecrets(server) {
+  if (!server) {
+    return server;
+  }
+
+  const password = await credentialStore.getPassword(server.name);
+  if (password) {
+    return { ...server, password };
+  }
+
+  if (server.password) {
+    logger.warn(`服务器 ${server.name} 的密码以明文保存在设置中，建议迁移到安全存储`);
+  }
+  return { ...server };
+}
+
+/**
+ * 根据名称获取服务器配置（连接时使用，已解析凭据）
+ * @param {string} name - 服务器名称
+ * @returns {Promise<Object|null>} - 服务器配置，如果未找到则返回null
+ */
+async function getServerByName(name) {
+  try {
+    const server = getServerList().find(s => s.name === name);
+    if (!server) {
+      return null;
+    }
+    return await resolveServerSecrets(server);
+  } catch (error) {
+    logger.error(`获取服务器 ${name} 时出错: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 获取在 settings.json 中以明文保存密码的服务器
+ * @returns {Array} - 服务器列表，每项包含 name、password 和 workspace（是否为工作区配置）
+ */
+function getPlaintextPasswordServers() {
+  try {
+    const config = vscode.workspace.getConfiguration('smartssh-smba');
+    const inspected = config.inspect('config') || {};
+    const result = [];
+
+    const collect = (configValue, workspace) => {
+      ((configValue && configValue.serverList) || []).forEach(server => {
+        if (server.name && server.password) {
+          result.push({ name: server.name, password: server.password, workspace });
+        }
+      });
+    };
+
+    collect(inspected.globalValue, false);
+    collect(inspected.workspaceValue, true);
+
+    return result;
+  } catch (error) {
+    logger.error(`查找明文密码时出错: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * 添加服务器
  * @param {Object} server - 服务器配置
@@ -292,6 +382,64 @@ async function deleteServer(name, deleteFromWorkspace = false) {
   }
 }
 
+/**
+ * 判断服务器是否定义在工作区配置中
+ * @param {string} name - 服务器名称
+ * @returns {boolean} - 是否为工作区服务器
+ */
+function isWorkspaceServer(name) {
+  try {
+    const config = vscode.workspace.getConfiguration('smartssh-smba');
+    const workspaceConfig = config.inspect('config').workspaceValue || {};
+    return (workspaceConfig.serverList || []).some(s => s.name === name);
+  } catch (error) {
+    logger.error(`判断服务器配置范围时出错: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 局部更新服务器配置
+ * 自动判断服务器所在的配置范围（全局或工作区），值为undefined的字段将被删除
+ * @param {string} name - 服务器名称
+ * @param {Object|Function} changes - 要更新的字段，或根据设置中保存的服务器配置返回要更新字段的函数
+ *   （getServerList 返回的配置合并了工作区文件夹的路径映射，追加映射时应基于设置中的配置）
+ * @param {boolean} [saveToWorkspace] - 是否更新工作区配置，默认根据服务器所在范围自动判断
+ * @returns {Promise<boolean>} - 更新是否成功
+ */
+async function patchServer(name, changes, saveToWorkspace = isWorkspaceServer(name)) {
+  try {
+    if (!name || !changes) {
+      logger.error('参数无效');
+      return false;
+    }
+
+    const config = vscode.workspace.getConfiguration('smartssh-smba');
+    const configTarget = saveToWorkspace
+      ? config.inspect('config').workspaceValue || { serverList: [] }
+      : config.inspect('config').globalValue || { serverList: [] };
+
+    const server = (configTarget.serverList || []).find(s => s.name === name);
+    if (!server) {
+      logger.error(`找不到名为 ${name} 的服务器`);
+      return false;
+    }
+
+    const fields = typeof changes === 'function' ? changes(server) : changes;
+    const updatedServer = { ...server, ...fields };
+    Object.keys(fields).forEach(key => {
+      if (fields[key] === undefined) {
+        delete updatedServer[key];
+      }
+    });
+
+    return await updateServer(name, updatedServer, saveToWorkspace);
+  } catch (error) {
+    logger.error(`局部更新服务器时出错: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * 打开服务器设置
  * @returns {Promise<boolean>} - 打开是否成功
@@ -310,88 +458,125 @@ async function openServerSettings() {
 }
 
 /**
- * 获取工作区配置文件路径
- * @returns {string|null} - 工作区配置文件路径
+ * 解析命令参数中的服务器名称
+ * @param {string|Object} [serverParam] - 服务器名称、服务器配置或树项
+ * @returns {string|null} - 服务器名称
  */
-function getWorkspaceConfigPath() {
-  try {
-    // 获取当前工作区文件夹
-    const folders = vscode.workspace.workspaceFolders;
-    if (!folders || folders.length === 0) {
-      return null;
+function resolveServerName(serverParam) {
+  if (typeof serverParam === 'string') {
+    return serverParam;
+  }
+  if (serverParam && typeof serverParam === 'object') {
+    return serverParam.name || (serverParam.server && serverParam.server.name) || null;
+  }
+  return null;
+}
+
+/**
+ * 选择服务器：命令参数 > 默认服务器 > 用户选择
+ * @param {string|Object} [serverParam] - 服务器名称、服务器配置或树项
+ * @param {Object} [options] - 选项
+ * @param {string} [options.placeHolder] - 选择框提示
+ * @param {string} [options.defaultServerName] - 没有参数时使用的服务器名称（例如当前SSH终端的服务器）
+ * @param {boolean} [options.autoSelectSingle] - 只有一个服务器时直接使用，不显示选择框
+ * @returns {Promise<Object|null>} - 服务器配置，如果用户取消或找不到则返回null
+ */
+async function selectServer(serverParam, options = {}) {
+  const serverList = getServerList();
+  if (!serverList || serverList.length === 0) {
+    vscode.window.showInformationMessage('没有配置服务器，请先添加服务器');
+    return null;
+  }
+
+  const serverName = resolveServerName(serverParam) || options.defaultServerName || null;
+  if (serverName) {
+    const found = serverList.find(s => s.name === serverName);
+    if (!found) {
+      vscode.window.showErrorMessage(`找不到服务器: ${serverName}`);
     }
+    return found || null;
+  }
 
-    // 使用第一个工作区文件夹
-    const workspaceFolder = folders[0];
+  if (options.autoSelectSingle && serverList.length === 1) {
+    return serverList[0];
+  }
 
-    // 构建工作区配置文件路径
-    return path.join(workspaceFolder.uri.fsPath, '.smartssh-smba.json');
-  } catch (error) {
-    logger.error(`获取工作区配置路径时出错: ${error.message}`);
+  const selection = await vscode.window.showQuickPick(
+    serverList.map(s => ({ label: s.name, description: `${s.username}@${s.host}`, server: s })),
+    { placeHolder: options.placeHolder || '选择服务器' }
+  );
+  return selection ? selection.server : null;
+}
+
+// 工作区文件夹配置文件名
+const FOLDER_CONFIG_FILE = '.smartssh-smba.json';
+
+/**
+ * 获取默认的工作区文件夹：活动编辑器所在的文件夹，否则为第一个文件夹
+ * @returns {vscode.WorkspaceFolder|null} - 工作区文件夹
+ */
+function getDefaultWorkspaceFolder() {
+  const folders = vscode.workspace.workspaceFolders;
+  if (!folders || folders.length === 0) {
     return null;
   }
+
+  const editor = vscode.window.activeTextEditor;
+  const activeFolder = editor && vscode.workspace.getWorkspaceFolder(editor.document.uri);
+  return activeFolder || folders[0];
 }
 
 /**
- * 确保工作区配置文件存在
- * @returns {Promise<boolean>} - 配置文件是否存在或创建成功
+ * 获取工作区文件夹的配置文件路径
+ * @param {vscode.WorkspaceFolder} [folder] - 工作区文件夹，默认为活动编辑器所在的文件夹
+ * @returns {string|null} - 工作区配置文件路径
  */
-async function ensureWorkspaceConfigExists() {
+function getWorkspaceConfigPath(folder = getDefaultWorkspaceFolder()) {
   try {
-    const configPath = getWorkspaceConfigPath();
-    if (!configPath) {
-      return false;
+    if (!folder) {
+      return null;
     }
 
-    try {
-      // 检查文件是否存在
-      await fs.access(configPath);
-      return true;
-    } catch (error) {
-      // 文件不存在，创建新文件
-      await fs.writeFile(configPath, JSON.stringify({
-        customCommands: [],
-      }, null, 2));
-
-      return true;
-    }
+    // 构建工作区配置文件路径
+    return path.join(folder.uri.fsPath, FOLDER_CONFIG_FILE);
   } catch (error) {
-    logger.error(`确保工作区配置存在时出错: ${error.message}`);
-    return false;
+    logger.error(`获取工作区配置路径时出错: ${error.message}`);
+    return null;
   }
 }
 
 /**
- * 加载工作区配置
- * @returns {Promise<Object>} - 工作区配置
+ * 加载工作区文件夹的配置文件，文件不存在时返回空配置（不会创建文件）
+ * @param {vscode.WorkspaceFolder} [folder] - 工作区文件夹，默认为活动编辑器所在的文件夹
+ * @returns {Promise<Object>} - 工作区文件夹配置
  */
-async function loadWorkspaceConfig() {
+async function loadWorkspaceConfig(folder = getDefaultWorkspaceFolder()) {
   try {
-    // 如果缓存存在且有效，返回缓存
-    if (workspaceConfigCache) {
-      return workspaceConfigCache;
-    }
-
-    // 获取配置文件路径
-    const configPath = getWorkspaceConfigPath();
+    const configPath = getWorkspaceConfigPath(folder);
     if (!configPath) {
       return {};
     }
 
-    // 确保配置文件存在
-    const exists = await ensureWorkspaceConfigExists();
-    if (!exists) {
-      return {};
+    // 如果缓存存在，返回缓存
+    const cached = folderConfigCache.get(folder.uri.toString());
+    if (cached) {
+      return cached.config;
     }
 
-    // 读取配置文件
-    const configData = await fs.readFile(configPath, 'utf8');
-
-    // 解析JSON
-    const config = JSON.parse(configData);
+    let config = {};
+    try {
+      // 读取并解析配置文件
+      const configData = await fs.readFile(configPath, 'utf8');
+      config = JSON.parse(configData);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`加载工作区配置 ${configPath} 时出错: ${error.message}`);
+        vscode.window.showErrorMessage(`工作区配置文件 ${configPath} 无效: ${error.message}`);
+      }
+    }
 
     // 缓存配置
-    workspaceConfigCache = config;
+    folderConfigCache.set(folder.uri.toString(), { folder, config });
 
     return config;
   } catch (error) {
@@ -401,29 +586,45 @@ async function loadWorkspaceConfig() {
 }
 
 /**
- * 保存工作区配置
- * @param {Object} config - 工作区配置
+ * 重新加载所有工作区文件夹的配置文件
+ * @returns {Promise<void>}
+ */
+async function loadAllWorkspaceConfigs() {
+  folderConfigCache.clear();
+  if (!isWorkspaceTrusted()) {
+    logger.info(`工作区未受信任，忽略各文件夹的 ${FOLDER_CONFIG_FILE}`);
+    configCache = null;
+    lastLoadTime = 0;
+    return;
+  }
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    await loadWorkspaceConfig(folder);
+  }
+  configCache = null;
+  lastLoadTime = 0;
+}
+
+/**
+ * 保存工作区文件夹的配置文件
+ * @param {Object} config - 工作区文件夹配置
+ * @param {vscode.WorkspaceFolder} [folder] - 工作区文件夹，默认为活动编辑器所在的文件夹
  * @returns {Promise<boolean>} - 保存是否成功
  */
-async function saveWorkspaceConfig(config) {
+async function saveWorkspaceConfig(config, folder = getDefaultWorkspaceFolder()) {
   try {
     // 获取配置文件路径
-    const configPath = getWorkspaceConfigPath();
+    const configPath = getWorkspaceConfigPath(folder);
     if (!configPath) {
       return false;
     }
 
-    // 确保配置文件存在
-    const exists = await ensureWorkspaceConfigExists();
-    if (!exists) {
-      return false;
-    }
-
     // 保存配置
     await fs.writeFile(configPath, JSON.stringify(config, null, 2));
 
     // 更新缓存
-    workspaceConfigCache = config;
+    folderConfigCache.set(folder.uri.toString(), { folder, config });
+    configCache = null;
+    lastLoadTime = 0;
 
     return true;
   } catch (error) {
@@ -432,6 +633,76 @@ async function saveWorkspaceConfig(config) {
   }
 }
 
+/**
+ * 将各工作区文件夹配置文件中的服务器合并到服务器列表
+ * 与已有服务器同名的条目只补充路径映射（放在前面，优先匹配），其余作为新服务器添加；
+ * 路径映射中的相对本地路径基于所在的工作区文件夹解析
+ * @param {Array} serverList - 设置中的服务器列表
+ * @returns {Array} - 合并后的服务器列表
+ */
+function mergeFolderServers(serverList) {
+  const merged = [...serverList];
+  if (!isWorkspaceTrusted()) {
+    return merged;
+  }
+
+  for (const { folder, config } of folderConfigCache.values()) {
+    for (const folderServer of config.serverList || []) {
+      if (!folderServer || !folderServer.name) continue;
+
+      // 正则映射没有 localPath，smartssh:// 远程路径已是完整路径，都不需要解析
+      const pathMappings = (folderServer.pathMappings || []).map(mapping => {
+        if (mapping.match !== undefined || isRemoteUriPath(mapping.localPath)) {
+          return mapping;
+        }
+        return { ...mapping, localPath: path.resolve(folder.uri.fsPath, mapping.localPath || '.') };
+      });
+
+      const index = merged.findIndex(s => s.name === folderServer.name);
+      if (index !== -1) {
+        merged[index] = {
+          ...merged[index],
+          pathMappings: [...pathMappings, ...(merged[index].pathMappings || [])],
+        };
+      } else if (folderServer.host && folderServer.username) {
+        merged.push({ ...folderServer, pathMappings, workspaceFolder: folder.name });
+      } else {
+        logger.warn(`工作区文件夹 ${folder.name} 的配置中服务器 ${folderServer.name} 不存在且缺少 host/username，已忽略`);
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * 监听各工作区文件夹配置文件的变化
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ * @param {Function} [onChange] - 配置变化后的回调
+ */
+function watchWorkspaceConfigs(context, onChange) {
+  const reload = async () => {
+    await loadAllWorkspaceConfigs();
+    logger.info('工作区文件夹配置已更新');
+    if (onChange) {
+      onChange();
+    }
+  };
+
+  const watcher = vscode.workspace.createFileSystemWatcher(`**/${FOLDER_CONFIG_FILE}`);
+  context.subscriptions.push(
+    watcher,
+    watcher.onDidCreate(reload),
+    watcher.onDidChange(reload),
+    watcher.onDidDelete(reload),
+    vscode.workspace.onDidChangeWorkspaceFolders(reload),
+    // 用户信任工作区后加载文件夹配置
+    vscode.workspace.onDidGrantWorkspaceTrust(reload)
+  );
+
+  reload();
+}
+
 /**
  * 获取工作区命令列表
  * @returns {Array} - 工作区命令列表
@@ -713,7 +984,6 @@ async function deleteGlobalCommand(command) {
  */
 function refreshCache() {
   configCache = null;
-  workspaceConfigCache = null;
 }
 
 // 监听配置更改事件
@@ -767,13 +1037,21 @@ module.exports = {
   getConfig,
   updateConfig,
   getServerList,
+  resolveServerSecrets,
+  getServerByName,
+  getPlaintextPasswordServers,
   addServer,
   updateServer,
   deleteServer,
+  isWorkspaceServer,
+  patchServer,
   openServerSettings,
+  selectServer,
   getWorkspaceConfigPath,
   loadWorkspaceConfig,
+  loadAllWorkspaceConfigs,
   saveWorkspaceConfig,
+  watchWorkspaceConfigs,
   getWorkspaceCommands,
   addWorkspaceCommand,
   updateWorkspaceCommand,
@@ -0,0 +1,115 @@
+/**
+ * 凭据存储适配器
+ * 使用 VS Code SecretStorage 保存服务器密码，避免明文写入 settings.json
+ */
+
+const { logger } = require('../utils/logger');
+
+// 密码在 SecretStorage 中的键名前缀
+const PASSWORD_KEY_PREFIX = 'smartssh-smba.password.';
+
+// SecretStorage 实例，在initialize函数中初始化
+let secretStorage = null;
+
+/**
+ * 初始化凭据存储
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function initialize(context) {
+  secretStorage = context.secrets;
+}
+
+/**
+ * 凭据存储是否可用
+ * @returns {boolean} - 是否已初始化
+ */
+function isAvailable() {
+  return !!secretStorage;
+}
+
+/**
+ * 获取服务器密码在 SecretStorage 中的键名
+ * @param {string} serverName - 服务器名称
+ * @returns {string} - 键名
+ */
+function getPasswordKey(serverName) {
+  return `${PASSWORD_KEY_PREFIX}${serverName}`;
+}
+
+/**
+ * 获取服务器密码
+ * @param {string} serverName - 服务器名称
+ * @returns {Promise<string|undefined>} - 密码，如果未保存则返回undefined
+ */
+async function getPassword(serverName) {
+  if (!secretStorage || !serverName) {
+    return undefined;
+  }
+
+  try {
+    return await secretStorage.get(getPasswordKey(serverName));
+  } catch (error) {
+    logger.error(`读取服务器 ${serverName} 的密码时出错: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * 保存服务器密码
+ * @param {string} serverName - 服务器名称
+ * @param {string} password - 密码
+ * @returns {Promise<boolean>} - 保存是否成功
+ */
+async function setPassword(serverName, password) {
+  if (!secretStorage || !serverName || !password) {
+    logger.error('凭据存储未初始化或参数无效');
+    return false;
+  }
+
+  try {
+    await secretStorage.store(getPasswordKey(serverName), password);
+    logger.info(`已保存服务器 ${serverName} 的密码`);
+    return true;
+  } catch (error) {
+    logger.error(`保存服务器 ${serverName} 的密码时出错: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 删除服务器密码
+ * @param {string} serverName - 服务器名称
+ * @returns {Promise<boolean>} - 删除是否成功
+ */
+async function deletePassword(serverName) {
+  if (!secretStorage || !serverName) {
+    return false;
+  }
+
+  try {
+    await secretStorage.delete(getPasswordKey(serverName));
+    logger.info(`已清除服务器 ${serverName} 的密码`);
+    return true;
+  } catch (error) {
+    logger.error(`清除服务器 ${serverName} 的密码时出错: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 判断服务器是否已保存密码
+ * @param {string} serverName - 服务器名称
+ * @returns {Promise<boolean>} - 是否已保存
+ */
+async function hasPassword(serverName) {
+  return !!(await getPassword(serverName));
+}
+
+module.exports = {
+  initialize,
+  isAvailable,
+  getPassword,
+  setPassword,
+  deletePassword,
+  hasPassword,
+};
@@ -11,11 +11,13 @@ const { CommandTreeProvider } = require('../ui/tree-view/command-provider');
 const { ServerTreeProvider } = require('../ui/tree-view/server-provider');
 const {
   addServer,
+  importFromSshConfig,
   editServer,
   deleteServer,
   refreshServerList,
   connectToServer,
-  fastOpenConnection
+  fastOpenConnection,
+  openInSshTerminal
 } = require('./server');
 
 // 命令树提供者实例，在register函数中初始化
@@ -570,11 +572,13 @@ function register(context, treeProvider, serverTreeProvider) {
   if (serverTreeProvider) {
     context.subscriptions.push(
       vscode.commands.registerCommand('smartssh-smba.addServer', addServer),
+      vscode.commands.registerCommand('smartssh-smba.importFromSshConfig', importFromSshConfig),
       vscode.commands.registerCommand('smartssh-smba.editServer', editServer),
       vscode.commands.registerCommand('smartssh-smba.deleteServer', deleteServer),
       vscode.commands.registerCommand('smartssh-smba.refreshServerList', refreshServerList),
       vscode.commands.registerCommand('smartssh-smba.connectToServer', connectToServer),
-      vscode.commands.registerCommand('smartssh-smba.fastOpenConnection', fastOpenConnection)
+      vscode.commands.registerCommand('smartssh-smba.fastOpenConnection', fastOpenConnection),
+      vscode.commands.registerCommand('smartssh-smba.openInSshTerminal', openInSshTerminal)
     );
   }
 
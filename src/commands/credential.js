@@ -0,0 +1,173 @@
+/**
+ * 凭据管理命令模块
+ * 处理服务器密码的设置、清除以及从 settings.json 迁移到安全存储
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const credentialStore = require('../adapters/credential-store');
+const { logger } = require('../utils/logger');
+
+/**
+ * 设置服务器密码（保存到安全存储）
+ * @param {string|Object} serverParam - 服务器名称、服务器配置或树项（可选）
+ */
+async function setServerPassword(serverParam) {
+  try {
+    const server = await configLoader.selectServer(serverParam, { placeHolder: '选择要设置密码的服务器' });
+    if (!server) return;
+
+    const password = await vscode.window.showInputBox({
+      placeHolder: '密码',
+      prompt: `输入 ${server.username}@${server.host} 的SSH密码`,
+      password: true,
+      ignoreFocusOut: true,
+    });
+
+    if (!password) return;
+
+    const result = await credentialStore.setPassword(server.name, password);
+    if (!result) {
+      vscode.window.showErrorMessage(`保存服务器 ${server.name} 的密码失败`);
+      return;
+    }
+
+    // 安全存储中已有密码，清除设置中遗留的明文密码
+    if (server.password) {
+      await configLoader.patchServer(server.name, { password: undefined });
+    }
+
+    vscode.window.showInformationMessage(`服务器 ${server.name} 的密码已保存到安全存储`);
+  } catch (error) {
+    logger.error(`设置服务器密码时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`设置服务器密码时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 清除服务器密码
+ * @param {string|Object} serverParam - 服务器名称、服务器配置或树项（可选）
+ */
+async function clearServerPassword(serverParam) {
+  try {
+    const server = await configLoader.selectServer(serverParam, { placeHolder: '选择要清除密码的服务器' });
+    if (!server) return;
+
+    const hasSecret = await credentialStore.hasPassword(server.name);
+    if (!hasSecret && !server.password) {
+      vscode.window.showInformationMessage(`服务器 ${server.name} 没有保存密码`);
+      return;
+    }
+
+    const confirm = await vscode.window.showWarningMessage(
+      `确定要清除服务器 ${server.name} 的密码吗?`,
+      { modal: true },
+      '确定',
+      '取消'
+    );
+
+    if (confirm !== '确定') return;
+
+    await credentialStore.deletePassword(server.name);
+    if (server.password) {
+      await configLoader.patchServer(server.name, { password: undefined });
+    }
+
+    vscode.window.showInformationMessage(`服务器 ${server.name} 的密码已清除`);
+  } catch (error) {
+    logger.error(`清除服务器密码时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`清除服务器密码时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 将 settings.json 中的明文密码迁移到安全存储
+ * @param {boolean} [silent=false] - 没有需要迁移的密码时是否不提示
+ * @returns {Promise<number>} - 成功迁移的数量
+ */
+async function migratePasswords(silent = false) {
+  try {
+    const servers = configLoader.getPlaintextPasswordServers();
+    if (servers.length === 0) {
+      if (!silent) {
+        vscode.window.showInformationMessage('设置中没有明文保存的密码');
+      }
+      return 0;
+    }
+
+    const failed = [];
+    let migrated = 0;
+
+    for (const { name, password, workspace } of servers) {
+      // 先写入安全存储，成功后再从设置中移除，避免丢失密码
+      const stored = await credentialStore.setPassword(name, password);
+      const cleared = stored && await configLoader.patchServer(name, { password: undefined }, workspace);
+
+      if (cleared) {
+        migrated++;
+      } else {
+        failed.push(name);
+      }
+    }
+
+    logger.info(`密码迁移完成: 成功 ${migrated} 个，失败 ${failed.length} 个`);
+
+    if (failed.length > 0) {
+      vscode.window.showWarningMessage(`已迁移 ${migrated} 个密码，以下服务器迁移失败: ${failed.join(', ')}`);
+    } else {
+      vscode.window.showInformationMessage(`已将 ${migrated} 个密码从设置迁移到安全存储`);
+    }
+
+    return migrated;
+  } catch (error) {
+    logger.error(`迁移密码时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`迁移密码时出错: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * 检查设置中是否存在明文密码，并提示用户迁移
+ */
+async function promptPasswordMigration() {
+  try {
+    const servers = configLoader.getPlaintextPasswordServers();
+    if (servers.length === 0) return;
+
+    const choice = await vscode.window.showWarningMessage(
+      `${servers.length} 个服务器的密码以明文保存在设置中，是否迁移到安全存储?`,
+      '迁移',
+      '稍后'
+    );
+
+    if (choice === '迁移') {
+      await migratePasswords();
+    }
+  } catch (error) {
+    logger.error(`检查明文密码时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 注册凭据管理命令
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  credentialStore.initialize(context);
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('smartssh-smba.setServerPassword', setServerPassword),
+    vscode.commands.registerCommand('smartssh-smba.clearServerPassword', clearServerPassword),
+    vscode.commands.registerCommand('smartssh-smba.migratePasswords', () => migratePasswords())
+  );
+
+  // 启动时检查明文密码，不阻塞激活
+  promptPasswordMigration();
+}
+
+module.exports = {
+  setServerPassword,
+  clearServerPassword,
+  migratePasswords,
+  register,
+};
@@ -0,0 +1,135 @@
+/**
+ * 调试命令模块
+ * 把服务器的路径映射注入 cppdbg、lldb 和 debugpy 调试配置，使远程调试时的源码路径解析到本地（SMB 共享）文件
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const { resolveRemoteRealPaths } = require('../services/remote-realpath');
+const { logger } = require('../utils/logger');
+const { findServersForPath, selectServerForPath, getActiveWorkspaceFolder } = require('../utils/path-utils');
+const { toMappingPath } = require('../utils/remote-uri');
+const { DEBUG_MAPPING_PROPERTIES, isSupportedDebugType, applyDebugPathMappings } = require('../utils/debug-mappings');
+
+/**
+ * 确定调试配置对应的服务器
+ * 配置中的 smartsshServer 指定服务器名称，为 false 时不注入；未指定时使用映射了工作区文件夹的服务器
+ * @param {vscode.WorkspaceFolder|undefined} folder - 工作区文件夹
+ * @param {Object} config - 调试配置
+ * @returns {Object|null} - 服务器配置
+ */
+function resolveDebugServer(folder, config) {
+  if (config.smartsshServer === false) {
+    return null;
+  }
+  if (typeof config.smartsshServer === 'string') {
+    const server = configLoader.getServerList().find(s => s.name === config.smartsshServer);
+    if (!server) {
+      vscode.window.showWarningMessage(`调试配置中的服务器 ${config.smartsshServer} 不存在，未注入路径映射`);
+    }
+    return server || null;
+  }
+
+  const matches = folder ? findServersForPath(toMappingPath(folder.uri)) : [];
+  return matches.length > 0 ? matches[0].server : null;
+}
+
+/**
+ * 调试配置提供者：启动调试前注入路径映射
+ */
+const debugConfigurationProvider = {
+  async resolveDebugConfiguration(folder, config) {
+    try {
+      const server = resolveDebugServer(folder, config);
+      if (server) {
+        await resolveRemoteRealPaths(server);
+        const added = applyDebugPathMappings(config, server);
+        if (added > 0) {
+          logger.info(`调试配置 "${config.name}" 注入了服务器 ${server.name} 的 ${added} 个路径映射`);
+        }
+      }
+    } catch (error) {
+      logger.error(`注入调试路径映射时出错: ${error.message}`);
+    }
+    return config;
+  },
+};
+
+/**
+ * 将服务器的路径映射写入 launch.json 中选中的调试配置
+ */
+async function insertDebugPathMappings() {
+  try {
+    const folder = getActiveWorkspaceFolder() || await vscode.window.showWorkspaceFolderPick({
+      placeHolder: '选择要修改 launch.json 的工作区文件夹',
+    });
+    if (!folder) {
+      vscode.window.showWarningMessage('请先打开工作区文件夹');
+      return;
+    }
+
+    let server = await selectServerForPath(toMappingPath(folder.uri), '有多个服务器映射了此工作区文件夹，请选择服务器');
+    if (!server) {
+      server = await configLoader.selectServer(null, { placeHolder: '选择提供路径映射的服务器' });
+      if (!server) return;
+    }
+
+    const launchConfig = vscode.workspace.getConfiguration('launch', folder.uri);
+    const configurations = launchConfig.get('configurations', []);
+    const candidates = configurations
+      .map((config, index) => ({ config, index }))
+      .filter(item => isSupportedDebugType(item.config.type));
+    if (candidates.length === 0) {
+      vscode.window.showWarningMessage(`launch.json 中没有 ${Object.keys(DEBUG_MAPPING_PROPERTIES).join('、')} 类型的调试配置`);
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      candidates.map(item => ({
+        label: item.config.name || `配置 ${item.index + 1}`,
+        description: `${item.config.type} → ${DEBUG_MAPPING_PROPERTIES[item.config.type]}`,
+        picked: true,
+        item,
+      })),
+      { canPickMany: true, placeHolder: `选择要写入服务器 ${server.name} 路径映射的调试配置` }
+    );
+    if (!selected || selected.length === 0) return;
+
+    const updated = configurations.map(config => ({ ...config }));
+    await resolveRemoteRealPaths(server);
+    let added = 0;
+    for (const { item } of selected) {
+      added += applyDebugPathMappings(updated[item.index], server);
+    }
+
+    if (added === 0) {
+      vscode.window.showInformationMessage('选中的调试配置已包含服务器的所有路径映射');
+      return;
+    }
+
+    await launchConfig.update('configurations', updated, vscode.ConfigurationTarget.WorkspaceFolder);
+    logger.info(`已将服务器 ${server.name} 的 ${added} 个路径映射写入 launch.json`);
+    vscode.window.showInformationMessage(`已将 ${added} 个路径映射写入 launch.json`);
+  } catch (error) {
+    logger.error(`写入调试路径映射时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`写入调试路径映射时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 注册调试命令和调试配置提供者
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand('smartssh-smba.insertDebugPathMappings', insertDebugPathMappings),
+    ...Object.keys(DEBUG_MAPPING_PROPERTIES).map(type =>
+      vscode.debug.registerDebugConfigurationProvider(type, debugConfigurationProvider)
+    )
+  );
+}
+
+module.exports = {
+  insertDebugPathMappings,
+  register,
+};
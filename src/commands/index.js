@@ -4,6 +4,11 @@
  */
 const serverCommands = require('./server');
 const commandCommands = require('./command');
+const portForwardCommands = require('./port-forward');
+const credentialCommands = require('./credential');
+const pathMappingCommands = require('./path-mapping');
+const remoteBuildCommands = require('./remote-build');
+const debugCommands = require('./debug');
 
 /**
  * 注册所有命令
@@ -13,15 +18,35 @@ const commandCommands = require('./command');
  * @param {Object} providers.serverTreeProvider - 服务器树提供者
  */
 function registerAll(context, providers = {}) {
+  // 注册凭据管理命令（需要最先初始化安全存储，连接时会读取密码）
+  credentialCommands.register(context);
+
   // 注册服务器管理命令
   serverCommands.register(context, providers.serverTreeProvider);
 
   // 注册命令管理命令
   commandCommands.register(context, providers.commandTreeProvider, providers.serverTreeProvider);
+
+  // 注册端口转发命令
+  portForwardCommands.register(context);
+
+  // 注册路径映射命令（诊断、复制远程路径、在SSH终端中插入远程路径、检测 SMB 挂载）
+  pathMappingCommands.register(context);
+
+  // 注册远程构建命令
+  remoteBuildCommands.register(context);
+
+  // 注册调试路径映射命令和调试配置提供者
+  debugCommands.register(context);
 }
 
 module.exports = {
   registerAll,
   server: serverCommands,
   command: commandCommands,
+  portForward: portForwardCommands,
+  credential: credentialCommands,
+  pathMapping: pathMappingCommands,
+  remoteBuild: remoteBuildCommands,
+  debug: debugCommands,
 };
@@ -0,0 +1,729 @@
+/**
+ * 路径映射命令模块
+ * 诊断路径映射（说明一个远程或本地路径会被哪个映射转换、每个映射匹配或不匹配的原因，以及转换后的本地文件是否存在），
+ * 复制本地文件对应的远程路径，把本地文件作为远程路径插入SSH终端，以及根据本地 SMB 挂载检测路径映射
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const terminalManager = require('../services/terminal-manager');
+const fileService = require('../services/file-service');
+const { runRemoteCommand } = require('../services/remote-runner');
+const { convertRemotePathToLocalResolved } = require('../services/remote-realpath');
+const { logger } = require('../utils/logger');
+const {
+  getPathMappings,
+  matchesRemotePath,
+  convertRemotePathToLocal,
+  convertLocalPathToRemote,
+  findServerForPathDetailed,
+  findServersForPath,
+  selectServerForPath,
+} = require('../utils/path-utils');
+const { buildJumpHostArgs, quoteRemotePath } = require('../utils/ssh-utils');
+const {
+  getMappingKind,
+  validatePathMapping,
+  describePathMapping,
+  getMappingPriority,
+  sortPathMappings,
+  toSlashPath,
+} = require('../utils/path-mapping-rules');
+const {
+  getSmbMounts,
+  parseSambaShares,
+  resolveShareRemotePath,
+  isMountOfServer,
+} = require('../utils/mount-detector');
+const { applyRemoteAliases } = require('../utils/remote-aliases');
+const { REMOTE_SCHEME, toMappingPath } = require('../utils/remote-uri');
+
+// 映射类型的显示名称
+const MAPPING_KIND_LABELS = {
+  prefix: '前缀',
+  glob: '通配符',
+  regex: '正则',
+};
+
+/**
+ * 获取默认要诊断的路径：优先使用编辑器中选中的文本，其次是剪贴板中的单行文本
+ * @returns {Promise<string>} - 默认路径
+ */
+async function getDefaultPath() {
+  const editor = vscode.window.activeTextEditor;
+  if (editor && !editor.selection.isEmpty) {
+    return editor.document.getText(editor.selection).trim();
+  }
+
+  try {
+    const clipboard = (await vscode.env.clipboard.readText()).trim();
+    return clipboard.includes('\n') ? '' : clipboard;
+  } catch (error) {
+    logger.debug(`读取剪贴板失败: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * 去除路径结尾的行号和列号（如 file.c:12:5）
+ * @param {string} inputPath - 输入的路径
+ * @returns {string} - 去除行列号后的路径
+ */
+function stripLineSuffix(inputPath) {
+  return inputPath.replace(/^["']|["']$/g, '').replace(/(?::\d+){1,2}$/, '');
+}
+
+/**
+ * 生成 Markdown 行内代码，替换反引号并转义表格分隔符
+ * @param {string} text - 文本
+ * @returns {string} - 行内代码
+ */
+function code(text) {
+  return `\`${String(text).replace(/`/g, '\'').replace(/\|/g, '\\|')}\``;
+}
+
+/**
+ * 获取当前活动终端对应的服务器名称
+ * @returns {string|null} - 服务器名称
+ */
+function getActiveTerminalServerName() {
+  const terminal = vscode.window.activeTerminal
+    ? terminalManager.findTerminalByVscodeTerminal(vscode.window.activeTerminal)
+    : null;
+  return terminal && terminal.metadata && terminal.metadata.serverInfo ? terminal.metadata.serverInfo.name : null;
+}
+
+/**
+ * 描述本地路径是否存在
+ * @param {string} localPath - 本地路径
+ * @returns {Promise<string>} - 描述
+ */
+async function describeLocalPath(localPath) {
+  const { exists, isDirectory } = await fileService.checkPathExists(localPath);
+  if (!exists) {
+    return '✘ 本地不存在（点击终端链接时会回退到按文件名搜索）';
+  }
+  return isDirectory ? '✔ 本地目录存在' : '✔ 本地文件存在';
+}
+
+/**
+ * 列出服务器中因配置错误而被忽略的映射
+ * @param {Object} server - 服务器配置
+ * @returns {string[]} - 报告行
+ */
+function describeIgnoredMappings(server) {
+  return (server.pathMappings || [])
+    .map(mapping => ({ mapping, error: validatePathMapping(mapping).error }))
+    .filter(item => item.error)
+    .map(item => `- 已忽略 ${code(describePathMapping(item.mapping))}: ${item.error}`);
+}
+
+/**
+ * 判断输入的路径是否可能是远程路径，只有远程路径才需要通过SSH查询映射目录的真实路径
+ * 不是 POSIX 绝对路径或 ~ 路径，或者被某个映射的本地路径包含（例如 Linux 上的本地路径）时视为本地路径
+ * @param {string} inputPath - 输入的路径
+ * @returns {boolean} - 是否可能是远程路径
+ */
+function looksLikeRemotePath(inputPath) {
+  if (!inputPath.startsWith('/') && inputPath !== '~' && !inputPath.startsWith('~/')) {
+    return false;
+  }
+  return findServersForPath(inputPath).length === 0;
+}
+
+/**
+ * 生成把路径当作远程路径时的报告
+ * @param {string} remotePath - 远程路径
+ * @param {Array} servers - 服务器列表
+ * @param {string|null} activeServerName - 当前终端对应的服务器
+ * @returns {Promise<string[]>} - 报告行
+ */
+async function explainAsRemotePath(remotePath, servers, activeServerName) {
+  const lines = ['## 作为远程路径（远程 → 本地）', ''];
+  const resolveRealPaths = looksLikeRemotePath(remotePath);
+
+  // 当前终端的服务器排在最前，点击该终端中的链接时使用的就是它的映射
+  const ordered = [...servers].sort((a, b) => (b.name === activeServerName) - (a.name === activeServerName));
+
+  for (const server of ordered) {
+    const mappings = sortPathMappings(getPathMappings(server), 'toLocal');
+    lines.push(`### ${server.name}${server.name === activeServerName ? '（当前终端）' : ''}`, '');
+
+    if (mappings.length === 0) {
+      lines.push('没有可用的路径映射', '', ...describeIgnoredMappings(server), '');
+      continue;
+    }
+
+    lines.push('| 顺序 | 映射 | 类型 | 优先级 | 结果 |', '| --- | --- | --- | --- | --- |');
+    let used = null;
+    mappings.forEach((mapping, index) => {
+      let result;
+      if (!matchesRemotePath(mapping, remotePath)) {
+        result = getMappingKind(mapping) === 'prefix' ? '✘ 远程前缀不匹配' : '✘ 规则不匹配';
+      } else if (used) {
+        result = '匹配，但已使用排在前面的映射';
+      } else {
+        used = mapping;
+        result = '✔ 匹配，使用此映射';
+      }
+      lines.push(`| ${index + 1} | ${code(describePathMapping(mapping))} | ${MAPPING_KIND_LABELS[getMappingKind(mapping)]} | ${getMappingPriority(mapping)} | ${result} |`);
+    });
+    lines.push('', ...describeIgnoredMappings(server));
+
+    // 没有映射匹配时会查询映射目录的真实路径，并按远程路径别名换回映射使用的路径；
+    // 输入是本地路径时不连接服务器
+    const localPath = resolveRealPaths
+      ? await convertRemotePathToLocalResolved(remotePath, server)
+      : convertRemotePathToLocal(remotePath, server);
+    const aliasedPath = used ? null : applyRemoteAliases(remotePath, server);
+    if (aliasedPath) {
+      lines.push(`- 按远程路径别名（符号链接）换为: ${code(aliasedPath)}`);
+    }
+    if (localPath) {
+      lines.push(`- 转换结果: ${code(localPath)}`, `- ${await describeLocalPath(localPath)}`);
+    } else {
+      lines.push('- 转换结果: 无法转换');
+    }
+    lines.push('');
+  }
+
+  return lines;
+}
+
+/**
+ * 生成把路径当作本地路径时的报告
+ * @param {string} localPath - 本地路径
+ * @returns {string[]} - 报告行
+ */
+function explainAsLocalPath(localPath) {
+  const lines = ['## 作为本地路径（本地 → 远程）', ''];
+  const checkResults = [];
+  const match = findServerForPathDetailed(localPath, checkResults);
+
+  if (checkResults.length > 0) {
+    lines.push('| 服务器 | 映射 | 结果 |', '| --- | --- | --- |');
+    for (const result of checkResults) {
+      let description;
+      if (!result.mapping) {
+        description = result.reason;
+      } else if (!result.result) {
+        description = `✘ ${result.reason}`;
+      } else if (match && match.mapping === result.mapping && match.server.name === result.serverName) {
+        description = '✔ 匹配，使用此映射';
+      } else {
+        description = '匹配，但有优先级更高或更具体的映射';
+      }
+      lines.push(`| ${result.serverName} | ${result.mapping ? code(describePathMapping(result.mapping)) : '-'} | ${description} |`);
+    }
+    lines.push('');
+  }
+
+  if (!match) {
+    lines.push('- 没有服务器的映射包含此本地路径', '');
+    return lines;
+  }
+
+  const remotePath = convertLocalPathToRemote(localPath, match.server);
+  lines.push(
+    `- 服务器: ${match.server.name}`,
+    `- 转换结果: ${remotePath ? code(remotePath) : '无法转换'}`,
+    ''
+  );
+  return lines;
+}
+
+/**
+ * 诊断路径映射，在新文档中显示报告
+ * @param {string} [inputPath] - 要诊断的路径（可选，未提供时提示输入）
+ */
+async function explainPathMapping(inputPath) {
+  try {
+    let target = typeof inputPath === 'string' ? inputPath : null;
+    if (!target) {
+      target = await vscode.window.showInputBox({
+        prompt: '输入要诊断的远程路径或本地路径',
+        placeHolder: '/home/user/project/src/main.c 或 Z:\\project\\src\\main.c',
+        value: await getDefaultPath(),
+        ignoreFocusOut: true,
+      });
+    }
+    if (!target || !target.trim()) {
+      return;
+    }
+
+    const targetPath = stripLineSuffix(target.trim());
+    const servers = configLoader.getServerList() || [];
+    if (servers.length === 0) {
+      vscode.window.showInformationMessage('没有配置服务器，请先添加服务器');
+      return;
+    }
+
+    logger.info(`诊断路径映射: ${targetPath}`);
+    const lines = [
+      `# 路径映射诊断: ${code(targetPath)}`,
+      '',
+      ...(await explainAsRemotePath(targetPath, servers, getActiveTerminalServerName())),
+      ...explainAsLocalPath(targetPath),
+    ];
+
+    const document = await vscode.workspace.openTextDocument({
+      language: 'markdown',
+      content: lines.join('\n'),
+    });
+    await vscode.window.showTextDocument(document, { preview: true });
+  } catch (error) {
+    logger.error(`诊断路径映射时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`诊断路径映射时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 获取命令要处理的本地文件
+ * 资源管理器中多选时使用所有选中的文件，其次是命令参数，最后是活动编辑器中的文件
+ * @param {vscode.Uri} [uri] - 命令参数中的文件
+ * @param {vscode.Uri[]} [uris] - 资源管理器中选中的所有文件
+ * @returns {vscode.Uri[]} - 本地文件列表
+ */
+function getTargetUris(uri, uris) {
+  const isSupported = item => item.scheme === 'file' || item.scheme === REMOTE_SCHEME;
+  if (Array.isArray(uris) && uris.length > 0) {
+    return uris.filter(isSupported);
+  }
+  if (uri instanceof vscode.Uri) {
+    return isSupported(uri) ? [uri] : [];
+  }
+  const editor = vscode.window.activeTextEditor;
+  return editor && isSupported(editor.document.uri) ? [editor.document.uri] : [];
+}
+
+/**
+ * 将本地文件转换为远程路径，有多个服务器映射同一路径时询问用户
+ * 多选时优先沿用已选择的服务器
+ * @param {vscode.Uri} [uri] - 命令参数中的文件
+ * @param {vscode.Uri[]} [uris] - 资源管理器中选中的所有文件
+ * @returns {Promise<Array>} - [{ uri, server, remotePath }]，失败或用户取消时返回空数组
+ */
+async function resolveRemotePaths(uri, uris) {
+  const targets = getTargetUris(uri, uris);
+  if (targets.length === 0) {
+    vscode.window.showWarningMessage('请在资源管理器或编辑器中选择本地文件或文件夹');
+    return [];
+  }
+
+  const results = [];
+  let server = null;
+  for (const target of targets) {
+    const localPath = toMappingPath(target);
+    let remotePath = server ? convertLocalPathToRemote(localPath, server) : null;
+
+    if (!remotePath) {
+      if (findServersForPath(localPath).length === 0) {
+        vscode.window.showWarningMessage(`没有服务器的路径映射包含 ${localPath}`);
+        return [];
+      }
+      server = await selectServerForPath(localPath);
+      if (!server) {
+        return [];
+      }
+      remotePath = convertLocalPathToRemote(localPath, server);
+    }
+
+    if (!remotePath) {
+      vscode.window.showWarningMessage(`无法将 ${localPath} 转换为服务器 ${server.name} 上的路径`);
+      return [];
+    }
+
+    // 转换结果可能带有结尾斜杠，复制时去掉
+    results.push({
+      uri: target,
+      server,
+      remotePath: remotePath.length > 1 ? remotePath.replace(/\/+$/, '') : remotePath,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * 获取文件在编辑器中的当前行号（从1开始）
+ * @param {vscode.Uri} uri - 文件
+ * @returns {number|null} - 行号，文件没有在编辑器中打开时返回null
+ */
+function getEditorLine(uri) {
+  const editors = [vscode.window.activeTextEditor, ...vscode.window.visibleTextEditors];
+  const editor = editors.find(item => item && item.document.uri.toString() === uri.toString());
+  return editor ? editor.selection.active.line + 1 : null;
+}
+
+/**
+ * 将文本复制到剪贴板并在状态栏提示
+ * @param {string[]} values - 要复制的内容，每项一行
+ * @param {string} description - 内容描述
+ */
+async function copyToClipboard(values, description) {
+  const text = values.join('\n');
+  await vscode.env.clipboard.writeText(text);
+  logger.info(`已复制${description}: ${text}`);
+  vscode.window.setStatusBarMessage(
+    values.length === 1 ? `已复制${description}: ${text}` : `已复制 ${values.length} 个${description}`,
+    3000
+  );
+}
+
+/**
+ * 复制本地文件对应的远程路径
+ * @param {vscode.Uri} [uri] - 文件（资源管理器、编辑器标题或标签页菜单传入）
+ * @param {vscode.Uri[]} [uris] - 资源管理器中选中的所有文件
+ */
+async function copyRemotePath(uri, uris) {
+  try {
+    const results = await resolveRemotePaths(uri, uris);
+    if (results.length > 0) {
+      await copyToClipboard(results.map(item => item.remotePath), '远程路径');
+    }
+  } catch (error) {
+    logger.error(`复制远程路径时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`复制远程路径时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 复制本地文件对应的远程路径和编辑器中的当前行号（path:line）
+ * @param {vscode.Uri} [uri] - 文件
+ * @param {vscode.Uri[]} [uris] - 资源管理器中选中的所有文件
+ */
+async function copyRemotePathWithLine(uri, uris) {
+  try {
+    const results = await resolveRemotePaths(uri, uris);
+    if (results.length > 0) {
+      await copyToClipboard(
+        results.map(item => {
+          const line = getEditorLine(item.uri);
+          return line ? `${item.remotePath}:${line}` : item.remotePath;
+        }),
+        '远程路径'
+      );
+    }
+  } catch (error) {
+    logger.error(`复制远程路径时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`复制远程路径时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 获取 scp 连接服务器需要另外指定的参数（端口和跳板机）
+ * @param {Object} server - 服务器配置
+ * @returns {string} - 参数，例如 -P 2222 -J ops@bastion，不需要时为空字符串
+ */
+function getScpOptions(server) {
+  const options = [];
+  if (server.port && server.port !== 22) {
+    options.push('-P', server.port);
+  }
+  options.push(...buildJumpHostArgs(server, configLoader.getServerList()));
+  return options.join(' ');
+}
+
+/**
+ * 复制 scp 使用的远程文件描述（user@host:path）
+ * 复制的内容不加引号，粘贴到命令行时由用户按所用的shell引用；
+ * 描述中不能包含端口和跳板机，服务器使用非默认端口或跳板机时提示需要另外指定的参数
+ * @param {vscode.Uri} [uri] - 文件
+ * @param {vscode.Uri[]} [uris] - 资源管理器中选中的所有文件
+ */
+async function copyScpSpec(uri, uris) {
+  try {
+    const results = await resolveRemotePaths(uri, uris);
+    if (results.length > 0) {
+      await copyToClipboard(
+        results.map(({ server, remotePath }) => `${server.username}@${server.host}:${remotePath}`),
+        'scp 路径'
+      );
+
+      const servers = [...new Map(results.map(({ server }) => [server.name, server])).values()];
+      for (const server of servers) {
+        const options = getScpOptions(server);
+        if (options) {
+          vscode.window.showInformationMessage(`服务器 ${server.name} 的 scp 路径不包含端口和跳板机，使用 scp 时需要加上参数: ${options}`);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error(`复制 scp 路径时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`复制 scp 路径时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 判断文本是否为本地绝对路径
+ * @param {string} text - 文本
+ * @returns {boolean} - 是否为绝对路径
+ */
+function isLocalAbsolutePath(text) {
+  return /^[A-Za-z]:[\\/]/.test(text) || /^\\\\[^\\]/.test(text) || path.isAbsolute(text);
+}
+
+/**
+ * 从剪贴板文本中提取本地路径，每行一个路径，支持带引号的路径和 file:// URI
+ * @param {string} text - 剪贴板文本
+ * @returns {string[]} - 本地路径列表，文本中有非路径内容时返回空数组
+ */
+function parseLocalPaths(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean)
+    .map(line => (line.startsWith('file://') ? vscode.Uri.parse(line).fsPath : line));
+
+  return lines.length > 0 && lines.every(isLocalAbsolutePath) ? lines : [];
+}
+
+/**
+ * 将本地路径转换为SSH终端所连接服务器上的路径，并为远程shell加上引号后插入终端（不执行）
+ * @param {Object} sshTerminal - 终端管理器中的SSH终端信息
+ * @param {string[]} localPaths - 本地路径列表
+ */
+function insertRemotePaths(sshTerminal, localPaths) {
+  const server = sshTerminal.metadata.serverInfo;
+  const remotePaths = [];
+  const unmapped = [];
+
+  for (const localPath of localPaths) {
+    const remotePath = convertLocalPathToRemote(localPath, server);
+    if (remotePath) {
+      remotePaths.push(remotePath.length > 1 ? remotePath.replace(/\/+$/, '') : remotePath);
+    } else {
+      unmapped.push(localPath);
+    }
+  }
+
+  if (unmapped.length > 0) {
+    vscode.window.showWarningMessage(`以下路径不在服务器 ${server.name} 的路径映射范围内: ${unmapped.join(', ')}`);
+  }
+  if (remotePaths.length === 0) {
+    return;
+  }
+
+  logger.info(`向终端 ${sshTerminal.name} 插入远程路径: ${remotePaths.join(' ')}`);
+  sshTerminal.terminal.sendText(remotePaths.map(quoteRemotePath).join(' '), false);
+  sshTerminal.terminal.show();
+}
+
+/**
+ * 在当前SSH终端中粘贴剪贴板中本地路径对应的远程路径
+ * 剪贴板中没有本地路径时让用户选择文件
+ */
+async function pasteAsRemotePath() {
+  try {
+    const sshTerminal = terminalManager.getActiveSSHTerminal();
+    if (!sshTerminal || !sshTerminal.metadata.serverInfo) {
+      vscode.window.showWarningMessage('当前终端不是SSH终端');
+      return;
+    }
+
+    let localPaths = parseLocalPaths(await vscode.env.clipboard.readText());
+    if (localPaths.length === 0) {
+      const workspaceFolder = sshTerminal.metadata.workspaceFolder;
+      const uris = await vscode.window.showOpenDialog({
+        canSelectFiles: true,
+        canSelectFolders: true,
+        canSelectMany: true,
+        defaultUri: workspaceFolder ? workspaceFolder.uri : undefined,
+        openLabel: '插入远程路径',
+      });
+      if (!uris || uris.length === 0) {
+        return;
+      }
+      localPaths = uris.map(toMappingPath);
+    }
+
+    insertRemotePaths(sshTerminal, localPaths);
+  } catch (error) {
+    logger.error(`粘贴远程路径时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`粘贴远程路径时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 将资源管理器或编辑器中的本地文件作为远程路径插入SSH终端
+ * 优先使用当前SSH终端，其次是映射了该文件的服务器的SSH终端，有多个时询问用户
+ * @param {vscode.Uri} [uri] - 文件
+ * @param {vscode.Uri[]} [uris] - 资源管理器中选中的所有文件
+ */
+async function insertRemotePathInTerminal(uri, uris) {
+  try {
+    const targets = getTargetUris(uri, uris);
+    if (targets.length === 0) {
+      vscode.window.showWarningMessage('请在资源管理器或编辑器中选择本地文件或文件夹');
+      return;
+    }
+
+    const localPaths = targets.map(toMappingPath);
+    const canMap = sshTerminal => sshTerminal.metadata.serverInfo &&
+      convertLocalPathToRemote(localPaths[0], sshTerminal.metadata.serverInfo);
+
+    let sshTerminal = terminalManager.getActiveSSHTerminal();
+    if (!sshTerminal || !canMap(sshTerminal)) {
+      const candidates = terminalManager.getAllSSHTerminals().filter(canMap);
+      if (candidates.length === 0) {
+        vscode.window.showWarningMessage(`没有打开的SSH终端所连接的服务器映射了 ${localPaths[0]}`);
+        return;
+      }
+
+      if (candidates.length === 1) {
+        sshTerminal = candidates[0];
+      } else {
+        const selection = await vscode.window.showQuickPick(
+          candidates.map(candidate => ({
+            label: candidate.name,
+            description: candidate.serverName,
+            candidate,
+          })),
+          { placeHolder: '选择要插入远程路径的SSH终端' }
+        );
+        if (!selection) {
+          return;
+        }
+        sshTerminal = selection.candidate;
+      }
+    }
+
+    insertRemotePaths(sshTerminal, localPaths);
+  } catch (error) {
+    logger.error(`插入远程路径时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`插入远程路径时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 通过SSH读取服务器的 Samba 共享配置和用户主目录
+ * 连接失败（例如需要密码认证）时返回空的共享列表，由用户手动输入远程目录
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<Object>} - { shares, home }
+ */
+async function querySambaShares(server) {
+  const lines = [];
+  const command = 'echo "SMARTSSH_HOME=$HOME"; testparm -s 2>/dev/null || cat /etc/samba/smb.conf 2>/dev/null';
+
+  try {
+    const result = await vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title: `正在读取 ${server.name} 的 Samba 共享配置...` },
+      () => runRemoteCommand(server, command, { onLine: (line, stream) => stream === 'stdout' && lines.push(line) })
+    );
+    if (result.sshFailed) {
+      logger.warn(`无法连接到服务器 ${server.name} 读取 Samba 配置，需要手动输入远程目录`);
+    }
+  } catch (error) {
+    logger.error(`读取 Samba 配置时出错: ${error.message}`);
+  }
+
+  const homeLine = lines.find(line => line.startsWith('SMARTSSH_HOME='));
+  return {
+    shares: parseSambaShares(lines.filter(line => line !== homeLine).join('\n')),
+    home: homeLine ? homeLine.slice('SMARTSSH_HOME='.length).trim() || null : null,
+  };
+}
+
+/**
+ * 根据本地的 SMB 挂载检测路径映射，确认后添加到服务器配置
+ * @param {string|Object} [serverParam] - 服务器名称、服务器配置或树项（可选）
+ */
+async function detectPathMappings(serverParam) {
+  try {
+    const server = await configLoader.selectServer(serverParam, { placeHolder: '选择要检测路径映射的服务器' });
+    if (!server) return;
+
+    const mounts = await getSmbMounts();
+    if (mounts.length === 0) {
+      vscode.window.showInformationMessage('没有检测到本地的 SMB 挂载');
+      return;
+    }
+
+    // 优先使用主机与服务器相同的挂载，没有时列出所有挂载（主机可能使用了别名或IP）
+    const serverMounts = mounts.filter(mount => isMountOfServer(mount, server));
+    const existing = new Set(getPathMappings(server)
+      .filter(mapping => mapping.localPath)
+      .map(mapping => toSlashPath(mapping.localPath).toLowerCase()));
+    const candidates = (serverMounts.length > 0 ? serverMounts : mounts)
+      .filter(mount => !existing.has(toSlashPath(mount.localPath).toLowerCase()));
+    if (candidates.length === 0) {
+      vscode.window.showInformationMessage(`服务器 ${server.name} 的 SMB 挂载都已配置路径映射`);
+      return;
+    }
+
+    const { shares, home } = await querySambaShares(server);
+    const remoteUser = { username: server.username, home };
+    const selected = await vscode.window.showQuickPick(
+      candidates.map(mount => {
+        const remotePath = resolveShareRemotePath(mount, shares, remoteUser);
+        return {
+          label: `${mount.localPath} → ${remotePath || '（未找到共享目录，选中后手动输入）'}`,
+          description: `//${mount.host}/${mount.share}${mount.subPath}`,
+          detail: serverMounts.length > 0 ? undefined : `挂载的主机与服务器 ${server.host} 不同`,
+          picked: Boolean(remotePath) && serverMounts.length > 0,
+          mount,
+          remotePath,
+        };
+      }),
+      { canPickMany: true, placeHolder: `选择要添加到服务器 ${server.name} 的路径映射` }
+    );
+    if (!selected || selected.length === 0) return;
+
+    const newMappings = [];
+    for (const item of selected) {
+      let remotePath = item.remotePath;
+      if (!remotePath) {
+        remotePath = await vscode.window.showInputBox({
+          prompt: `输入共享 //${item.mount.host}/${item.mount.share}${item.mount.subPath} 在服务器上的目录（${item.mount.localPath}）`,
+          placeHolder: '/home/user/share',
+          ignoreFocusOut: true,
+        });
+        if (!remotePath) continue;
+      }
+      newMappings.push({ localPath: item.mount.localPath, remotePath });
+    }
+    if (newMappings.length === 0) return;
+
+    const updated = await configLoader.patchServer(server.name, saved => ({
+      pathMappings: [...(saved.pathMappings || []), ...newMappings],
+    }));
+    if (!updated) {
+      vscode.window.showErrorMessage(`无法更新服务器 ${server.name} 的配置（服务器可能定义在 .smartssh-smba.json 中），请手动添加路径映射`);
+      return;
+    }
+
+    logger.info(`为服务器 ${server.name} 添加了路径映射`, newMappings);
+    vscode.window.showInformationMessage(`已为服务器 ${server.name} 添加 ${newMappings.length} 个路径映射`);
+  } catch (error) {
+    logger.error(`检测路径映射时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`检测路径映射时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 注册路径映射命令
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand('smartssh-smba.explainPathMapping', explainPathMapping),
+    vscode.commands.registerCommand('smartssh-smba.copyRemotePath', copyRemotePath),
+    vscode.commands.registerCommand('smartssh-smba.copyRemotePathWithLine', copyRemotePathWithLine),
+    vscode.commands.registerCommand('smartssh-smba.copyScpSpec', copyScpSpec),
+    vscode.commands.registerCommand('smartssh-smba.pasteAsRemotePath', pasteAsRemotePath),
+    vscode.commands.registerCommand('smartssh-smba.insertRemotePathInTerminal', insertRemotePathInTerminal),
+    vscode.commands.registerCommand('smartssh-smba.detectPathMappings', detectPathMappings)
+  );
+}
+
+module.exports = {
+  explainPathMapping,
+  copyRemotePath,
+  copyRemotePathWithLine,
+  copyScpSpec,
+  pasteAsRemotePath,
+  insertRemotePathInTerminal,
+  detectPathMappings,
+  register,
+};
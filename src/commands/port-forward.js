@@ -0,0 +1,252 @@
+/**
+ * 端口转发命令模块
+ * 处理SSH端口转发（-L/-R/-D）以及已保存/最近使用的转发
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const terminalManager = require('../services/terminal-manager');
+const { logger } = require('../utils/logger');
+const {
+  PORT_FORWARD_TYPES,
+  isValidPort,
+  validatePortForward,
+  describePortForward,
+  isSamePortForward,
+} = require('../utils/ssh-utils');
+
+// 最近使用的端口转发在全局状态中的键名
+const RECENT_FORWARDS_KEY = 'smartssh-smba.recentPortForwards';
+// 最近使用记录的最大数量
+const MAX_RECENT_FORWARDS = 10;
+
+// 扩展上下文，在register函数中初始化
+let extensionContext;
+
+/**
+ * 获取最近使用的端口转发
+ * @param {string} serverName - 服务器名称
+ * @returns {Array} - 端口转发配置列表
+ */
+function getRecentForwards(serverName) {
+  if (!extensionContext) {
+    return [];
+  }
+  const recent = extensionContext.globalState.get(RECENT_FORWARDS_KEY, []);
+  return recent
+    .filter(item => item.serverName === serverName && item.forward)
+    .map(item => item.forward);
+}
+
+/**
+ * 记录最近使用的端口转发
+ * @param {string} serverName - 服务器名称
+ * @param {Object} forward - 端口转发配置
+ */
+async function addRecentForward(serverName, forward) {
+  if (!extensionContext) {
+    return;
+  }
+
+  const recent = extensionContext.globalState.get(RECENT_FORWARDS_KEY, [])
+    .filter(item => !(item.serverName === serverName && isSamePortForward(item.forward, forward)));
+
+  recent.unshift({ serverName, forward });
+
+  await extensionContext.globalState.update(RECENT_FORWARDS_KEY, recent.slice(0, MAX_RECENT_FORWARDS));
+}
+
+/**
+ * 输入端口号
+ * @param {string} prompt - 提示信息
+ * @param {string} [value] - 默认值
+ * @returns {Promise<number|null>} - 端口号，如果用户取消则返回null
+ */
+async function inputPort(prompt, value) {
+  const input = await vscode.window.showInputBox({
+    placeHolder: '端口号 (1-65535)',
+    prompt,
+    value,
+    validateInput: text => (isValidPort(text) ? null : '请输入 1-65535 之间的端口号'),
+  });
+
+  return input ? parseInt(input, 10) : null;
+}
+
+/**
+ * 根据转发类型输入端口转发参数
+ * @param {string} type - 转发类型（local/remote/dynamic）
+ * @returns {Promise<Object|null>} - 端口转发配置，如果用户取消则返回null
+ */
+async function inputPortForward(type) {
+  if (type === 'local') {
+    const localPort = await inputPort('输入本地监听端口');
+    if (!localPort) return null;
+
+    const remoteHost = await vscode.window.showInputBox({
+      placeHolder: '目标主机 (默认: localhost)',
+      prompt: '输入从服务器可访问的目标主机',
+      value: 'localhost',
+    });
+    if (remoteHost === undefined) return null;
+
+    const remotePort = await inputPort('输入目标端口', String(localPort));
+    if (!remotePort) return null;
+
+    return { type, localPort, remoteHost: remoteHost || 'localhost', remotePort };
+  }
+
+  if (type === 'remote') {
+    const remotePort = await inputPort('输入服务器上的监听端口');
+    if (!remotePort) return null;
+
+    const localHost = await vscode.window.showInputBox({
+      placeHolder: '目标主机 (默认: localhost)',
+      prompt: '输入从本机可访问的目标主机',
+      value: 'localhost',
+    });
+    if (localHost === undefined) return null;
+
+    const localPort = await inputPort('输入目标端口', String(remotePort));
+    if (!localPort) return null;
+
+    return { type, remotePort, localHost: localHost || 'localhost', localPort };
+  }
+
+  if (type === 'dynamic') {
+    const localPort = await inputPort('输入本地SOCKS代理端口', '1080');
+    if (!localPort) return null;
+
+    return { type, localPort };
+  }
+
+  return null;
+}
+
+/**
+ * 将端口转发保存到服务器配置
+ * @param {Object} server - 服务器配置
+ * @param {Object} forward - 端口转发配置
+ * @returns {Promise<boolean>} - 保存是否成功
+ */
+async function savePortForward(server, forward) {
+  const name = await vscode.window.showInputBox({
+    placeHolder: '转发名称 (可选)',
+    prompt: '为该端口转发输入一个便于识别的名称',
+  });
+  if (name === undefined) return false;
+
+  const existing = server.portForwards || [];
+  if (existing.some(f => isSamePortForward(f, forward))) {
+    vscode.window.showInformationMessage('该端口转发已保存');
+    return true;
+  }
+
+  const saved = name ? { name, ...forward } : { ...forward };
+  return configLoader.patchServer(server.name, { portForwards: [...existing, saved] });
+}
+
+/**
+ * SSH端口转发
+ * @param {string|Object} serverParam - 服务器名称、服务器配置或树项（可选）
+ */
+async function portForwarding(serverParam) {
+  try {
+    const server = await configLoader.selectServer(serverParam, {
+      placeHolder: '选择要进行端口转发的服务器',
+      autoSelectSingle: true,
+    });
+    if (!server) return;
+
+    const savedForwards = server.portForwards || [];
+    const recentForwards = getRecentForwards(server.name);
+
+    // 创建转发类型选择项
+    const items = Object.keys(PORT_FORWARD_TYPES).map(type => ({
+      label: PORT_FORWARD_TYPES[type].label,
+      description: PORT_FORWARD_TYPES[type].description,
+      type,
+    }));
+
+    if (savedForwards.length > 0) {
+      items.push({ label: '已保存的转发', description: `${savedForwards.length} 个`, type: 'saved' });
+    }
+    if (recentForwards.length > 0) {
+      items.push({ label: '最近使用', description: `${recentForwards.length} 个`, type: 'recent' });
+    }
+
+    const selection = await vscode.window.showQuickPick(items, {
+      placeHolder: `选择 ${server.name} 的端口转发类型`,
+    });
+    if (!selection) return;
+
+    let forward = null;
+    let isNewForward = false;
+
+    if (selection.type === 'saved' || selection.type === 'recent') {
+      const forwards = selection.type === 'saved' ? savedForwards : recentForwards;
+      const picked = await vscode.window.showQuickPick(
+        forwards.map(f => ({
+          label: f.name || describePortForward(f),
+          description: f.name ? describePortForward(f) : PORT_FORWARD_TYPES[f.type].label,
+          forward: f,
+        })),
+        { placeHolder: '选择端口转发' }
+      );
+      if (!picked) return;
+      forward = picked.forward;
+    } else {
+      forward = await inputPortForward(selection.type);
+      isNewForward = true;
+    }
+
+    if (!forward) return;
+
+    const error = validatePortForward(forward);
+    if (error) {
+      vscode.window.showErrorMessage(error);
+      return;
+    }
+
+    // 新输入的转发可以保存到服务器配置
+    if (isNewForward) {
+      const save = await vscode.window.showQuickPick(['不保存', '保存到服务器配置'], {
+        placeHolder: '是否保存该端口转发以便下次使用?',
+      });
+      if (save === '保存到服务器配置') {
+        const saved = await savePortForward(server, forward);
+        if (!saved) {
+          vscode.window.showWarningMessage('保存端口转发失败，将仅用于本次连接');
+        }
+      }
+    }
+
+    await addRecentForward(server.name, forward);
+
+    logger.info(`为服务器 ${server.name} 建立端口转发: ${describePortForward(forward)}`);
+    const terminal = await terminalManager.createSshTerminal(server, { portForwards: [forward] });
+    if (!terminal) {
+      vscode.window.showErrorMessage(`无法创建到服务器 ${server.name} 的端口转发终端`);
+    }
+  } catch (error) {
+    logger.error(`端口转发时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`端口转发时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 注册端口转发命令
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  extensionContext = context;
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('smartssh-smba.portForwarding', portForwarding)
+  );
+}
+
+module.exports = {
+  portForwarding,
+  register,
+};
@@ -0,0 +1,204 @@
+/**
+ * 远程构建命令模块
+ * 在服务器上执行构建命令，输出显示在输出面板中，并把其中的错误、警告和提示转换为本地文件的问题（Problems 面板）
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const terminalManager = require('../services/terminal-manager');
+const { runRemoteCommand } = require('../services/remote-runner');
+const { resolveRemoteRealPaths } = require('../services/remote-realpath');
+const { logger } = require('../utils/logger');
+const { parseBuildOutput } = require('../utils/build-output-parser');
+const { convertLocalPathToRemote, resolveWorkspaceFolderForServer } = require('../utils/path-utils');
+const { toMappingPath, toEditorUri } = require('../utils/remote-uri');
+
+// 上次使用的构建命令在工作区状态中的键名
+const LAST_BUILD_COMMAND_KEY = 'smartssh-smba.lastBuildCommand';
+// 默认的构建命令
+const DEFAULT_BUILD_COMMAND = 'make';
+
+// 严重程度对应的诊断级别
+const SEVERITY_MAP = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  info: vscode.DiagnosticSeverity.Information,
+};
+
+// 扩展上下文、诊断集合和输出面板，在register函数中初始化
+let extensionContext;
+let diagnosticCollection;
+let outputChannel;
+// 正在执行的构建，同一时间只执行一个
+let running = false;
+
+/**
+ * 选择要构建的服务器：命令参数 > 当前SSH终端的服务器 > 用户选择
+ * @param {string|Object} [serverParam] - 服务器名称、服务器配置或树项
+ * @returns {Promise<Object|null>} - 服务器配置，如果用户取消则返回null
+ */
+function selectBuildServer(serverParam) {
+  const sshTerminal = terminalManager.getActiveSSHTerminal();
+  return configLoader.selectServer(serverParam, {
+    placeHolder: '选择要执行构建的服务器',
+    defaultServerName: sshTerminal && sshTerminal.metadata.serverInfo ? sshTerminal.metadata.serverInfo.name : null,
+  });
+}
+
+/**
+ * 确定执行构建的远程目录：当前SSH终端的工作目录 > 工作区文件夹映射的远程目录
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<string|null>} - 远程目录，无法确定时返回null（使用远程用户主目录）
+ */
+async function resolveBuildDirectory(server) {
+  const sshTerminal = terminalManager.getActiveSSHTerminal();
+  if (sshTerminal && sshTerminal.metadata.serverInfo && sshTerminal.metadata.serverInfo.name === server.name &&
+    sshTerminal.metadata.currentWorkingDirectory) {
+    return sshTerminal.metadata.currentWorkingDirectory;
+  }
+
+  const workspaceFolder = await resolveWorkspaceFolderForServer(server);
+  const remotePath = workspaceFolder ? convertLocalPathToRemote(toMappingPath(workspaceFolder.uri), server) : null;
+  return remotePath && remotePath.length > 1 ? remotePath.replace(/\/+$/, '') : remotePath;
+}
+
+/**
+ * 将解析出的问题设置到诊断集合
+ * @param {Array} problems - 构建输出中的问题
+ * @param {Object} server - 服务器配置
+ */
+function setDiagnostics(problems, server) {
+  const byFile = new Map();
+  for (const problem of problems) {
+    const position = new vscode.Position(Math.max(problem.line - 1, 0), Math.max(problem.column - 1, 0));
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(position, position),
+      problem.message,
+      SEVERITY_MAP[problem.severity]
+    );
+    diagnostic.source = `SmartSSH-SMBA (${server.name})`;
+
+    if (!byFile.has(problem.localPath)) {
+      byFile.set(problem.localPath, []);
+    }
+    byFile.get(problem.localPath).push(diagnostic);
+  }
+
+  for (const [localPath, diagnostics] of byFile) {
+    diagnosticCollection.set(toEditorUri(localPath), diagnostics);
+  }
+}
+
+/**
+ * 在服务器上执行构建命令并把输出中的问题显示到 Problems 面板
+ * 每次执行前清除上次构建的问题
+ * @param {string|Object} [serverParam] - 服务器名称、服务器配置或树项（可选）
+ */
+async function runRemoteBuild(serverParam) {
+  if (running) {
+    vscode.window.showWarningMessage('已有远程构建正在执行');
+    return;
+  }
+
+  // 在第一次等待之前设置，避免选择服务器或输入命令期间再次触发构建
+  running = true;
+  try {
+    const server = await selectBuildServer(serverParam);
+    if (!server) return;
+
+    const command = await vscode.window.showInputBox({
+      prompt: `在服务器 ${server.name} 上执行的构建命令`,
+      value: server.buildCommand ||
+        extensionContext.workspaceState.get(LAST_BUILD_COMMAND_KEY) ||
+        configLoader.getConfig().buildCommand ||
+        DEFAULT_BUILD_COMMAND,
+      ignoreFocusOut: true,
+    });
+    if (!command || !command.trim()) return;
+    await extensionContext.workspaceState.update(LAST_BUILD_COMMAND_KEY, command);
+
+    const cwd = await resolveBuildDirectory(server);
+    const lines = [];
+
+    diagnosticCollection.clear();
+    outputChannel.clear();
+    outputChannel.show(true);
+    outputChannel.appendLine(`> ${server.username}@${server.host}${cwd ? `:${cwd}` : ''} $ ${command}`);
+
+    const result = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `正在 ${server.name} 上构建: ${command}`,
+        cancellable: true,
+      },
+      (progress, token) => runRemoteCommand(server, command, {
+        cwd,
+        token,
+        onLine: line => {
+          lines.push(line);
+          outputChannel.appendLine(line);
+        },
+      })
+    );
+
+    const parseOptions = { defaultSeverity: configLoader.getConfig().buildDefaultSeverity };
+    let { problems, unmapped } = parseBuildOutput(lines, server, cwd, parseOptions);
+    // 编译器输出的可能是符号链接解析后的真实路径，查询映射目录的真实路径后重新解析
+    if (unmapped.length > 0 && !result.sshFailed && await resolveRemoteRealPaths(server)) {
+      ({ problems, unmapped } = parseBuildOutput(lines, server, cwd, parseOptions));
+    }
+    setDiagnostics(problems, server);
+    if (unmapped.length > 0) {
+      outputChannel.appendLine(`\n以下路径不在路径映射范围内，没有显示到问题面板:\n${unmapped.join('\n')}`);
+    }
+
+    const errorCount = problems.filter(problem => problem.severity === 'error').length;
+    const warningCount = problems.filter(problem => problem.severity === 'warning').length;
+    const summary = `${errorCount} 个错误，${warningCount} 个警告`;
+
+    if (result.cancelled) {
+      vscode.window.showInformationMessage(`远程构建已取消（${summary}）`);
+    } else if (result.sshFailed) {
+      vscode.window.showErrorMessage(`无法连接到服务器 ${server.name}，远程构建需要无需密码的SSH认证（密钥或 ssh-agent），详情见输出面板`);
+    } else if (result.exitCode === 0) {
+      vscode.window.showInformationMessage(`远程构建成功（${summary}）`);
+    } else {
+      vscode.window.showErrorMessage(`远程构建失败，退出码 ${result.exitCode}（${summary}）`);
+    }
+  } catch (error) {
+    logger.error(`远程构建时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`远程构建时出错: ${error.message}`);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * 清除远程构建的问题
+ */
+function clearBuildProblems() {
+  diagnosticCollection.clear();
+}
+
+/**
+ * 注册远程构建命令
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  extensionContext = context;
+  diagnosticCollection = vscode.languages.createDiagnosticCollection('smartssh-smba-build');
+  outputChannel = vscode.window.createOutputChannel('SmartSSH-SMBA 远程构建');
+
+  context.subscriptions.push(
+    diagnosticCollection,
+    outputChannel,
+    vscode.commands.registerCommand('smartssh-smba.runRemoteBuild', runRemoteBuild),
+    vscode.commands.registerCommand('smartssh-smba.clearBuildProblems', clearBuildProblems)
+  );
+}
+
+module.exports = {
+  runRemoteBuild,
+  clearBuildProblems,
+  register,
+};
@@ -3,11 +3,18 @@
  * 处理所有与服务器管理相关的命令
  */
 
+const path = require('path');
 const vscode = require('vscode');
 const configLoader = require('../adapters/config-loader');
+const credentialStore = require('../adapters/credential-store');
 const { logger } = require('../utils/logger');
 const { ServerTreeProvider } = require('../ui/tree-view/server-provider');
 const terminalManager = require('../services/terminal-manager');
+const fileService = require('../services/file-service');
+const { getDefaultSshConfigPath, parseSshConfig, toServerConfig } = require('../utils/ssh-config-parser');
+const { findServerForPath, convertLocalPathToRemote } = require('../utils/path-utils');
+const { buildRemoteCdCommand } = require('../utils/ssh-utils');
+const { REMOTE_SCHEME, toMappingPath } = require('../utils/remote-uri');
 
 // 服务器树提供者实例，在register函数中初始化
 let serverTreeProvider;
@@ -70,6 +77,91 @@ async function addServer() {
   }
 }
 
+/**
+ * 从 ~/.ssh/config 导入服务器
+ */
+async function importFromSshConfig() {
+  try {
+    const configPath = getDefaultSshConfigPath();
+    const sshHosts = parseSshConfig(configPath);
+
+    if (sshHosts.length === 0) {
+      vscode.window.showInformationMessage(`在 ${configPath} 中没有找到可导入的主机`);
+      return;
+    }
+
+    const existingNames = (configLoader.getServerList() || []).map(s => s.name);
+
+    // 创建选择项，已存在的同名服务器不可重复导入
+    const items = sshHosts.map(sshHost => {
+      const server = toServerConfig(sshHost);
+      const exists = existingNames.includes(server.name);
+      return {
+        label: server.name,
+        description: `${server.username}@${server.host}${server.port ? `:${server.port}` : ''}`,
+        detail: exists
+          ? '已存在同名服务器，将跳过'
+          : server.jumpHosts ? `跳板机: ${server.jumpHosts.join(' → ')}` : undefined,
+        server,
+        exists,
+      };
+    });
+
+    const selection = await vscode.window.showQuickPick(items, {
+      placeHolder: '选择要导入的主机',
+      canPickMany: true,
+    });
+
+    if (!selection || selection.length === 0) return;
+
+    // 选择保存位置
+    let saveToWorkspace = false;
+    if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
+      const target = await vscode.window.showQuickPick(
+        [
+          { label: '全局配置', description: '保存到用户设置', workspace: false },
+          { label: '工作区配置', description: '保存到当前工作区设置', workspace: true },
+        ],
+        { placeHolder: '选择导入的服务器保存位置' }
+      );
+      if (!target) return;
+      saveToWorkspace = target.workspace;
+    }
+
+    const imported = [];
+    const skipped = [];
+    for (const item of selection) {
+      if (item.exists) {
+        skipped.push(item.label);
+        continue;
+      }
+
+      // 逐个写入，addServer 每次都会读取最新的配置
+      const result = await configLoader.addServer(item.server, saveToWorkspace);
+      if (result) {
+        imported.push(item.label);
+      } else {
+        skipped.push(item.label);
+      }
+    }
+
+    logger.info(`从SSH配置导入服务器: 成功 ${imported.length} 个，跳过 ${skipped.length} 个`);
+
+    if (imported.length > 0) {
+      vscode.commands.executeCommand('smartssh-smba.refreshServerList');
+    }
+
+    if (skipped.length > 0) {
+      vscode.window.showWarningMessage(`已导入 ${imported.length} 个服务器，跳过: ${skipped.join(', ')}`);
+    } else {
+      vscode.window.showInformationMessage(`已导入 ${imported.length} 个服务器`);
+    }
+  } catch (error) {
+    logger.error(`从SSH配置导入服务器时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`从SSH配置导入服务器时出错: ${error.message}`);
+  }
+}
+
 /**
  * 编辑服务器
  * @param {Object} server - 服务器对象
@@ -134,6 +226,8 @@ async function deleteServer(server) {
     const result = await configLoader.deleteServer(server.name);
 
     if (result) {
+      // 同时清除安全存储中的密码
+      await credentialStore.deletePassword(server.name);
       vscode.window.showInformationMessage(`服务器 ${server.name} 已删除`);
 
       // 刷新树视图
@@ -247,6 +341,58 @@ async function fastOpenConnection() {
   }
 }
 
+/**
+ * 在SSH终端中进入文件或文件夹映射的远程目录
+ * 根据路径映射自动选择服务器，复用该服务器已连接的终端，没有（或 ssh 已退出）则新建连接
+ * @param {vscode.Uri} [uri] - 资源管理器或编辑器中选中的文件/文件夹，默认为活动编辑器中的文件
+ */
+async function openInSshTerminal(uri) {
+  try {
+    const targetUri = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+    if (!targetUri || (targetUri.scheme !== 'file' && targetUri.scheme !== REMOTE_SCHEME)) {
+      vscode.window.showWarningMessage('请在资源管理器或编辑器中选择本地文件或文件夹');
+      return;
+    }
+
+    const localPath = toMappingPath(targetUri);
+    const server = findServerForPath(localPath);
+    if (!server) {
+      vscode.window.showWarningMessage(`没有服务器的路径映射包含 ${localPath}`);
+      return;
+    }
+
+    // 文件进入其所在的目录
+    const { exists, isDirectory } = await fileService.checkPathExists(localPath);
+    const dirname = targetUri.scheme === REMOTE_SCHEME ? path.posix.dirname : path.dirname;
+    const localDir = exists && !isDirectory ? dirname(localPath) : localPath;
+
+    let remoteDir = convertLocalPathToRemote(localDir, server);
+    if (!remoteDir) {
+      vscode.window.showWarningMessage(`无法将 ${localDir} 转换为服务器 ${server.name} 上的路径`);
+      return;
+    }
+    remoteDir = remoteDir.length > 1 ? remoteDir.replace(/\/+$/, '') : remoteDir;
+    logger.info(`在服务器 ${server.name} 的终端中打开: ${remoteDir}`);
+
+    const { terminal, isNewConnection } = await terminalManager.getOrCreateSSHTerminal(server, false, {
+      remotePath: remoteDir,
+      workspaceFolder: vscode.workspace.getWorkspaceFolder(targetUri) || null,
+    });
+    if (!terminal) {
+      return;
+    }
+
+    // 新建的连接在登录时已切换目录，已有的终端发送 cd 命令
+    if (!isNewConnection) {
+      terminal.sendText(buildRemoteCdCommand(remoteDir));
+    }
+    terminal.show();
+  } catch (error) {
+    logger.error(`在SSH终端中打开目录失败: ${error.message}`);
+    vscode.window.showErrorMessage(`在SSH终端中打开目录失败: ${error.message}`);
+  }
+}
+
 /**
  * 注册服务器管理命令
  * @param {vscode.ExtensionContext} context - 扩展上下文
@@ -259,10 +405,12 @@ function register(context, treeProvider) {
 
 module.exports = {
   addServer,
+  importFromSshConfig,
   editServer,
   deleteServer,
   refreshServerList,
   connectToServer,
   fastOpenConnection,
+  openInSshTerminal,
   register,
 };
@@ -8,6 +8,12 @@ const { ServerTreeProvider } = require('./ui/tree-view/server-provider');
 const { CommandTreeProvider } = require('./ui/tree-view/command-provider');
 const configLoader = require('./adapters/config-loader');
 const terminalLinks = require('./ui/terminal-links');
+const taskProvider = require('./services/task-provider');
+const remoteSnapshot = require('./services/remote-snapshot');
+const remoteFileSystem = require('./services/remote-file-system');
+const mountDetector = require('./utils/mount-detector');
+const { clearResolvedAliases } = require('./utils/remote-aliases');
+const terminalManager = require('./services/terminal-manager');
 
 /**
  * 扩展激活入口点
@@ -19,6 +25,9 @@ function activate(context) {
     // 初始化日志
     logger.info('扩展正在启动...');
 
+    // 扩展停用时释放终端管理器的事件订阅
+    context.subscriptions.push(terminalManager);
+
     // 初始化状态栏
     statusBar.initialize(context);
 
@@ -51,8 +60,10 @@ function activate(context) {
     context.subscriptions.push(
       vscode.workspace.onDidChangeConfiguration(event => {
         if (event.affectsConfiguration('smartssh-smba')) {
-          // 刷新配置缓存
+          // 刷新配置缓存，路径映射可能已变化，远程目录的真实路径需要重新查询
           configLoader.refreshCache();
+          clearResolvedAliases();
+          remoteFileSystem.clearStatCache();
 
           // 刷新树视图
           serverTreeProvider.refresh();
@@ -63,9 +74,30 @@ function activate(context) {
       })
     );
 
+    // 加载并监听各工作区文件夹的 .smartssh-smba.json
+    configLoader.watchWorkspaceConfigs(context, () => {
+      clearResolvedAliases();
+      serverTreeProvider.refresh();
+      commandTreeProvider.refresh();
+    });
+
     // 注册文件路径点击处理
     terminalLinks.registerAll(context);
 
+    // 注册 smartssh 任务类型
+    taskProvider.register(context);
+
+    // 注册远程文件快照（不在路径映射范围内的远程文件）
+    remoteSnapshot.register(context);
+
+    // 注册 smartssh:// 远程文件系统（没有 SMB 共享的服务器）
+    remoteFileSystem.register(context);
+
+    // 读取网络驱动器对应的 UNC 路径（仅 Windows），用于匹配驱动器和 UNC 两种形式的路径映射
+    mountDetector.refreshMappedDrives().catch(error => {
+      logger.error(`读取网络驱动器时出错: ${error.message}`);
+    });
+
     // 加载初始服务器列表
     serverTreeProvider.refresh();
     commandTreeProvider.refresh();
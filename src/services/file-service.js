@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
 const { logger } = require('../utils/logger');
+const { isRemoteUriPath, toEditorUri } = require('../utils/remote-uri');
 
 /**
  * 搜索并打开文件
@@ -59,12 +60,19 @@ async function searchAndOpenFile(fileName, line, column) {
 }
 
 /**
- * 检查路径是否存在
+ * 检查路径是否存在，smartssh:// 路径通过远程文件系统检查
  * @param {string} pathToCheck 要检查的路径
  * @returns {Promise<Object>} 路径存在信息
  */
 async function checkPathExists(pathToCheck) {
   try {
+    if (isRemoteUriPath(pathToCheck)) {
+      const remoteStat = await vscode.workspace.fs.stat(toEditorUri(pathToCheck));
+      return {
+        exists: true,
+        isDirectory: (remoteStat.type & vscode.FileType.Directory) !== 0
+      };
+    }
     const stat = await fs.promises.stat(pathToCheck);
     return {
       exists: true,
@@ -86,7 +94,7 @@ async function openLocalFile(path) {
   if (path) {
     try {
       // 打开文件
-      const uri = vscode.Uri.file(path);
+      const uri = toEditorUri(path);
       const doc = await vscode.workspace.openTextDocument(uri);
       await vscode.window.showTextDocument(doc);
       return true;
@@ -101,13 +109,14 @@ async function openLocalFile(path) {
 
 /**
  * 在编辑器中打开文件，支持定位到特定行列
- * @param {string} filePath 文件路径
+ * @param {string|vscode.Uri} filePath 文件路径或 URI
  * @param {number} line 行号
  * @param {number} column 列号
  */
 async function openFileInEditor(filePath, line, column) {
   try {
-    const document = await vscode.workspace.openTextDocument(filePath);
+    const target = isRemoteUriPath(filePath) ? toEditorUri(filePath) : filePath;
+    const document = await vscode.workspace.openTextDocument(target);
     const editor = await vscode.window.showTextDocument(document);
     if (line !== undefined) {
       const position = new vscode.Position(line - 1, column || 0);
@@ -0,0 +1,343 @@
+/**
+ * 远程文件系统模块
+ * 为没有 SMB 共享的服务器提供 smartssh://<服务器名称>/<远程路径> 文件系统，通过 ssh 执行 stat、find、cat 等命令读写文件。
+ * 每个操作使用一个 BatchMode 的 ssh 进程，需要密钥或 ssh-agent 认证，服务器需要 GNU coreutils 和 find
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const { execRemoteCommand } = require('./remote-runner');
+const { logger } = require('../utils/logger');
+const { quoteRemotePath } = require('../utils/ssh-utils');
+const { REMOTE_SCHEME, getRemotePathOfUri, buildRemoteUri } = require('../utils/remote-uri');
+
+// 输出行的标记，用于忽略登录脚本等其他输出
+const OUTPUT_MARKER = 'SMARTSSH_FS';
+// 文件状态的缓存时间（毫秒），编辑器打开文件时会连续多次查询同一路径
+const STAT_CACHE_TTL = 3000;
+// 查询文件状态和目录内容的超时时间（毫秒）
+const METADATA_TIMEOUT = 15000;
+// 读写文件内容、删除和移动的超时时间（毫秒），给较大的文件和目录留出足够的时间，避免连接挂起时编辑器一直等待
+const TRANSFER_TIMEOUT = 5 * 60 * 1000;
+// 不支持 GNU 扩展参数（stat --printf、find -printf）的命令的错误信息，例如 BSD 和 BusyBox 的 stat、find
+const GNU_REQUIRED_PATTERN = /unrecognized|illegal option|invalid option|unknown (?:primary|predicate|option)/i;
+
+// 文件状态缓存，键为 URI 字符串，值为 { stat, time }（stat 为null表示不存在）
+const statCache = new Map();
+// 文件变化事件
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * 根据 URI 的 authority 查找服务器
+ * @param {vscode.Uri} uri - smartssh URI
+ * @returns {Object} - 服务器配置
+ */
+function getServerOfUri(uri) {
+  const serverList = configLoader.getServerList();
+  const server = serverList.find(s => s.name === uri.authority) ||
+    serverList.find(s => s.name.toLowerCase() === uri.authority.toLowerCase());
+  if (!server) {
+    throw vscode.FileSystemError.Unavailable(`找不到服务器: ${uri.authority}`);
+  }
+  return server;
+}
+
+/**
+ * 根据 ssh 的错误输出创建对应的文件系统错误
+ * @param {vscode.Uri} uri - 文件 URI
+ * @param {Object} result - execRemoteCommand 的结果
+ * @returns {Error} - 文件系统错误
+ */
+function toFileSystemError(uri, result) {
+  const message = result.stderr || `远程命令失败，退出码: ${result.exitCode}`;
+  if (result.sshFailed) {
+    return vscode.FileSystemError.Unavailable(`无法连接到服务器 ${uri.authority}，远程文件系统需要无需密码的SSH认证（密钥或 ssh-agent）`);
+  }
+  if (GNU_REQUIRED_PATTERN.test(message)) {
+    return vscode.FileSystemError.Unavailable(`服务器 ${uri.authority} 的 stat 或 find 不支持 --printf/-printf 参数，远程文件系统需要 GNU coreutils 和 findutils: ${message}`);
+  }
+  if (/No such file or directory/i.test(message)) {
+    return vscode.FileSystemError.FileNotFound(uri);
+  }
+  if (/File exists/i.test(message)) {
+    return vscode.FileSystemError.FileExists(uri);
+  }
+  if (/Is a directory/i.test(message)) {
+    return vscode.FileSystemError.FileIsADirectory(uri);
+  }
+  if (/Not a directory/i.test(message)) {
+    return vscode.FileSystemError.FileNotADirectory(uri);
+  }
+  if (/Permission denied|Operation not permitted|Read-only file system/i.test(message)) {
+    return vscode.FileSystemError.NoPermissions(uri);
+  }
+  return new Error(message);
+}
+
+/**
+ * 在 URI 所在的服务器上执行命令，失败时抛出文件系统错误
+ * @param {vscode.Uri} uri - smartssh URI
+ * @param {string} command - 远程命令，$P 为文件的远程路径
+ * @param {Object} [options] - 执行选项
+ * @param {Uint8Array} [options.input] - 标准输入的内容
+ * @param {number} [options.timeout] - 超时时间（毫秒）
+ * @returns {Promise<Buffer>} - 标准输出
+ */
+async function runOnServer(uri, command, options = {}) {
+  const server = getServerOfUri(uri);
+  const fullCommand = `P=${quoteRemotePath(getRemotePathOfUri(uri))}; ${command}`;
+
+  const cancellation = options.timeout ? new vscode.CancellationTokenSource() : null;
+  const timer = cancellation ? setTimeout(() => cancellation.cancel(), options.timeout) : null;
+  try {
+    const result = await execRemoteCommand(server, fullCommand, {
+      input: options.input,
+      token: cancellation ? cancellation.token : undefined,
+    });
+    if (result.cancelled) {
+      throw vscode.FileSystemError.Unavailable(`访问服务器 ${server.name} 上的 ${getRemotePathOfUri(uri)} 超时`);
+    }
+    if (result.exitCode !== 0) {
+      throw toFileSystemError(uri, result);
+    }
+    return result.stdout;
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (cancellation) cancellation.dispose();
+  }
+}
+
+/**
+ * 获取带有标记的输出行，去掉标记
+ * @param {Buffer} stdout - 标准输出
+ * @returns {string[]} - 输出行
+ */
+function getMarkedLines(stdout) {
+  const prefix = `${OUTPUT_MARKER}\t`;
+  return stdout.toString().split(/\r?\n/)
+    .filter(line => line.startsWith(prefix))
+    .map(line => line.slice(prefix.length));
+}
+
+/**
+ * 获取父目录的 URI
+ * @param {vscode.Uri} uri - 文件 URI
+ * @returns {vscode.Uri} - 父目录 URI
+ */
+function getParentUri(uri) {
+  const parentPath = uri.path.replace(/\/+$/, '').replace(/\/[^/]*$/, '') || '/';
+  return uri.with({ path: parentPath });
+}
+
+/**
+ * 文件或目录变化后清除缓存并通知编辑器
+ * @param {Array} events - [{ type, uri }]
+ */
+function notifyChanges(events) {
+  for (const event of events) {
+    statCache.delete(event.uri.toString());
+    statCache.delete(getParentUri(event.uri).toString());
+  }
+  changeEmitter.fire(events);
+}
+
+/**
+ * 转换文件类型（stat 命令中判断的类型或 find -printf '%Y' 的类型）
+ * @param {string} type - d（目录）、f（普通文件）或其他
+ * @param {boolean} isLink - 是否为符号链接
+ * @returns {vscode.FileType} - 文件类型
+ */
+function toFileType(type, isLink) {
+  let fileType = vscode.FileType.Unknown;
+  if (type === 'd') {
+    fileType = vscode.FileType.Directory;
+  } else if (type === 'f') {
+    fileType = vscode.FileType.File;
+  }
+  return isLink ? fileType | vscode.FileType.SymbolicLink : fileType;
+}
+
+/**
+ * smartssh 文件系统提供者
+ */
+const remoteFileSystemProvider = {
+  onDidChangeFile: changeEmitter.event,
+
+  // 远程文件的变化无法监听，保存和删除等由本扩展发起的操作会发出变化事件
+  watch() {
+    return new vscode.Disposable(() => {});
+  },
+
+  async stat(uri) {
+    const key = uri.toString();
+    const cached = statCache.get(key);
+    if (cached && Date.now() - cached.time < STAT_CACHE_TTL) {
+      if (!cached.stat) {
+        throw vscode.FileSystemError.FileNotFound(uri);
+      }
+      return cached.stat;
+    }
+
+    // 输出：标记、类型、大小、修改时间、状态改变时间、是否可写、是否为符号链接
+    // stat 失败（例如不支持 --printf）时以非零退出码结束，以便根据错误信息判断原因
+    const command = `if [ ! -e "$P" ]; then printf '${OUTPUT_MARKER}\\tmissing\\n'; exit 0; fi; ` +
+      't=o; [ -d "$P" ] && t=d; [ -f "$P" ] && t=f; w=; [ -w "$P" ] && w=w; l=; [ -L "$P" ] && l=l; ' +
+      's=$(stat -L --printf \'%s\\t%Y\\t%Z\' -- "$P") || exit 1; ' +
+      `printf '${OUTPUT_MARKER}\\t%s\\t%s\\t%s\\t%s\\n' "$t" "$s" "$w" "$l"`;
+    const [line] = getMarkedLines(await runOnServer(uri, command, { timeout: METADATA_TIMEOUT }));
+    if (!line) {
+      throw new Error(`无法读取 ${getRemotePathOfUri(uri)} 的文件状态`);
+    }
+    if (line === 'missing') {
+      statCache.set(key, { stat: null, time: Date.now() });
+      throw vscode.FileSystemError.FileNotFound(uri);
+    }
+
+    const [type, size, mtime, ctime, writable, link] = line.split('\t');
+    const stat = {
+      type: toFileType(type, link === 'l'),
+      size: Number(size) || 0,
+      mtime: Number(mtime) * 1000,
+      ctime: Number(ctime) * 1000,
+    };
+    if (writable !== 'w') {
+      stat.permissions = vscode.FilePermission.Readonly;
+    }
+    statCache.set(key, { stat, time: Date.now() });
+    return stat;
+  },
+
+  async readDirectory(uri) {
+    // %y 为条目本身的类型，%Y 为符号链接指向的类型
+    // 不同 shell 的 cd 错误信息不同，先检查目录以便转换为对应的文件系统错误
+    const command = 'if [ ! -e "$P" ]; then echo "$P: No such file or directory" >&2; exit 1; fi; ' +
+      'if [ ! -d "$P" ]; then echo "$P: Not a directory" >&2; exit 1; fi; ' +
+      `cd -- "$P" && find . -mindepth 1 -maxdepth 1 -printf '${OUTPUT_MARKER}\\t%y%Y\\t%f\\n'`;
+    const stdout = await runOnServer(uri, command, { timeout: METADATA_TIMEOUT });
+    return getMarkedLines(stdout).map(line => {
+      const [types, ...nameParts] = line.split('\t');
+      return [nameParts.join('\t'), toFileType(types[1], types[0] === 'l')];
+    });
+  },
+
+  async readFile(uri) {
+    return new Uint8Array(await runOnServer(uri, 'cat -- "$P"', { timeout: TRANSFER_TIMEOUT }));
+  },
+
+  async writeFile(uri, content, options) {
+    const checks = ['if [ -d "$P" ]; then echo "$P: Is a directory" >&2; exit 1; fi'];
+    if (!options.create) {
+      checks.push('if [ ! -e "$P" ]; then echo "$P: No such file or directory" >&2; exit 1; fi');
+    }
+    if (!options.overwrite) {
+      checks.push('if [ -e "$P" ]; then echo "$P: File exists" >&2; exit 1; fi');
+    }
+    // 输出写入前文件是否存在，用于发出创建或修改事件
+    const command = `${checks.join('; ')}; e=0; [ -e "$P" ] && e=1; cat > "$P" && printf '${OUTPUT_MARKER}\\t%s\\n' "$e"`;
+
+    const stdout = await runOnServer(uri, command, { input: content, timeout: TRANSFER_TIMEOUT });
+    const [existed] = getMarkedLines(stdout);
+    notifyChanges([{
+      type: existed === '1' ? vscode.FileChangeType.Changed : vscode.FileChangeType.Created,
+      uri,
+    }]);
+  },
+
+  async createDirectory(uri) {
+    await runOnServer(uri, 'mkdir -- "$P"', { timeout: METADATA_TIMEOUT });
+    notifyChanges([{ type: vscode.FileChangeType.Created, uri }]);
+  },
+
+  async delete(uri, options) {
+    const command = options.recursive
+      ? 'if [ ! -e "$P" ] && [ ! -L "$P" ]; then echo "$P: No such file or directory" >&2; exit 1; fi; rm -rf -- "$P"'
+      : 'if [ -d "$P" ] && [ ! -L "$P" ]; then rmdir -- "$P"; else rm -- "$P"; fi';
+    await runOnServer(uri, command, { timeout: TRANSFER_TIMEOUT });
+    notifyChanges([{ type: vscode.FileChangeType.Deleted, uri }]);
+  },
+
+  async rename(oldUri, newUri, options) {
+    if (oldUri.authority !== newUri.authority) {
+      throw vscode.FileSystemError.NoPermissions('不能在不同服务器之间移动文件');
+    }
+    // 在目标路径上执行，目标已存在的错误对应新路径
+    const source = quoteRemotePath(getRemotePathOfUri(oldUri));
+    const existsCheck = options.overwrite
+      ? ''
+      : 'if [ -e "$P" ]; then echo "$P: File exists" >&2; exit 1; fi; ';
+    // -T 使目标是已存在的目录时也按文件名替换，而不是移动到目录中
+    await runOnServer(newUri, `${existsCheck}mv -fT -- ${source} "$P"`, { timeout: TRANSFER_TIMEOUT });
+    notifyChanges([
+      { type: vscode.FileChangeType.Deleted, uri: oldUri },
+      { type: vscode.FileChangeType.Created, uri: newUri },
+    ]);
+  },
+};
+
+/**
+ * 将服务器上的目录作为 smartssh:// 工作区文件夹添加到工作区
+ * @param {string|Object} [serverParam] - 服务器名称、服务器配置或树项
+ */
+async function openRemoteFolder(serverParam) {
+  try {
+    const server = await configLoader.selectServer(serverParam, { placeHolder: '选择要打开远程文件夹的服务器' });
+    if (!server) {
+      return;
+    }
+
+    const input = await vscode.window.showInputBox({
+      prompt: `输入服务器 ${server.name} 上的目录（~ 表示用户主目录）`,
+      value: '~',
+      validateInput: value => (value.startsWith('/') || value === '~' || value.startsWith('~/')
+        ? null
+        : '请输入绝对路径或以 ~/ 开头的路径'),
+    });
+    if (!input) {
+      return;
+    }
+
+    const remotePath = input.length > 1 ? input.replace(/\/+$/, '') : input;
+    const uri = buildRemoteUri(server.name, remotePath);
+    const stat = await vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title: `正在连接 ${server.name}` },
+      () => vscode.workspace.fs.stat(uri)
+    );
+    if (!(stat.type & vscode.FileType.Directory)) {
+      vscode.window.showErrorMessage(`${remotePath} 不是服务器 ${server.name} 上的目录`);
+      return;
+    }
+
+    logger.info(`添加远程工作区文件夹: ${server.name}:${remotePath}`);
+    const folderCount = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders.length : 0;
+    vscode.workspace.updateWorkspaceFolders(folderCount, 0, { uri, name: `${server.name}:${remotePath}` });
+  } catch (error) {
+    logger.error(`打开远程文件夹时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`打开远程文件夹时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 注册远程文件系统提供者和打开远程文件夹命令
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  context.subscriptions.push(
+    vscode.workspace.registerFileSystemProvider(REMOTE_SCHEME, remoteFileSystemProvider, { isCaseSensitive: true }),
+    vscode.commands.registerCommand('smartssh-smba.openRemoteFolder', openRemoteFolder),
+    changeEmitter
+  );
+}
+
+/**
+ * 清除文件状态缓存（服务器配置变化后）
+ */
+function clearStatCache() {
+  statCache.clear();
+}
+
+module.exports = {
+  remoteFileSystemProvider,
+  openRemoteFolder,
+  clearStatCache,
+  register,
+};
@@ -0,0 +1,139 @@
+/**
+ * 远程真实路径查询模块
+ * 通过SSH对路径映射的远程目录执行 realpath，目录是符号链接时把真实路径记录为别名（每个服务器只查询一次），
+ * 使编译器等工具输出的真实路径也能转换为本地路径
+ */
+
+const vscode = require('vscode');
+const { runRemoteCommand } = require('./remote-runner');
+const { logger } = require('../utils/logger');
+const { quoteRemotePath } = require('../utils/ssh-utils');
+const { getPathMappings, convertRemotePathToLocal } = require('../utils/path-utils');
+const { getMappingKind } = require('../utils/path-mapping-rules');
+const { hasResolvedAliases, setResolvedAliases } = require('../utils/remote-aliases');
+
+// 输出行的标记，用于忽略登录脚本等其他输出
+const OUTPUT_MARKER = 'SMARTSSH_REALPATH';
+// 查询的超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+// 查询失败后重新查询的间隔（毫秒），避免每次打开路径都重新连接
+const FAILURE_RETRY_INTERVAL = 60000;
+
+// 正在进行的查询，键为服务器名称
+const pendingQueries = new Map();
+// 查询失败的时间，键为服务器名称
+const failedQueries = new Map();
+
+/**
+ * 获取需要查询真实路径的远程目录（前缀映射的远程路径）
+ * @param {Object} server - 服务器配置
+ * @returns {string[]} - 远程目录
+ */
+function getMappedRemoteRoots(server) {
+  const roots = getPathMappings(server)
+    .filter(mapping => getMappingKind(mapping) === 'prefix')
+    .map(mapping => (mapping.remotePath.length > 1 ? mapping.remotePath.replace(/\/+$/, '') : mapping.remotePath))
+    .filter(root => root.startsWith('/') || root.startsWith('~/'));
+  return [...new Set(roots)];
+}
+
+/**
+ * 构建查询真实路径的远程命令，每个目录输出一行：标记、序号和真实路径（不存在时为空）
+ * @param {string[]} roots - 远程目录
+ * @returns {string} - 远程命令
+ */
+function buildRealPathCommand(roots) {
+  return `i=0; for p in ${roots.map(quoteRemotePath).join(' ')}; do ` +
+    `printf '${OUTPUT_MARKER} %s %s\\n' "$i" "$(realpath -e -- "$p" 2>/dev/null || readlink -f -- "$p" 2>/dev/null)"; ` +
+    'i=$((i+1)); done';
+}
+
+/**
+ * 查询服务器上映射目录的真实路径并记录为别名，每个服务器只查询一次（配置变化后重新查询）
+ * 查询失败时不记录结果，一段时间后再次调用时重新查询
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<boolean>} - 是否得到了新的别名
+ */
+async function resolveRemoteRealPaths(server) {
+  if (!server || hasResolvedAliases(server.name)) {
+    return false;
+  }
+  if (pendingQueries.has(server.name)) {
+    return pendingQueries.get(server.name);
+  }
+  if (Date.now() - (failedQueries.get(server.name) || 0) < FAILURE_RETRY_INTERVAL) {
+    return false;
+  }
+
+  const query = (async () => {
+    const roots = getMappedRemoteRoots(server);
+    if (roots.length === 0) {
+      setResolvedAliases(server.name, []);
+      return false;
+    }
+
+    const realPaths = new Map();
+    let succeeded = false;
+    const cancellation = new vscode.CancellationTokenSource();
+    const timer = setTimeout(() => cancellation.cancel(), QUERY_TIMEOUT);
+    try {
+      const result = await runRemoteCommand(server, buildRealPathCommand(roots), {
+        token: cancellation.token,
+        onLine: line => {
+          const match = line.match(new RegExp(`^${OUTPUT_MARKER} (\\d+) (.*)$`));
+          if (match && match[2].trim()) {
+            realPaths.set(roots[Number(match[1])], match[2].trim());
+          }
+        },
+      });
+      succeeded = !result.sshFailed && !result.cancelled && result.exitCode === 0;
+      if (!succeeded) {
+        logger.warn(`无法查询服务器 ${server.name} 上映射目录的真实路径（需要密钥或 ssh-agent 认证）`);
+      }
+    } catch (error) {
+      logger.error(`查询远程真实路径时出错: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      cancellation.dispose();
+    }
+
+    if (!succeeded) {
+      failedQueries.set(server.name, Date.now());
+      return false;
+    }
+    failedQueries.delete(server.name);
+
+    const aliases = [...realPaths]
+      .filter(([root, realPath]) => realPath !== root)
+      .map(([root, realPath]) => ({ from: realPath, to: root }));
+    setResolvedAliases(server.name, aliases);
+    aliases.forEach(alias => logger.info(`服务器 ${server.name} 的远程目录 ${alias.to} 的真实路径为 ${alias.from}`));
+    return aliases.length > 0;
+  })();
+
+  pendingQueries.set(server.name, query);
+  try {
+    return await query;
+  } finally {
+    pendingQueries.delete(server.name);
+  }
+}
+
+/**
+ * 将远程路径转换为本地路径，无法转换时查询映射目录的真实路径后重试
+ * @param {string} remotePath - 远程路径
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<string|null>} - 本地路径，无法转换时返回null
+ */
+async function convertRemotePathToLocalResolved(remotePath, server) {
+  const localPath = convertRemotePathToLocal(remotePath, server);
+  if (localPath || !(await resolveRemoteRealPaths(server))) {
+    return localPath;
+  }
+  return convertRemotePathToLocal(remotePath, server);
+}
+
+module.exports = {
+  resolveRemoteRealPaths,
+  convertRemotePathToLocalResolved,
+};
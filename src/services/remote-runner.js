@@ -0,0 +1,146 @@
+/**
+ * 远程命令执行模块
+ * 通过非交互的 ssh 进程在服务器上执行命令并逐行返回输出，用于远程构建等需要解析输出的场景
+ */
+
+const { spawn } = require('child_process');
+const configLoader = require('../adapters/config-loader');
+const { logger } = require('../utils/logger');
+const { buildRemoteExecArgs } = require('../utils/ssh-utils');
+
+// ssh 自身出错（连接或认证失败）时的退出码
+const SSH_ERROR_EXIT_CODE = 255;
+
+/**
+ * 创建逐行回调的输出处理函数，不完整的最后一行保留到下次数据或结束时
+ * @param {Function} onLine - 每行输出的回调
+ * @returns {Object} - { write, flush }
+ */
+function createLineSplitter(onLine) {
+  let pending = '';
+  return {
+    write(chunk) {
+      const lines = (pending + chunk.toString()).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(line => onLine(line));
+    },
+    flush() {
+      if (pending) {
+        onLine(pending);
+        pending = '';
+      }
+    },
+  };
+}
+
+/**
+ * 在服务器上执行命令
+ * 连接使用 BatchMode，需要密码认证的服务器会直接失败（退出码 255）
+ * @param {Object} server - 服务器配置
+ * @param {string} command - 远程命令
+ * @param {Object} [options] - 执行选项
+ * @param {string} [options.cwd] - 执行命令的远程目录
+ * @param {Function} [options.onLine] - 每行输出（stdout 和 stderr）的回调，参数为 (line, stream)
+ * @param {vscode.CancellationToken} [options.token] - 取消令牌，取消时结束 ssh 进程
+ * @returns {Promise<Object>} - { exitCode, cancelled, sshFailed }
+ */
+function runRemoteCommand(server, command, options = {}) {
+  return new Promise((resolve, reject) => {
+    const { cwd, onLine = () => {}, token } = options;
+    const args = buildRemoteExecArgs(server, configLoader.getServerList(), command, cwd, configLoader.getConfig());
+    logger.info(`在服务器 ${server.name} 上执行: ${command}${cwd ? ` (目录: ${cwd})` : ''}`);
+    logger.debug('远程执行参数', { args });
+
+    let cancelled = false;
+    // 不提供标准输入，读取输入的远程命令会立即得到 EOF，而不是一直等待
+    const child = spawn('ssh', args, { windowsHide: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = createLineSplitter(line => onLine(line, 'stdout'));
+    const stderr = createLineSplitter(line => onLine(line, 'stderr'));
+
+    child.stdout.on('data', chunk => stdout.write(chunk));
+    child.stderr.on('data', chunk => stderr.write(chunk));
+
+    const cancelListener = token
+      ? token.onCancellationRequested(() => {
+        cancelled = true;
+        logger.info(`取消服务器 ${server.name} 上的命令: ${command}`);
+        child.kill();
+      })
+      : null;
+
+    child.on('error', error => {
+      if (cancelListener) cancelListener.dispose();
+      reject(error);
+    });
+
+    child.on('close', exitCode => {
+      if (cancelListener) cancelListener.dispose();
+      stdout.flush();
+      stderr.flush();
+      logger.info(`服务器 ${server.name} 上的命令结束，退出码: ${exitCode}`);
+      resolve({
+        exitCode,
+        cancelled,
+        sshFailed: !cancelled && exitCode === SSH_ERROR_EXIT_CODE,
+      });
+    });
+  });
+}
+
+/**
+ * 在服务器上执行命令并收集完整输出，用于远程文件读写等需要二进制内容的场景
+ * 与 runRemoteCommand 一样使用 BatchMode，不记录 info 级别的日志
+ * @param {Object} server - 服务器配置
+ * @param {string} command - 远程命令
+ * @param {Object} [options] - 执行选项
+ * @param {Buffer|Uint8Array} [options.input] - 写入远程命令标准输入的内容
+ * @param {vscode.CancellationToken} [options.token] - 取消令牌，取消时结束 ssh 进程
+ * @returns {Promise<Object>} - { exitCode, stdout, stderr, cancelled, sshFailed }，stdout 为 Buffer
+ */
+function execRemoteCommand(server, command, options = {}) {
+  return new Promise((resolve, reject) => {
+    const { input, token } = options;
+    const args = buildRemoteExecArgs(server, configLoader.getServerList(), command, undefined, configLoader.getConfig());
+    logger.debug(`在服务器 ${server.name} 上执行: ${command}`);
+
+    let cancelled = false;
+    const stdoutChunks = [];
+    let stderr = '';
+    const child = spawn('ssh', args, { windowsHide: true });
+    child.stdout.on('data', chunk => stdoutChunks.push(chunk));
+    child.stderr.on('data', chunk => {
+      stderr += chunk.toString();
+    });
+    // 远程命令提前结束时写入会失败，结果以退出码为准
+    child.stdin.on('error', () => {});
+    child.stdin.end(input ? Buffer.from(input) : undefined);
+
+    const cancelListener = token
+      ? token.onCancellationRequested(() => {
+        cancelled = true;
+        child.kill();
+      })
+      : null;
+
+    child.on('error', error => {
+      if (cancelListener) cancelListener.dispose();
+      reject(error);
+    });
+
+    child.on('close', exitCode => {
+      if (cancelListener) cancelListener.dispose();
+      resolve({
+        exitCode,
+        stdout: Buffer.concat(stdoutChunks),
+        stderr: stderr.trim(),
+        cancelled,
+        sshFailed: !cancelled && exitCode === SSH_ERROR_EXIT_CODE,
+      });
+    });
+  });
+}
+
+module.exports = {
+  runRemoteCommand,
+  execRemoteCommand,
+};
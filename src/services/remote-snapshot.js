@@ -0,0 +1,266 @@
+/**
+ * 远程文件快照模块
+ * 终端中的远程路径不在任何路径映射范围内时，通过 scp 把远程文件复制到本地临时目录，
+ * 以只读的 smartssh-snapshot 文档打开（标签页路径显示服务器名称），不会与服务器同步
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const fileService = require('./file-service');
+const { logger } = require('../utils/logger');
+const { buildScpArgs } = require('../utils/ssh-utils');
+const { buildRemoteUri } = require('../utils/remote-uri');
+
+// 快照文档的 URI scheme
+const SNAPSHOT_SCHEME = 'smartssh-snapshot';
+// 保存快照的临时目录
+const SNAPSHOT_DIR = path.join(os.tmpdir(), 'smartssh-smba-snapshots');
+// scp 自身出错（连接或认证失败）时的退出码
+const SCP_ERROR_EXIT_CODE = 255;
+
+// 快照文档 URI 到 { server, remotePath, localPath } 的映射
+const snapshots = new Map();
+// 快照内容变化事件，刷新快照时通知编辑器重新读取
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * 创建快照文档的 URI：authority 为服务器名称，path 为远程路径
+ * @param {Object} server - 服务器配置
+ * @param {string} remotePath - 远程文件路径
+ * @returns {vscode.Uri} - 快照 URI
+ */
+function createSnapshotUri(server, remotePath) {
+  return vscode.Uri.from({
+    scheme: SNAPSHOT_SCHEME,
+    authority: server.name,
+    path: remotePath.startsWith('/') ? remotePath : `/${remotePath}`,
+  });
+}
+
+/**
+ * 获取快照在临时目录中的位置，保留文件名以便识别语言
+ * @param {Object} server - 服务器配置
+ * @param {string} remotePath - 远程文件路径
+ * @returns {string} - 本地临时文件路径
+ */
+function getSnapshotPath(server, remotePath) {
+  const hash = crypto.createHash('sha1').update(`${server.name}\n${remotePath}`).digest('hex').slice(0, 16);
+  return path.join(SNAPSHOT_DIR, hash, path.posix.basename(remotePath) || 'snapshot');
+}
+
+/**
+ * 通过 scp 复制远程文件，完成后把临时文件设为只读
+ * @param {Object} server - 服务器配置
+ * @param {string} remotePath - 远程文件路径
+ * @param {string} localPath - 本地目标路径
+ * @param {vscode.CancellationToken} [token] - 取消令牌
+ * @returns {Promise<Object>} - { exitCode, cancelled, sshFailed, message }
+ */
+async function copyRemoteFile(server, remotePath, localPath, token) {
+  await fs.mkdir(path.dirname(localPath), { recursive: true });
+  // 上次的快照是只读的，先恢复写权限再删除（Windows 不能直接删除只读文件）
+  await fs.chmod(localPath, 0o644).catch(() => {});
+  await fs.rm(localPath, { force: true });
+
+  const args = buildScpArgs(server, configLoader.getServerList(), remotePath, localPath, configLoader.getConfig());
+  logger.info(`从服务器 ${server.name} 复制远程文件: ${remotePath}`);
+  logger.debug('scp 参数', { args });
+
+  const result = await new Promise((resolve, reject) => {
+    let cancelled = false;
+    let stderr = '';
+    const child = spawn('scp', args, { windowsHide: true });
+    child.stderr.on('data', chunk => {
+      stderr += chunk.toString();
+    });
+
+    const cancelListener = token
+      ? token.onCancellationRequested(() => {
+        cancelled = true;
+        child.kill();
+      })
+      : null;
+
+    child.on('error', error => {
+      if (cancelListener) cancelListener.dispose();
+      reject(error);
+    });
+    child.on('close', exitCode => {
+      if (cancelListener) cancelListener.dispose();
+      resolve({
+        exitCode,
+        cancelled,
+        sshFailed: !cancelled && exitCode === SCP_ERROR_EXIT_CODE,
+        message: stderr.trim(),
+      });
+    });
+  });
+
+  if (result.exitCode === 0) {
+    await fs.chmod(localPath, 0o444);
+  }
+  return result;
+}
+
+/**
+ * 快照文档的内容提供者，文档由提供者生成，编辑器中只读
+ */
+const snapshotContentProvider = {
+  onDidChange: changeEmitter.event,
+  async provideTextDocumentContent(uri) {
+    const snapshot = snapshots.get(uri.toString());
+    if (!snapshot) {
+      return `// 远程快照已失效，请重新在终端中打开 ${uri.path}`;
+    }
+    return fs.readFile(snapshot.localPath, 'utf8');
+  },
+};
+
+/**
+ * 获取远程文件并以只读快照打开
+ * @param {Object} server - 服务器配置
+ * @param {string} remotePath - 远程文件路径
+ * @param {number} [line] - 行号
+ * @param {number} [column] - 列号
+ * @returns {Promise<boolean>} - 是否成功打开
+ */
+async function openRemoteSnapshot(server, remotePath, line, column) {
+  try {
+    const localPath = getSnapshotPath(server, remotePath);
+    const result = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `正在从 ${server.name} 获取 ${remotePath}`,
+        cancellable: true,
+      },
+      (progress, token) => copyRemoteFile(server, remotePath, localPath, token)
+    );
+
+    if (result.cancelled) {
+      return false;
+    }
+    if (result.exitCode !== 0) {
+      const reason = result.sshFailed
+        ? `无法连接到服务器 ${server.name}，远程快照需要无需密码的SSH认证（密钥或 ssh-agent）`
+        : `无法获取远程文件 ${remotePath}${result.message ? `: ${result.message}` : ''}`;
+      logger.warn(reason);
+      vscode.window.showErrorMessage(reason);
+      return false;
+    }
+
+    const uri = createSnapshotUri(server, remotePath);
+    snapshots.set(uri.toString(), { server, remotePath, localPath });
+    changeEmitter.fire(uri);
+
+    await fileService.openFileInEditor(uri, line, column);
+    vscode.window.setStatusBarMessage(`$(cloud-download) ${server.name}:${remotePath} 的只读远程快照，修改不会同步到服务器`, 10000);
+    return true;
+  } catch (error) {
+    logger.error(`打开远程快照时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`打开远程快照时出错: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 通过 smartssh:// 远程文件系统打开远程文件，可以编辑并保存回服务器
+ * @param {Object} server - 服务器配置
+ * @param {string} remotePath - 远程文件路径
+ * @param {number} [line] - 行号
+ * @param {number} [column] - 列号
+ * @returns {Promise<boolean>} - 是否成功打开
+ */
+async function openRemoteFile(server, remotePath, line, column) {
+  const opened = await fileService.openFileInEditor(buildRemoteUri(server.name, remotePath), line, column);
+  if (!opened) {
+    vscode.window.showErrorMessage(`无法打开服务器 ${server.name} 上的 ${remotePath}，详情请查看输出日志`);
+  }
+  return opened;
+}
+
+/**
+ * 远程路径不在映射范围内时询问如何打开
+ * 配置 unmappedPathAction 为 snapshot、remote 或 search 时不再询问
+ * @param {Object} pathInfo - 路径信息 { path, line, column }
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<string>} - snapshot（已打开快照）、remote（已打开远程文件）、search（按文件名搜索）或 cancelled
+ */
+async function offerRemoteSnapshot(pathInfo, server) {
+  const action = configLoader.getConfig().unmappedPathAction || 'ask';
+  if (action === 'search') {
+    return 'search';
+  }
+
+  let choice = action;
+  if (action !== 'snapshot' && action !== 'remote') {
+    const snapshotLabel = '打开远程快照';
+    const remoteLabel = '编辑远程文件';
+    const searchLabel = '按文件名搜索';
+    const selection = await vscode.window.showInformationMessage(
+      `${pathInfo.path} 不在服务器 ${server.name} 的路径映射范围内`,
+      snapshotLabel,
+      remoteLabel,
+      searchLabel
+    );
+    if (selection === searchLabel) {
+      return 'search';
+    }
+    if (selection === remoteLabel) {
+      choice = 'remote';
+    } else if (selection !== snapshotLabel) {
+      return 'cancelled';
+    }
+  }
+
+  if (choice === 'remote') {
+    return (await openRemoteFile(server, pathInfo.path, pathInfo.line, pathInfo.column)) ? 'remote' : 'cancelled';
+  }
+
+  return (await openRemoteSnapshot(server, pathInfo.path, pathInfo.line, pathInfo.column)) ? 'snapshot' : 'cancelled';
+}
+
+/**
+ * 重新获取当前快照文档的远程文件
+ * @param {vscode.Uri} [uri] - 快照 URI，默认为活动编辑器的文档
+ */
+async function refreshRemoteSnapshot(uri) {
+  const target = uri || vscode.window.activeTextEditor?.document.uri;
+  const snapshot = target && snapshots.get(target.toString());
+  if (!snapshot) {
+    vscode.window.showWarningMessage('当前文档不是远程快照');
+    return;
+  }
+
+  const editor = vscode.window.activeTextEditor;
+  const position = editor && editor.document.uri.toString() === target.toString() ? editor.selection.active : null;
+  await openRemoteSnapshot(
+    snapshot.server,
+    snapshot.remotePath,
+    position ? position.line + 1 : undefined,
+    position ? position.character : undefined
+  );
+}
+
+/**
+ * 注册快照内容提供者和刷新命令
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(SNAPSHOT_SCHEME, snapshotContentProvider),
+    vscode.commands.registerCommand('smartssh-smba.refreshRemoteSnapshot', refreshRemoteSnapshot),
+    changeEmitter
+  );
+}
+
+module.exports = {
+  openRemoteSnapshot,
+  openRemoteFile,
+  offerRemoteSnapshot,
+  register,
+};
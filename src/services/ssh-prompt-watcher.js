@@ -0,0 +1,373 @@
+/**
+ * SSH提示监视模块
+ * 通过终端 shell 集成读取 ssh 输出，在出现密码/密钥口令/主机密钥确认提示时再作答，
+ * 避免在提示出现之前把密码发送到 shell 中；同时解析远程shell上报的当前工作目录
+ */
+
+const vscode = require('vscode');
+const { logger } = require('../utils/logger');
+
+// 默认等待提示的超时时间（秒）
+const DEFAULT_PROMPT_TIMEOUT = 15;
+// 等待终端 shell 集成就绪的时间（毫秒）
+const SHELL_INTEGRATION_TIMEOUT = 3000;
+// 用于匹配提示的输出缓冲区最大长度
+const MAX_BUFFER_LENGTH = 4000;
+
+// 需要识别的提示类型
+const PROMPT_PATTERNS = [
+  {
+    type: 'hostKeyChanged',
+    regex: /REMOTE HOST IDENTIFICATION HAS CHANGED/i,
+  },
+  {
+    type: 'hostKey',
+    regex: /Are you sure you want to continue connecting \(yes\/no(?:\/\[fingerprint\])?\)\?\s*$/i,
+  },
+  {
+    type: 'passphrase',
+    regex: /Enter passphrase for key '([^']+)':\s*$/i,
+  },
+  {
+    type: 'password',
+    // 排除远程 sudo 的密码提示，SSH密码不能发给 sudo
+    regex: /(?:^|\n)(?![^\n]*\[sudo\])[^\n]*password[^\n]*:\s*$/i,
+  },
+  {
+    type: 'authFailed',
+    regex: /Permission denied \([^)]*\)|Too many authentication failures/i,
+  },
+  {
+    type: 'connectionFailed',
+    regex: /(Could not resolve hostname[^\n]*|Connection refused|Connection timed out|No route to host|Connection closed by[^\n]*)/i,
+  },
+  {
+    // 只识别 sshd 登录后输出的信息，提示符字符（$ # % >）也会出现在横幅和其他提示中，不能作为登录依据
+    type: 'loggedIn',
+    regex: /(?:^|\n)(?:Last login:|Welcome to )/,
+  },
+];
+
+// 发送密码或口令后仍在认证中的输出（密码错误后重新提示之前）
+const AUTH_RETRY_PATTERN = /Permission denied|please try again|Authentication failed/i;
+// 发送密码或口令后的远程输出：完整的一行或以提示符字符结尾，避免把半截的重新提示当作登录
+const AFTER_LOGIN_PATTERN = /\S[^\n]*\n|[$#%>]\s*$/;
+
+// 远程shell上报当前目录的 OSC 7 序列开头，出现时说明已登录并显示了提示符
+const OSC7_PREFIX = '\x1b]7;file://';
+
+/**
+ * 去除终端输出中的 ANSI/OSC 转义序列
+ * @param {string} text - 原始输出
+ * @returns {string} - 纯文本
+ */
+function stripAnsi(text) {
+  return text
+    // eslint-disable-next-line no-control-regex
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/\x1b\[[0-9;?]*[ -/]*[@-~]/g, '')
+    .replace(/\r/g, '');
+}
+
+/**
+ * 识别输出末尾的提示
+ * @param {string} text - 去除转义序列后的输出
+ * @returns {Object|null} - { type, match }，没有识别到提示则返回null
+ */
+function detectPrompt(text) {
+  for (const pattern of PROMPT_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (match) {
+      return { type: pattern.type, match };
+    }
+  }
+  return null;
+}
+
+/**
+ * 获取配置的提示超时时间
+ * @returns {number} - 超时时间（毫秒）
+ */
+function getPromptTimeout() {
+  // 延迟加载以避免与配置模块的循环依赖
+  const configLoader = require('../adapters/config-loader');
+  const seconds = Number(configLoader.getConfig().passwordPromptTimeout);
+  return (seconds > 0 ? seconds : DEFAULT_PROMPT_TIMEOUT) * 1000;
+}
+
+/**
+ * 等待终端的 shell 集成就绪
+ * @param {vscode.Terminal} terminal - 终端
+ * @param {number} [timeout] - 超时时间（毫秒）
+ * @returns {Promise<Object|null>} - shell 集成对象，如果不可用则返回null
+ */
+function waitForShellIntegration(terminal, timeout = SHELL_INTEGRATION_TIMEOUT) {
+  if (terminal.shellIntegration) {
+    return Promise.resolve(terminal.shellIntegration);
+  }
+
+  // 旧版本 VS Code 不支持 shell 集成 API
+  if (typeof vscode.window.onDidChangeTerminalShellIntegration !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      listener.dispose();
+      resolve(null);
+    }, timeout);
+
+    const listener = vscode.window.onDidChangeTerminalShellIntegration(event => {
+      if (event.terminal === terminal) {
+        clearTimeout(timer);
+        listener.dispose();
+        resolve(event.shellIntegration);
+      }
+    });
+  });
+}
+
+/**
+ * 询问用户是否信任新的主机密钥
+ * @param {string} serverName - 服务器名称
+ * @param {string} output - 提示前的输出（包含指纹信息）
+ * @returns {Promise<boolean>} - 是否信任
+ */
+async function confirmHostKey(serverName, output) {
+  const fingerprintMatch = output.match(/key fingerprint is ([^\n]+)/i);
+  const fingerprint = fingerprintMatch ? fingerprintMatch[1].trim() : '未知';
+
+  const choice = await vscode.window.showWarningMessage(
+    `首次连接服务器 ${serverName}，无法验证主机身份。\n主机密钥指纹: ${fingerprint}\n是否信任并继续连接?`,
+    { modal: true },
+    '信任并连接'
+  );
+
+  return choice === '信任并连接';
+}
+
+/**
+ * 监视SSH命令的输出并应答提示
+ * 登录成功以 sshd 的登录信息、远程shell上报的 OSC 7 序列，或发送密码/口令后出现的其他输出为准；
+ * 登录后不再应答任何提示（远程的 su、mysql -p 等密码提示由用户输入）；超时表示无法确认登录结果
+ * @param {Object} execution - shell 集成返回的命令执行对象
+ * @param {vscode.Terminal} terminal - 终端
+ * @param {Object} server - 服务器配置（已解析凭据）
+ * @returns {Promise<string>} - 监视结束的原因：loggedIn/authFailed/connectionFailed/timeout/cancelled/ended
+ */
+async function watchSshPrompts(execution, terminal, server) {
+  const timeout = getPromptTimeout();
+  const stream = execution.read()[Symbol.asyncIterator]();
+  let buffer = '';
+  let passwordSent = false;
+  // 已发送密码或口令，等待认证结果
+  let awaitingAuth = false;
+  let deadline = Date.now() + timeout;
+  let timer = null;
+
+  // 读取下一段输出，超过截止时间则返回超时标记
+  const nextChunk = () => Promise.race([
+    stream.next(),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve({ timedOut: true }), Math.max(deadline - Date.now(), 0));
+    }),
+  ]).finally(() => clearTimeout(timer));
+
+  // 应答提示后重新开始计时
+  const answer = text => {
+    buffer = '';
+    terminal.sendText(text, true);
+    deadline = Date.now() + timeout;
+  };
+
+  try {
+    while (true) {
+      const chunk = await nextChunk();
+
+      if (chunk.timedOut) {
+        if (server.password && !passwordSent) {
+          vscode.window.showErrorMessage(
+            `等待服务器 ${server.name} 的密码提示超时（${timeout / 1000}秒），未发送密码。请检查网络连接或在终端中手动输入密码。`
+          );
+        } else {
+          logger.debug(`SSH提示监视超时结束: ${server.name}`);
+        }
+        return 'timeout';
+      }
+
+      if (chunk.done) {
+        return 'ended';
+      }
+
+      if (chunk.value.includes(OSC7_PREFIX)) {
+        logger.info(`已登录到服务器 ${server.name}`);
+        return 'loggedIn';
+      }
+
+      buffer = (buffer + stripAnsi(chunk.value)).slice(-MAX_BUFFER_LENGTH);
+      const prompt = detectPrompt(buffer);
+      if (!prompt) {
+        // 认证后出现完整的一行或shell提示符，且不是认证失败的信息，说明已经登录
+        if (awaitingAuth && AFTER_LOGIN_PATTERN.test(buffer) && !AUTH_RETRY_PATTERN.test(buffer)) {
+          logger.info(`已登录到服务器 ${server.name}`);
+          return 'loggedIn';
+        }
+        continue;
+      }
+
+      logger.debug(`检测到SSH提示: ${prompt.type}`, { serverName: server.name });
+
+      switch (prompt.type) {
+        case 'hostKeyChanged':
+          vscode.window.showErrorMessage(
+            `服务器 ${server.name} 的主机密钥已改变，可能存在中间人攻击。请核实后手动更新 known_hosts。`
+          );
+          return 'authFailed';
+
+        case 'hostKey': {
+          const trusted = await confirmHostKey(server.name, buffer);
+          answer(trusted ? 'yes' : 'no');
+          if (!trusted) return 'cancelled';
+          break;
+        }
+
+        case 'passphrase': {
+          const passphrase = await vscode.window.showInputBox({
+            prompt: `输入密钥 ${prompt.match[1]} 的口令`,
+            password: true,
+            ignoreFocusOut: true,
+          });
+          if (passphrase === undefined) {
+            logger.info('用户取消输入密钥口令，请在终端中手动输入');
+            return 'cancelled';
+          }
+          answer(passphrase);
+          awaitingAuth = true;
+          break;
+        }
+
+        case 'password':
+          if (!server.password) {
+            // 没有保存密码，由用户在终端中输入
+            logger.info(`服务器 ${server.name} 未保存密码，等待用户在终端中输入`);
+            return 'cancelled';
+          }
+          if (passwordSent) {
+            // 已发送过密码仍再次提示，说明密码错误，不再重复发送
+            vscode.window.showErrorMessage(`服务器 ${server.name} 的密码错误，请使用“设置服务器密码”命令更新密码`);
+            return 'authFailed';
+          }
+          passwordSent = true;
+          answer(server.password);
+          awaitingAuth = true;
+          break;
+
+        case 'authFailed':
+          vscode.window.showErrorMessage(`服务器 ${server.name} 认证失败: ${prompt.match[0]}`);
+          return 'authFailed';
+
+        case 'connectionFailed':
+          vscode.window.showErrorMessage(`无法连接到服务器 ${server.name}: ${prompt.match[1].trim()}`);
+          return 'connectionFailed';
+
+        case 'loggedIn':
+          logger.info(`已登录到服务器 ${server.name}`);
+          return 'loggedIn';
+      }
+    }
+  } catch (error) {
+    logger.error(`监视SSH提示时出错: ${error.message}`);
+    return 'ended';
+  } finally {
+    // 释放输出流，不再缓存后续输出
+    if (typeof stream.return === 'function') {
+      Promise.resolve(stream.return()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * 远程shell在每次显示提示符前上报当前目录的命令（OSC 7 转义序列）
+ * 作为 PROMPT_COMMAND 注入到远程的 bash 中
+ */
+const REMOTE_CWD_PROMPT_COMMAND = 'printf "\\033]7;file://%s%s\\007" "$HOSTNAME" "$PWD"';
+
+// 匹配 OSC 7 转义序列：ESC ] 7 ; file://host/path (BEL | ESC \)
+// eslint-disable-next-line no-control-regex
+const OSC7_REGEX = /\x1b\]7;file:\/\/([^/\x07\x1b]*)(\/[^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+
+/**
+ * 解析输出中最后一个 OSC 7 序列的路径
+ * @param {string} text - 原始输出
+ * @returns {Object} - { cwd, rest }，cwd 为最后上报的目录（没有则为null），rest 为需要保留到下次解析的未完成部分
+ */
+function parseRemoteCwd(text) {
+  let cwd = null;
+  let lastIndex = 0;
+  let match;
+
+  OSC7_REGEX.lastIndex = 0;
+  while ((match = OSC7_REGEX.exec(text)) !== null) {
+    // printf 直接输出 $PWD，没有进行 URL 编码，路径按原样使用
+    cwd = match[2];
+    lastIndex = OSC7_REGEX.lastIndex;
+  }
+
+  // 保留可能被截断的转义序列开头，与下一段输出拼接后再解析
+  const rest = text.slice(lastIndex);
+  const pendingIndex = rest.lastIndexOf('\x1b');
+  return { cwd, rest: pendingIndex !== -1 ? rest.slice(pendingIndex) : '' };
+}
+
+/**
+ * 监视SSH会话中远程shell上报的当前工作目录
+ * 需要在命令执行后立即调用，以免错过输出
+ * @param {Object} execution - shell 集成返回的命令执行对象
+ * @param {Function} onChange - 目录变化时的回调，参数为远程目录
+ */
+async function watchRemoteCwd(execution, onChange) {
+  let pending = '';
+  let lastCwd = null;
+
+  try {
+    for await (const data of execution.read()) {
+      const { cwd, rest } = parseRemoteCwd(pending + data);
+      pending = rest.slice(-MAX_BUFFER_LENGTH);
+
+      if (cwd && cwd !== lastCwd) {
+        lastCwd = cwd;
+        onChange(cwd);
+      }
+    }
+  } catch (error) {
+    logger.error(`跟踪远程工作目录时出错: ${error.message}`);
+  }
+}
+
+/**
+ * 在没有 shell 集成时提示用户手动发送密码，而不是盲目发送
+ * @param {vscode.Terminal} terminal - 终端
+ * @param {Object} server - 服务器配置（已解析凭据）
+ */
+async function offerManualPassword(terminal, server) {
+  const choice = await vscode.window.showInformationMessage(
+    `终端未启用 shell 集成，无法检测服务器 ${server.name} 的密码提示。请在终端出现密码提示后点击“发送密码”。`,
+    '发送密码'
+  );
+
+  if (choice === '发送密码') {
+    terminal.sendText(server.password, true);
+  }
+}
+
+module.exports = {
+  REMOTE_CWD_PROMPT_COMMAND,
+  stripAnsi,
+  parseRemoteCwd,
+  detectPrompt,
+  waitForShellIntegration,
+  watchSshPrompts,
+  watchRemoteCwd,
+  offerManualPassword,
+};
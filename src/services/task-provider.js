@@ -0,0 +1,241 @@
+/**
+ * 任务提供者模块
+ * 提供 smartssh 类型的任务：在服务器上执行命令，可以在 tasks.json 中绑定到构建快捷键、通过 dependsOn 组合或在调试前执行。
+ * 全局、工作区和各服务器的自定义命令会自动生成对应的任务
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const terminalManager = require('./terminal-manager');
+const { runRemoteCommand } = require('./remote-runner');
+const { logger } = require('../utils/logger');
+const { convertLocalPathToRemote } = require('../utils/path-utils');
+const { isRemoteUriPath, toMappingPath } = require('../utils/remote-uri');
+
+// 任务类型
+const TASK_TYPE = 'smartssh';
+
+/**
+ * 获取任务的工作区文件夹
+ * @param {vscode.Task} task - 任务
+ * @returns {vscode.WorkspaceFolder|null} - 工作区文件夹
+ */
+function getTaskFolder(task) {
+  if (task.scope && typeof task.scope === 'object' && task.scope.uri) {
+    return task.scope;
+  }
+  const folders = vscode.workspace.workspaceFolders || [];
+  return folders.length === 1 ? folders[0] : null;
+}
+
+/**
+ * 确定任务使用的服务器：任务定义 > 当前SSH终端的服务器 > 唯一的服务器 > 用户选择
+ * @param {Object} definition - 任务定义
+ * @returns {Promise<Object|null>} - 服务器配置
+ */
+async function resolveTaskServer(definition) {
+  const serverList = configLoader.getServerList() || [];
+  if (definition.server) {
+    const server = serverList.find(s => s.name === definition.server);
+    if (!server) {
+      throw new Error(`找不到服务器: ${definition.server}`);
+    }
+    return server;
+  }
+
+  const sshTerminal = terminalManager.getActiveSSHTerminal();
+  if (sshTerminal && sshTerminal.metadata.serverInfo) {
+    return serverList.find(s => s.name === sshTerminal.metadata.serverInfo.name) || null;
+  }
+  return configLoader.selectServer(null, {
+    placeHolder: `选择执行 ${definition.command} 的服务器`,
+    autoSelectSingle: true,
+  });
+}
+
+/**
+ * 将任务的本地工作目录转换为远程目录
+ * cwd 支持 ${workspaceFolder} 和相对于工作区文件夹的路径，未指定时使用工作区文件夹
+ * @param {Object} definition - 任务定义
+ * @param {vscode.WorkspaceFolder|null} folder - 任务的工作区文件夹
+ * @param {Object} server - 服务器配置
+ * @returns {string|null} - 远程目录，没有工作目录时返回null
+ */
+function resolveTaskCwd(definition, folder, server) {
+  const folderPath = folder ? toMappingPath(folder.uri) : null;
+  let localCwd = definition.cwd || folderPath;
+  if (!localCwd) {
+    return null;
+  }
+
+  if (folderPath) {
+    localCwd = localCwd.replace(/\$\{workspaceFolder\}/g, folderPath);
+    if (isRemoteUriPath(folderPath) && !isRemoteUriPath(localCwd) && !localCwd.startsWith('/')) {
+      // 远程文件系统中的工作区文件夹，按远程路径拼接
+      localCwd = `${folderPath.replace(/\/+$/, '')}/${localCwd}`;
+    } else if (!isRemoteUriPath(localCwd) && !path.isAbsolute(localCwd)) {
+      localCwd = path.join(folderPath, localCwd);
+    }
+  }
+
+  const remoteCwd = convertLocalPathToRemote(localCwd, server);
+  if (!remoteCwd) {
+    // 未指定 cwd 且工作区没有映射时在远程用户主目录执行
+    if (!definition.cwd) {
+      return null;
+    }
+    throw new Error(`工作目录 ${localCwd} 不在服务器 ${server.name} 的路径映射范围内`);
+  }
+  return remoteCwd.length > 1 ? remoteCwd.replace(/\/+$/, '') : remoteCwd;
+}
+
+/**
+ * 执行 smartssh 任务的伪终端
+ */
+class RemoteTaskTerminal {
+  /**
+   * 创建伪终端
+   * @param {Object} definition - 任务定义
+   * @param {vscode.WorkspaceFolder|null} folder - 任务的工作区文件夹
+   */
+  constructor(definition, folder) {
+    this.definition = definition;
+    this.folder = folder;
+    this.writeEmitter = new vscode.EventEmitter();
+    this.closeEmitter = new vscode.EventEmitter();
+    this.onDidWrite = this.writeEmitter.event;
+    this.onDidClose = this.closeEmitter.event;
+    this.cancellation = new vscode.CancellationTokenSource();
+  }
+
+  /**
+   * 写入一行输出（伪终端需要 \r\n 换行）
+   * @param {string} line - 输出行
+   */
+  writeLine(line) {
+    this.writeEmitter.fire(`${line}\r\n`);
+  }
+
+  /**
+   * 终端打开时执行任务
+   */
+  async open() {
+    try {
+      const server = await resolveTaskServer(this.definition);
+      if (!server) {
+        this.writeLine('未选择服务器，任务已取消');
+        this.closeEmitter.fire(1);
+        return;
+      }
+
+      const cwd = resolveTaskCwd(this.definition, this.folder, server);
+      this.writeLine(`> ${server.username}@${server.host}${cwd ? `:${cwd}` : ''} $ ${this.definition.command}`);
+
+      const result = await runRemoteCommand(server, this.definition.command, {
+        cwd,
+        token: this.cancellation.token,
+        onLine: line => this.writeLine(line),
+      });
+
+      if (result.sshFailed) {
+        this.writeLine(`无法连接到服务器 ${server.name}，smartssh 任务需要无需密码的SSH认证（密钥或 ssh-agent）`);
+      }
+      this.closeEmitter.fire(result.exitCode === null ? 1 : result.exitCode);
+    } catch (error) {
+      logger.error(`执行任务时出错: ${error.message}`);
+      this.writeLine(`执行任务时出错: ${error.message}`);
+      this.closeEmitter.fire(1);
+    }
+  }
+
+  /**
+   * 终端被关闭（或任务被终止）时结束远程命令
+   */
+  close() {
+    this.cancellation.cancel();
+  }
+}
+
+/**
+ * 根据任务定义创建任务
+ * @param {Object} definition - 任务定义 { type, server, command, cwd }
+ * @param {vscode.WorkspaceFolder|vscode.TaskScope} scope - 任务范围
+ * @param {string} name - 任务名称
+ * @returns {vscode.Task} - 任务
+ */
+function createTask(definition, scope, name) {
+  const task = new vscode.Task(
+    definition,
+    scope,
+    name,
+    TASK_TYPE,
+    new vscode.CustomExecution(async resolvedDefinition => new RemoteTaskTerminal(
+      { ...definition, ...resolvedDefinition },
+      getTaskFolder(task)
+    ))
+  );
+  task.detail = definition.command;
+  return task;
+}
+
+/**
+ * 从自定义命令生成任务
+ * 服务器的自定义命令绑定该服务器；全局和工作区命令在执行时确定服务器
+ * @returns {vscode.Task[]} - 任务列表
+ */
+function provideCustomCommandTasks() {
+  const tasks = [];
+  const config = configLoader.getConfig();
+
+  const addTasks = (commands, server, prefix) => {
+    for (const cmd of commands || []) {
+      if (!cmd || !cmd.command) continue;
+      const definition = { type: TASK_TYPE, command: cmd.command };
+      if (server) {
+        definition.server = server.name;
+      }
+      tasks.push(createTask(definition, vscode.TaskScope.Workspace, `${prefix}${cmd.name || cmd.command}`));
+    }
+  };
+
+  addTasks(config.customCommands, null, '');
+  addTasks(config.workspaceCommands, null, '');
+  for (const server of config.serverList || []) {
+    addTasks(server.customCommands, server, `${server.name}: `);
+  }
+
+  return tasks;
+}
+
+/**
+ * 注册 smartssh 任务提供者
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function register(context) {
+  context.subscriptions.push(
+    vscode.tasks.registerTaskProvider(TASK_TYPE, {
+      provideTasks: () => {
+        try {
+          return provideCustomCommandTasks();
+        } catch (error) {
+          logger.error(`生成 smartssh 任务时出错: ${error.message}`);
+          return [];
+        }
+      },
+      // tasks.json 中定义的任务
+      resolveTask: task => {
+        const definition = task.definition;
+        if (!definition.command) {
+          return undefined;
+        }
+        return createTask(definition, task.scope, task.name);
+      },
+    })
+  );
+}
+
+module.exports = {
+  TASK_TYPE,
+  register,
+};
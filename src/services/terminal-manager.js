@@ -5,27 +5,102 @@
 
 const vscode = require('vscode');
 const { logger } = require('../utils/logger');
-const { convertLocalPathToRemote } = require('../utils/path-utils');
+const {
+  convertLocalPathToRemote,
+  getActiveWorkspaceFolder,
+  resolveWorkspaceFolderForServer,
+} = require('../utils/path-utils');
+const {
+  buildPortForwardArgs,
+  describePortForward,
+  buildJumpHostArgs,
+  buildConnectionArgs,
+  getLocalShell,
+  quoteShellArg,
+  buildRemoteCdCommand,
+} = require('../utils/ssh-utils');
 const configLoader = require('../adapters/config-loader');
+const { toMappingPath } = require('../utils/remote-uri');
+const {
+  REMOTE_CWD_PROMPT_COMMAND,
+  waitForShellIntegration,
+  watchSshPrompts,
+  watchRemoteCwd,
+  offerManualPassword,
+} = require('./ssh-prompt-watcher');
 
 // 全局存储所有连接的终端
 let globalTerminals = new Map();
 let terminalCounter = 0;
 
+// ssh 因连接错误退出时的退出码
+const SSH_CONNECTION_ERROR_EXIT_CODE = 255;
+// 自动重连的最大尝试次数
+const MAX_RECONNECT_ATTEMPTS = 5;
+// 自动重连的基础延迟（毫秒），每次尝试递增
+const RECONNECT_BASE_DELAY = 3000;
+// 活动终端是否为SSH终端的上下文键，用于限定快捷键
+const SSH_TERMINAL_CONTEXT_KEY = 'smartssh-smba.sshTerminalFocused';
+// 复用正在连接的终端时等待其登录的时间（毫秒）
+const CONNECTING_WAIT_TIMEOUT = 30000;
+// 登录后等待远程shell上报当前目录的时间（毫秒）
+const REMOTE_CWD_REPORT_TIMEOUT = 10000;
+
 // 事件处理器
 const eventHandlers = {
   terminalCreated: [],
-  terminalClosed: []
+  terminalClosed: [],
+  terminalDisconnected: [],
+  connectionStateChanged: []
 };
 
+/**
+ * 判断SSH终端是否正在连接（包括未能确认登录的终端）
+ * @param {Object} item - 终端记录 { metadata }
+ * @returns {boolean} - 是否正在连接
+ */
+function isConnectingTerminal(item) {
+  return Boolean(item && item.metadata && ['connecting', 'unknown'].includes(item.metadata.connectionState));
+}
+
+/**
+ * 判断SSH终端是否处于已连接状态（ssh 仍在运行且已登录）
+ * @param {Object} item - 终端记录 { metadata }
+ * @returns {boolean} - 是否已连接
+ */
+function isConnectedTerminal(item) {
+  return Boolean(item && item.metadata && item.metadata.connectionState === 'connected');
+}
+
 // 终端管理器
 class TerminalManager {
   constructor() {
     // 终端记录 - 使用全局变量
     this.terminals = globalTerminals;
 
+    // 事件订阅，扩展停用时释放
+    this.disposables = [];
+
     // 监听终端关闭事件
-    vscode.window.onDidCloseTerminal(this.handleTerminalClose.bind(this));
+    this.disposables.push(vscode.window.onDidCloseTerminal(this.handleTerminalClose.bind(this)));
+
+    // 监听活动终端变化，更新SSH终端上下文键
+    this.disposables.push(vscode.window.onDidChangeActiveTerminal(() => this._updateSshTerminalContext()));
+
+    // 监听命令执行结束事件，用于检测SSH连接断开（需要 shell 集成）
+    if (typeof vscode.window.onDidEndTerminalShellExecution === 'function') {
+      this.disposables.push(vscode.window.onDidEndTerminalShellExecution(this.handleShellExecutionEnd.bind(this)));
+    }
+  }
+
+  /**
+   * 释放事件订阅
+   */
+  dispose() {
+    for (const disposable of this.disposables) {
+      disposable.dispose();
+    }
+    this.disposables = [];
   }
 
   /**
@@ -64,6 +139,134 @@ class TerminalManager {
     return () => { };
   }
 
+  /**
+   * 添加SSH连接断开事件监听器
+   * @param {Function} callback - 事件回调函数
+   * @returns {Function} - 移除监听器的函数
+   */
+  onTerminalDisconnected(callback) {
+    if (typeof callback === 'function') {
+      eventHandlers.terminalDisconnected.push(callback);
+      return () => {
+        const index = eventHandlers.terminalDisconnected.indexOf(callback);
+        if (index !== -1) {
+          eventHandlers.terminalDisconnected.splice(index, 1);
+        }
+      };
+    }
+    return () => { };
+  }
+
+  /**
+   * 添加连接状态变化事件监听器
+   * @param {Function} callback - 事件回调函数
+   * @returns {Function} - 移除监听器的函数
+   */
+  onConnectionStateChanged(callback) {
+    if (typeof callback === 'function') {
+      eventHandlers.connectionStateChanged.push(callback);
+      return () => {
+        const index = eventHandlers.connectionStateChanged.indexOf(callback);
+        if (index !== -1) {
+          eventHandlers.connectionStateChanged.splice(index, 1);
+        }
+      };
+    }
+    return () => { };
+  }
+
+  /**
+   * 设置SSH终端的连接状态并触发状态变化事件
+   * @param {string} terminalName - 终端名称
+   * @param {string} state - 连接状态：connecting/unknown（未能确认登录）/connected/disconnected
+   */
+  _setConnectionState(terminalName, state) {
+    const details = this.terminals.get(terminalName);
+    if (!details || details.metadata.connectionState === state) {
+      return;
+    }
+
+    details.metadata.connectionState = state;
+    try {
+      for (const handler of eventHandlers.connectionStateChanged) {
+        handler({ name: terminalName, serverName: details.metadata.serverName, state });
+      }
+    } catch (error) {
+      logger.error(`触发连接状态变化事件时出错: ${error.message}`);
+    }
+  }
+
+  /**
+   * 将SSH终端标记为已登录，重置重连次数
+   * @param {string} terminalName - 终端名称
+   */
+  _markConnected(terminalName) {
+    const details = this.terminals.get(terminalName);
+    if (!details || !details.metadata.sshExecution || details.metadata.connected) {
+      return;
+    }
+    details.metadata.connected = true;
+    details.metadata.reconnectAttempt = 0;
+    this._setConnectionState(terminalName, 'connected');
+
+    if (details.metadata.tracksRemoteCwd && !details.metadata.currentWorkingDirectory) {
+      this._checkRemoteCwdReported(terminalName);
+    }
+  }
+
+  /**
+   * 等待正在连接的终端登录
+   * @param {string} terminalName - 终端名称
+   * @param {number} [timeout] - 超时时间（毫秒）
+   * @returns {Promise<string>} - connected（已登录）、disconnected（连接失败或终端已关闭）或 timeout（仍在连接）
+   */
+  waitForConnection(terminalName, timeout = CONNECTING_WAIT_TIMEOUT) {
+    return new Promise(resolve => {
+      const finish = result => {
+        clearTimeout(timer);
+        removeStateListener();
+        removeCloseListener();
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish('timeout'), timeout);
+      const removeStateListener = this.onConnectionStateChanged(event => {
+        if (event.name === terminalName && (event.state === 'connected' || event.state === 'disconnected')) {
+          finish(event.state);
+        }
+      });
+      const removeCloseListener = this.onTerminalClosed(event => {
+        if (event.name === terminalName) {
+          finish('disconnected');
+        }
+      });
+    });
+  }
+
+  /**
+   * 根据活动终端更新SSH终端上下文键，使快捷键只在扩展创建的SSH终端中生效
+   */
+  _updateSshTerminalContext() {
+    const activeTerminal = vscode.window.activeTerminal;
+    const isSSH = !!activeTerminal && [...this.terminals.values()]
+      .some(details => details.terminal === activeTerminal && details.metadata && details.metadata.type === 'ssh');
+    vscode.commands.executeCommand('setContext', SSH_TERMINAL_CONTEXT_KEY, isSSH);
+  }
+
+  /**
+   * 登录后一段时间内仍未收到远程shell上报的当前目录时记录警告
+   * 远程登录shell不是bash，或 rc 文件重新赋值了 PROMPT_COMMAND 时无法跟踪
+   * @param {string} terminalName - 终端名称
+   */
+  _checkRemoteCwdReported(terminalName) {
+    setTimeout(() => {
+      const details = this.terminals.get(terminalName);
+      if (details && details.metadata.connected && !details.metadata.currentWorkingDirectory) {
+        logger.warn(`终端 ${terminalName} 的远程shell没有上报当前目录（OSC 7），终端输出中的相对路径将按路径映射解析。` +
+          '远程shell不是bash或 rc 文件覆盖了 PROMPT_COMMAND 时，请在远程shell配置中自行输出 OSC 7');
+      }
+    }, REMOTE_CWD_REPORT_TIMEOUT);
+  }
+
   /**
    * 触发终端创建事件
    * @param {Object} data - 事件数据
@@ -92,6 +295,137 @@ class TerminalManager {
     }
   }
 
+  /**
+   * 触发SSH连接断开事件
+   * @param {Object} data - 事件数据
+   */
+  _triggerTerminalDisconnected(data) {
+    try {
+      for (const handler of eventHandlers.terminalDisconnected) {
+        handler(data);
+      }
+    } catch (error) {
+      logger.error(`触发连接断开事件时出错: ${error.message}`);
+    }
+  }
+
+  /**
+   * 处理命令执行结束事件，检测SSH连接是否断开
+   * @param {vscode.TerminalShellExecutionEndEvent} event - 命令执行结束事件
+   */
+  handleShellExecutionEnd(event) {
+    try {
+      let terminalName = null;
+      let details = null;
+      for (const [name, item] of this.terminals.entries()) {
+        if (item.metadata && item.metadata.sshExecution === event.execution) {
+          terminalName = name;
+          details = item;
+          break;
+        }
+      }
+
+      if (!details) return;
+
+      const { metadata } = details;
+      metadata.sshExecution = null;
+      this._setConnectionState(terminalName, 'disconnected');
+
+      const lostConnection = event.exitCode === SSH_CONNECTION_ERROR_EXIT_CODE;
+      logger.info(`SSH连接 ${terminalName} 已结束，退出码: ${event.exitCode}`);
+
+      this._triggerTerminalDisconnected({
+        name: terminalName,
+        serverName: metadata.serverName,
+        exitCode: event.exitCode,
+        lostConnection
+      });
+
+      // 正常退出（例如用户执行 exit）或认证失败时不需要重连
+      if (!lostConnection || metadata.promptResult === 'authFailed' || metadata.promptResult === 'cancelled') {
+        return;
+      }
+
+      // 从未成功连接过的会话不自动重连，避免在配置错误时反复尝试
+      const server = metadata.server || {};
+      if (server.autoReconnect && (metadata.connected || metadata.reconnectAttempt > 0)) {
+        this.reconnect(terminalName);
+        return;
+      }
+
+      vscode.window.showWarningMessage(`与服务器 ${metadata.serverName} 的SSH连接已断开`, '重新连接').then(choice => {
+        if (choice === '重新连接') {
+          this.reconnect(terminalName, { resetAttempts: true });
+        }
+      });
+    } catch (error) {
+      logger.error(`处理命令执行结束事件时出错: ${error.message}`);
+    }
+  }
+
+  /**
+   * 重新连接断开的SSH终端
+   * 创建新的终端并恢复原来的远程工作目录，成功后关闭旧终端
+   * @param {string} terminalName - 断开的终端名称
+   * @param {Object} [options] - 重连选项
+   * @param {boolean} [options.resetAttempts=false] - 是否重置重连次数（用户手动重连时）
+   * @returns {Promise<vscode.Terminal|null>} - 新的终端，如果失败则返回null
+   */
+  async reconnect(terminalName, options = {}) {
+    try {
+      const details = this.terminals.get(terminalName);
+      if (!details) {
+        logger.warn(`找不到要重连的终端: ${terminalName}`);
+        return null;
+      }
+
+      const { metadata } = details;
+      const attempt = options.resetAttempts ? 1 : (metadata.reconnectAttempt || 0) + 1;
+      if (attempt > MAX_RECONNECT_ATTEMPTS) {
+        vscode.window.showErrorMessage(
+          `服务器 ${metadata.serverName} 重连失败，已尝试 ${MAX_RECONNECT_ATTEMPTS} 次`,
+          '重新连接'
+        ).then(choice => {
+          if (choice === '重新连接') {
+            this.reconnect(terminalName, { resetAttempts: true });
+          }
+        });
+        return null;
+      }
+
+      // 自动重连时逐次增加等待时间，给网络恢复留出时间
+      if (!options.resetAttempts) {
+        const delay = RECONNECT_BASE_DELAY * attempt;
+        logger.info(`将在 ${delay / 1000} 秒后第 ${attempt} 次重连服务器 ${metadata.serverName}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        // 等待期间用户可能已关闭终端
+        if (!this.terminals.has(terminalName)) {
+          return null;
+        }
+      }
+
+      // 重新读取服务器配置，以便使用最新的设置
+      const server = await configLoader.getServerByName(metadata.serverName) || metadata.server;
+      const terminal = await this.createSshTerminal(server, {
+        ...metadata.connectOptions,
+        remotePath: metadata.remotePath,
+        reconnectAttempt: attempt,
+      });
+
+      if (terminal) {
+        details.terminal.dispose();
+        logger.info(`已重新连接到服务器 ${metadata.serverName}`);
+      }
+
+      return terminal;
+    } catch (error) {
+      logger.error(`重新连接时出错: ${error.message}`);
+      vscode.window.showErrorMessage(`重新连接时出错: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * 处理终端关闭事件
    * @param {vscode.Terminal} terminal - 关闭的终端
@@ -114,6 +448,7 @@ class TerminalManager {
           break;
         }
       }
+      this._updateSshTerminalContext();
 
       // 如果是SSH终端，记录日志
       if (removedKey && removedKey.includes(':SSH')) {
@@ -160,6 +495,8 @@ class TerminalManager {
       });
 
       logger.info(`已添加终端 ${terminalName} 到管理器`);
+      // 终端在加入记录前已显示，活动终端变化事件可能已经触发
+      this._updateSshTerminalContext();
 
       // 如果是SSH终端，触发创建事件
       if (metadata.type === 'ssh') {
@@ -245,6 +582,29 @@ class TerminalManager {
     }
   }
 
+  /**
+   * 获取服务器的连接状态
+   * 多个终端时按 已连接 > 连接中（包括未能确认登录） > 已断开 的优先级汇总
+   * @param {string} serverName - 服务器名称
+   * @returns {Object} - { state, terminalCount, connectedCount }，state 为 connected/connecting/disconnected/none
+   */
+  getServerConnectionStatus(serverName) {
+    const terminals = this.findTerminalsByServerName(serverName);
+    const states = terminals.map(t => t.metadata.connectionState);
+    const connectedCount = states.filter(state => state === 'connected').length;
+
+    let state = 'none';
+    if (connectedCount > 0) {
+      state = 'connected';
+    } else if (states.includes('connecting') || states.includes('unknown')) {
+      state = 'connecting';
+    } else if (terminals.length > 0) {
+      state = 'disconnected';
+    }
+
+    return { state, terminalCount: terminals.length, connectedCount };
+  }
+
   /**
    * 获取所有SSH终端
    * @returns {Array} - SSH终端数组
@@ -328,43 +688,108 @@ class TerminalManager {
   /**
    * 创建SSH终端
    * @param {Object} server - 服务器配置
-   * @returns {vscode.Terminal|null} - 创建的终端，如果失败则返回null
+   * @param {Object} [options] - 连接选项
+   * @param {Array} [options.portForwards] - 本次连接额外建立的端口转发
+   * @param {string} [options.remotePath] - 连接后切换到的远程目录，默认根据工作区映射
+   * @param {vscode.WorkspaceFolder} [options.workspaceFolder] - 终端对应的工作区文件夹，默认根据活动编辑器确定（多根工作区中可能询问用户）
+   * @param {number} [options.reconnectAttempt] - 自动重连的尝试次数（内部使用）
+   * @returns {Promise<vscode.Terminal|null>} - 创建的终端，如果失败则返回null
    */
-  createSshTerminal(server) {
+  async createSshTerminal(server, options = {}) {
     try {
       if (!server || !server.name || !server.host || !server.username) {
         logger.error('服务器配置无效');
         return null;
       }
 
+      // 连接时从安全存储中解析密码
+      server = await configLoader.resolveServerSecrets(server);
+
+      // 跳板机配置错误（例如循环引用）需要提示用户，而不是生成错误的命令
+      try {
+        buildJumpHostArgs(server, configLoader.getServerList());
+      } catch (error) {
+        logger.error(`跳板机配置无效: ${error.message}`);
+        vscode.window.showErrorMessage(`服务器 ${server.name} 的跳板机配置无效: ${error.message}`);
+        return null;
+      }
+
+      // 确定终端对应的工作区文件夹，用于自动切换远程目录和解析相对路径
+      if (!options.remotePath && !('workspaceFolder' in options)) {
+        options = { ...options, workspaceFolder: await resolveWorkspaceFolderForServer(server) };
+      }
+
       // 构建SSH命令
-      const sshCommand = this.buildSshCommand(server);
+      const sshCommand = this.buildSshCommand(server, options);
 
-      // 创建终端名称
-      const baseName = server.name;
+      // 创建终端名称，带端口转发的连接在名称中标注
+      const baseName = options.portForwards && options.portForwards.length > 0
+        ? `${server.name} (端口转发)`
+        : server.name;
       // 终端计数器已在全局变量中维护
 
       // 创建终端
+      const localShell = getLocalShell();
       const terminal = vscode.window.createTerminal({
         name: baseName,
-        shellPath: process.platform === 'win32' ? 'cmd.exe' : 'bash',
+        shellPath: localShell.shellPath,
       });
       terminal.show();
       // 添加到记录
-      const terminalName = this.addTerminal(server.name, terminal, {
+      const metadata = {
         type: 'ssh',
         server,
-      });
+        portForwards: sshCommand.portForwards,
+        remotePath: sshCommand.remotePath,
+        workspaceFolder: options.workspaceFolder || null,
+        connectOptions: { portForwards: options.portForwards, workspaceFolder: options.workspaceFolder || null },
+        reconnectAttempt: options.reconnectAttempt || 0,
+        connectionState: 'connecting',
+        connected: false,
+        tracksRemoteCwd: sshCommand.tracksRemoteCwd,
+      };
+      const terminalName = this.addTerminal(server.name, terminal, metadata);
+
+      // 执行SSH命令，参数按本地shell的规则引用，避免远程命令被本地shell拆分
+      const fullCommand = [sshCommand.command, ...sshCommand.args].map(arg => quoteShellArg(arg, localShell.shellType)).join(' ');
+      const shellIntegration = await waitForShellIntegration(terminal);
+
+      if (shellIntegration) {
+        // 通过 shell 集成执行命令并监视输出，出现提示后再应答
+        const execution = shellIntegration.executeCommand(fullCommand);
+        metadata.sshExecution = execution;
+
+        // 跟踪远程shell上报的当前工作目录，用于解析终端输出中的相对路径
+        if (sshCommand.tracksRemoteCwd) {
+          watchRemoteCwd(execution, cwd => {
+            metadata.currentWorkingDirectory = cwd;
+            logger.debug(`远程工作目录变化: ${cwd}`, { terminalName });
+            // 远程shell上报目录说明已登录（提示监视超时后才显示提示符的情况）
+            this._markConnected(terminalName);
+          });
+        }
+        watchSshPrompts(execution, terminal, server).then(result => {
+          logger.debug(`SSH提示监视结束: ${result}`, { terminalName });
+          metadata.promptResult = result;
+
+          if (result === 'loggedIn') {
+            this._markConnected(terminalName);
+          } else if (result === 'timeout' && metadata.sshExecution && metadata.connectionState === 'connecting') {
+            // 没有检测到登录信息，连接可能挂起或较慢，不能视为已连接
+            this._setConnectionState(terminalName, 'unknown');
+          }
+        });
+      } else {
+        terminal.sendText(fullCommand);
 
-      // 执行SSH命令
-      const fullCommand = `${sshCommand.command} ${sshCommand.args.join(' ')}`;
-      terminal.sendText(fullCommand);
+        // 没有 shell 集成时无法检测登录结果，命令发送后即视为已连接
+        metadata.connected = true;
+        this._setConnectionState(terminalName, 'connected');
 
-      // 如果使用密码认证，处理密码
-      if (sshCommand.authMethod === 'byPassword' && server.password) {
-        setTimeout(() => {
-          terminal.sendText(server.password);
-        }, 1000);
+        // 无法检测密码提示时由用户确认发送，避免密码被提前发送到 shell 中
+        if (sshCommand.authMethod === 'byPassword' && server.password) {
+          offerManualPassword(terminal, server);
+        }
       }
 
       return terminal;
@@ -377,9 +802,13 @@ class TerminalManager {
   /**
    * 构建SSH命令
    * @param {Object} server - 服务器配置
+   * @param {Object} [options] - 连接选项
+   * @param {Array} [options.portForwards] - 本次连接额外建立的端口转发
+   * @param {string} [options.remotePath] - 连接后切换到的远程目录
+   * @param {vscode.WorkspaceFolder} [options.workspaceFolder] - 用于映射远程目录的工作区文件夹，默认为活动的工作区文件夹
    * @returns {Object} - SSH命令信息
    */
-  buildSshCommand(server) {
+  buildSshCommand(server, options = {}) {
     try {
       logger.debug('buildSshCommand', { serverName: server?.name });
       // 检查服务器配置
@@ -392,17 +821,12 @@ class TerminalManager {
       const args = [];
       let authMethod = 'none';
 
-      // 添加端口参数
-      if (server.port && server.port !== 22) {
-        args.push('-p');
-        args.push(server.port.toString());
-        logger.debug(`使用非标准SSH端口: ${server.port}`);
-      }
+      // 添加端口、连接保活（服务器配置优先于全局配置）、跳板机和密钥参数，与远程命令执行和 scp 共用
+      const config = configLoader.getConfig();
+      args.push(...buildConnectionArgs(server, configLoader.getServerList(), config));
 
       // 处理认证方式
       if (server.privateKey) {
-        args.push('-i');
-        args.push(server.privateKey);
         authMethod = 'byKey';
         logger.debug(`使用密钥认证: ${server.privateKey}`);
       } else {
@@ -411,6 +835,16 @@ class TerminalManager {
         logger.debug('使用密码认证或系统默认密钥');
       }
 
+      // 添加端口转发参数：服务器配置中标记为自动建立的转发 + 本次连接指定的转发
+      const portForwards = [
+        ...(server.portForwards || []).filter(forward => forward.autoStart),
+        ...(options.portForwards || []),
+      ];
+      if (portForwards.length > 0) {
+        args.push(...buildPortForwardArgs(portForwards));
+        logger.debug(`添加端口转发: ${portForwards.map(describePortForward).join(', ')}`);
+      }
+
       // 添加用户名和主机
       const destination = `${server.username}@${server.host}`;
       args.push(destination);
@@ -420,41 +854,46 @@ class TerminalManager {
       const remoteCommands = [];
       logger.debug('开始构建远程命令...');
 
-      // 处理路径映射以自动更改目录
-      let remotePath = null;
+      // 处理路径映射以自动更改目录，重连时使用原来的目录
+      let remotePath = options.remotePath || null;
 
-      // 获取当前工作区路径
-      const currentWorkspacePath = vscode.workspace.workspaceFolders
-        ? vscode.workspace.workspaceFolders[0].uri.fsPath
-        : null;
+      // 获取终端对应的工作区文件夹路径
+      const workspaceFolder = 'workspaceFolder' in options ? options.workspaceFolder : getActiveWorkspaceFolder();
+      const currentWorkspacePath = workspaceFolder ? toMappingPath(workspaceFolder.uri) : null;
 
-      if (currentWorkspacePath) {
+      if (!remotePath && currentWorkspacePath) {
         logger.debug(`当前工作区路径: ${currentWorkspacePath}`);
 
         // 使用convertLocalPathToRemote函数转换路径
         remotePath = convertLocalPathToRemote(currentWorkspacePath, server);
+      }
 
-        if (remotePath) {
-          logger.debug(`转换后的远程路径: ${remotePath}`);
+      if (remotePath) {
+        logger.debug(`远程工作目录: ${remotePath}`);
 
-          // 使用单引号包围路径，防止特殊字符解析问题
-          const cdCommand = `cd '${remotePath.replace(/'/g, '\'\\\'\'')}'`;
-          remoteCommands.push(cdCommand);
-          logger.debug(`添加CD命令: ${cdCommand}`);
-        }
+        // 引用路径，防止特殊字符解析问题
+        const cdCommand = buildRemoteCdCommand(remotePath);
+        remoteCommands.push(cdCommand);
+        logger.debug(`添加CD命令: ${cdCommand}`);
       }
 
       // 添加初始化命令
       if (server.initCommands && server.initCommands.length > 0) {
         logger.debug(`服务器有 ${server.initCommands.length} 个初始化命令`);
         for (const cmd of server.initCommands) {
-          // 处理命令对象或字符串
+          // 处理命令对象或字符串，命令原样交给远程shell执行
           const commandText = typeof cmd === 'object' ? cmd.command : cmd;
-          remoteCommands.push(`"${commandText}"`);
+          remoteCommands.push(commandText);
           logger.debug(`添加初始化命令: ${commandText}`);
         }
       }
 
+      // 让远程shell在每次显示提示符前上报当前目录（OSC 7），保留已有的 PROMPT_COMMAND
+      const tracksRemoteCwd = config.trackRemoteCwd !== false;
+      if (tracksRemoteCwd) {
+        remoteCommands.push(`export PROMPT_COMMAND='${REMOTE_CWD_PROMPT_COMMAND}'"\${PROMPT_COMMAND:+;$PROMPT_COMMAND}"`);
+      }
+
       // 添加启动交互式shell的命令
       remoteCommands.push('eval $(echo \'$SHELL\') --login');
       logger.debug('添加启动交互式shell的命令');
@@ -471,6 +910,9 @@ class TerminalManager {
         command: command,
         args: args,
         authMethod: authMethod,
+        portForwards: portForwards,
+        remotePath: remotePath,
+        tracksRemoteCwd: tracksRemoteCwd,
       };
       logger.debug('SSH命令构建完成', { command, args });
       logger.debug('buildSshCommand 结束，没有错误');
@@ -581,6 +1023,7 @@ class TerminalManager {
             terminal: details.terminal,
             isSSH: details.metadata && details.metadata.type === 'ssh',
             serverName: details.metadata && details.metadata.type === 'ssh' ? details.metadata.serverName || name.split(':')[0] : null,
+            metadata: details.metadata,
           };
         }
       }
@@ -608,7 +1051,7 @@ class TerminalManager {
       // 如果只有一个服务器，直接连接
       if (serverList.length === 1) {
         const serverConfig = serverList[0];
-        this.createSshTerminal(serverConfig);
+        await this.createSshTerminal(serverConfig);
         return true;
       }
 
@@ -618,7 +1061,7 @@ class TerminalManager {
         if (!serverConfig) {
           throw new Error(`找不到服务器: ${serverName}`);
         }
-        this.createSshTerminal(serverConfig);
+        await this.createSshTerminal(serverConfig);
         return true;
       }
 
@@ -641,7 +1084,7 @@ class TerminalManager {
           if (!serverConfig) {
             throw new Error(`找不到服务器: ${selectedServerName}`);
           }
-          this.createSshTerminal(serverConfig);
+          await this.createSshTerminal(serverConfig);
           return true;
         }
       }
@@ -656,11 +1099,14 @@ class TerminalManager {
 
   /**
    * 获取或创建SSH终端
+   * 只复用已连接的终端，ssh 已退出的终端中是本地 shell，不能向其发送远程命令；
+   * 指定服务器的终端正在连接时等待其登录后复用，避免重复创建终端
    * @param {string|Object} serverParam - 服务器名称或服务器对象
    * @param {boolean} [showQuickPick=true] - 是否显示快速选择对话框
+   * @param {Object} [connectOptions] - 需要新建连接时传给 createSshTerminal 的连接选项
    * @returns {Promise<Object>} - 返回包含终端、服务器名称和连接状态的对象
    */
-  async getOrCreateSSHTerminal(serverParam, showQuickPick = true) {
+  async getOrCreateSSHTerminal(serverParam, showQuickPick = true, connectOptions = {}) {
     try {
       let serverName = null;
       let server = null;
@@ -690,8 +1136,8 @@ class TerminalManager {
       if (serverName) {
         logger.debug(`检查服务器 ${serverName} 是否已连接`);
 
-        // 查找该服务器的所有终端
-        const serverTerminals = this.findTerminalsByServerName(serverName);
+        // 查找该服务器已连接的终端
+        const serverTerminals = this.findTerminalsByServerName(serverName).filter(isConnectedTerminal);
 
         // 如果已有终端连接
         if (serverTerminals.length > 0) {
@@ -700,7 +1146,7 @@ class TerminalManager {
           // 首先检查活动终端是否是该服务器的终端
           const activeSSHTerminal = this.getActiveSSHTerminal();
           if (activeSSHTerminal &&
-            activeSSHTerminal.metadata &&
+            isConnectedTerminal(activeSSHTerminal) &&
             activeSSHTerminal.metadata.serverName === serverName) {
             logger.debug(`使用活动的SSH终端 ${activeSSHTerminal.name}`);
             activeSSHTerminal.terminal.show();
@@ -720,6 +1166,25 @@ class TerminalManager {
           };
         }
 
+        // 正在连接的终端登录后复用，登录前不能发送命令（可能被输入到密码提示中）
+        const connectingTerminal = this.findTerminalsByServerName(serverName).find(isConnectingTerminal);
+        if (connectingTerminal) {
+          logger.debug(`等待正在连接的SSH终端 ${connectingTerminal.name}`);
+          connectingTerminal.terminal.show();
+          const result = await this.waitForConnection(connectingTerminal.name);
+          if (result === 'connected') {
+            return {
+              terminal: connectingTerminal.terminal,
+              serverName,
+              isNewConnection: false
+            };
+          }
+          if (result === 'timeout') {
+            vscode.window.showWarningMessage(`到服务器 ${serverName} 的终端仍在连接中，请在终端中完成登录后重试`);
+            return { terminal: null, serverName, isNewConnection: false };
+          }
+        }
+
         // 如果没有终端连接，创建新连接
         logger.info(`服务器 ${serverName} 未连接，正在连接...`);
 
@@ -732,7 +1197,7 @@ class TerminalManager {
         }
 
         // 创建SSH终端
-        const terminal = this.createSshTerminal(server);
+        const terminal = await this.createSshTerminal(server, connectOptions);
         if (!terminal) {
           logger.error(`无法创建到服务器 ${serverName} 的终端`);
         }
@@ -745,8 +1210,8 @@ class TerminalManager {
         };
       }
 
-      // 如果没有指定服务器，获取所有SSH终端
-      const sshTerminals = this.getAllSSHTerminals();
+      // 如果没有指定服务器，获取所有已连接的SSH终端
+      const sshTerminals = this.getAllSSHTerminals().filter(isConnectedTerminal);
 
       // 如果有SSH终端
       if (sshTerminals.length > 0) {
@@ -763,7 +1228,7 @@ class TerminalManager {
 
         // 如果有活动的SSH终端，优先使用
         const activeSSHTerminal = this.getActiveSSHTerminal();
-        if (activeSSHTerminal) {
+        if (activeSSHTerminal && isConnectedTerminal(activeSSHTerminal)) {
           logger.debug(`使用活动的SSH终端 ${activeSSHTerminal.name}`);
           activeSSHTerminal.terminal.show();
           return {
@@ -822,7 +1287,7 @@ class TerminalManager {
           // 如果只有一个服务器，直接连接
           if (serverList.length === 1) {
             const serverConfig = serverList[0];
-            const terminal = this.createSshTerminal(serverConfig);
+            const terminal = await this.createSshTerminal(serverConfig);
             if (terminal) {
               terminal.show();
               return {
@@ -851,7 +1316,7 @@ class TerminalManager {
               throw new Error(`找不到服务器: ${serverName}`);
             }
 
-            const terminal = this.createSshTerminal(serverConfig);
+            const terminal = await this.createSshTerminal(serverConfig);
             if (terminal) {
               return {
                 terminal,
@@ -16,7 +16,8 @@ let updatePending = false;
 // 上次状态
 let lastConnectionState = {
   connected: false,
-  serverNames: ''
+  serverNames: '',
+  activeServerName: null
 };
 
 /**
@@ -35,6 +36,11 @@ function initialize(context) {
     // 将状态栏按钮添加到上下文处置列表
     context.subscriptions.push(fastOpenConnectionButton);
 
+    // 注册SSH终端切换命令
+    context.subscriptions.push(
+      vscode.commands.registerCommand('smartssh-smba.switchSshTerminal', showTerminalSwitcher)
+    );
+
     // 监听终端事件
     registerEventListeners(context);
 
@@ -128,6 +134,16 @@ function registerEventListeners(context) {
     updateStatusBarButton(true);
   });
 
+  terminalManager.onConnectionStateChanged(() => {
+    logger.debug('SSH连接状态变化: 更新状态栏');
+    updateStatusBarButton(true);
+  });
+
+  // 切换活动终端时显示对应的服务器
+  const onDidChangeActiveTerminal = vscode.window.onDidChangeActiveTerminal(() => {
+    debouncedUpdateStatusBar(false);
+  });
+
   // 监听活动编辑器变化，这可能影响服务器关联
   const onDidChangeActiveTextEditor = vscode.window.onDidChangeActiveTextEditor(() => {
     // 使用防抖版本的更新函数，不输出日志
@@ -138,6 +154,7 @@ function registerEventListeners(context) {
   context.subscriptions.push(onDidOpenTerminal);
   context.subscriptions.push(onDidCloseTerminal);
   context.subscriptions.push(onDidChangeActiveTextEditor);
+  context.subscriptions.push(onDidChangeActiveTerminal);
 }
 
 /**
@@ -154,34 +171,48 @@ function updateStatusBarButton(verbose = true) {
     // 检查是否有活动的SSH连接
     const activeSSHTerminals = terminalManager.getAllSSHTerminals();
     const hasActiveSSHConnections = activeSSHTerminals && activeSSHTerminals.length > 0;
-    const serverNames = hasActiveSSHConnections 
-      ? activeSSHTerminals.map(term => term.serverName || '未命名').join(', ')
+    const activeTerminal = terminalManager.getActiveSSHTerminal();
+    const activeServerName = activeTerminal ? activeTerminal.metadata.serverName : null;
+    const serverNames = hasActiveSSHConnections
+      ? [...new Set(activeSSHTerminals.map(term => term.serverName || '未命名'))].join(', ')
       : '';
 
     // 检查状态是否变化
     const stateChanged = 
       lastConnectionState.connected !== hasActiveSSHConnections || 
-      lastConnectionState.serverNames !== serverNames;
+      lastConnectionState.serverNames !== serverNames ||
+      lastConnectionState.activeServerName !== activeServerName;
 
     // 更新上次状态
     lastConnectionState.connected = hasActiveSSHConnections;
     lastConnectionState.serverNames = serverNames;
+    lastConnectionState.activeServerName = activeServerName;
 
     // 只有当状态变化或要求详细日志时才输出日志
     const shouldLog = verbose || stateChanged;
 
     if (hasActiveSSHConnections) {
-      // 有活动的SSH连接时
-      fastOpenConnectionButton.text = `${serverNames} SSH 已连接`;
-      fastOpenConnectionButton.tooltip = `已连接到服务器: ${serverNames}`;
-      
+      // 有活动的SSH连接时，显示当前终端对应的服务器，点击切换终端
+      const connectedCount = activeSSHTerminals
+        .filter(term => term.metadata.connectionState === 'connected').length;
+      const activeState = activeTerminal ? activeTerminal.metadata.connectionState : null;
+      const icon = activeState === 'disconnected' ? '$(debug-disconnect)' : '$(vm-connect)';
+
+      fastOpenConnectionButton.text = activeServerName
+        ? `${icon} ${activeServerName}${activeSSHTerminals.length > 1 ? ` (+${activeSSHTerminals.length - 1})` : ''}`
+        : `${icon} ${activeSSHTerminals.length} 个 SSH 终端`;
+      fastOpenConnectionButton.tooltip = `已连接到服务器: ${serverNames}\n` +
+        `SSH终端: ${activeSSHTerminals.length} 个（已连接 ${connectedCount} 个）\n点击切换SSH终端`;
+      fastOpenConnectionButton.command = 'smartssh-smba.switchSshTerminal';
+
       if (shouldLog) {
         logger.debug(`状态栏更新: 已连接SSH (${serverNames})`);
       }
     } else {
       // 无活动SSH连接时
-      fastOpenConnectionButton.text = ' 连接 SSH';
+      fastOpenConnectionButton.text = '$(terminal) 连接 SSH';
       fastOpenConnectionButton.tooltip = '打开 SSH 连接';
+      fastOpenConnectionButton.command = 'smartssh-smba.fastOpenConnection';
       
       if (shouldLog) {
         logger.debug('状态栏更新: 未连接SSH');
@@ -201,6 +232,54 @@ function updateStatusBarButton(verbose = true) {
   }
 }
 
+/**
+ * 显示SSH终端切换列表
+ * 列出所有打开的SSH终端及其连接状态，选择后切换到该终端
+ */
+async function showTerminalSwitcher() {
+  try {
+    const sshTerminals = terminalManager.getAllSSHTerminals();
+    const activeTerminal = vscode.window.activeTerminal;
+    const stateLabels = { connected: '已连接', connecting: '连接中', unknown: '未确认登录', disconnected: '已断开' };
+    const stateIcons = {
+      connected: '$(vm-running)',
+      connecting: '$(loading~spin)',
+      unknown: '$(question)',
+      disconnected: '$(debug-disconnect)',
+    };
+
+    const items = sshTerminals.map(t => {
+      const state = t.metadata.connectionState;
+      const serverInfo = t.metadata.serverInfo;
+      return {
+        label: `${stateIcons[state] || '$(terminal)'} ${t.serverName}`,
+        description: `${serverInfo ? `${serverInfo.username}@${serverInfo.host} · ` : ''}${stateLabels[state] || '未知'}`,
+        detail: t.terminal === activeTerminal ? `${t.name}（当前终端）` : t.name,
+        terminal: t.terminal,
+      };
+    });
+
+    items.push({ label: '$(add) 新建SSH连接', action: 'connect' });
+
+    const selection = await vscode.window.showQuickPick(items, {
+      placeHolder: '选择要切换到的SSH终端',
+      matchOnDescription: true,
+    });
+
+    if (!selection) return;
+
+    if (selection.action === 'connect') {
+      await vscode.commands.executeCommand('smartssh-smba.connectToServer');
+      return;
+    }
+
+    selection.terminal.show();
+  } catch (error) {
+    logger.error(`切换SSH终端时出错: ${error.message}`);
+    vscode.window.showErrorMessage(`切换SSH终端时出错: ${error.message}`);
+  }
+}
+
 /**
  * 清理状态栏资源
  */
@@ -227,5 +306,6 @@ function dispose() {
 module.exports = {
   initialize,
   updateStatusBarButton,
+  showTerminalSwitcher,
   dispose
 };
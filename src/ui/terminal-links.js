@@ -2,6 +2,7 @@ const vscode = require('vscode');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const pathUtils = require('../utils/path-utils');
+const { getLinkPatterns } = require('../utils/link-patterns');
 const fileService = require('../services/file-service');
 const terminalManager = require('../services/terminal-manager');
 const configLoader = require('../adapters/config-loader');
@@ -15,16 +16,10 @@ function registerTerminalLinkProvider(context) {
     provideTerminalLinks: (context, token) => {
       const links = [];
 
-      // 获取当前活动终端对应的服务器
-      const activeTerminal = vscode.window.activeTerminal
-        ? terminalManager.findTerminalByVscodeTerminal(vscode.window.activeTerminal)
+      // 获取输出该行的终端对应的服务器
+      const activeSSHTerminal = context.terminal
+        ? terminalManager.findTerminalByVscodeTerminal(context.terminal)
         : null;
-      if (!activeTerminal) {
-        return links;
-      }
-
-      // 获取活动终端对应的服务器
-      const activeSSHTerminal = terminalManager.getActiveSSHTerminal();
       if (!activeSSHTerminal || !activeSSHTerminal.metadata || !activeSSHTerminal.metadata.serverInfo) {
         return links;
       }
@@ -35,7 +30,7 @@ function registerTerminalLinkProvider(context) {
       }
 
       // 在文本中查找所有可能的路径
-      const potentialPaths = pathUtils.findPotentialPaths(context.line);
+      const potentialPaths = pathUtils.findPotentialPaths(context.line, getLinkPatterns(activeServer));
 
       // 处理每个潜在路径
       for (const pathInfo of potentialPaths) {
@@ -45,9 +40,15 @@ function registerTerminalLinkProvider(context) {
           tooltip: `服务器(${activeServer.name})：点击打开 `,
           data: {
             filePath: pathInfo.path,
+            // 完整的链接文本（包含行列号等上下文），点击时重新解析以保留行列号
+            text: context.line.substr(pathInfo.startIndex, pathInfo.length),
             line: pathInfo.line,
             column: pathInfo.column,
             serverName: activeServer.name,
+            terminalName: activeSSHTerminal.name,
+            // 记录检测链接时（而不是输出时）的远程工作目录，用于解析相对路径；
+            // 目录切换后，较早输出中的相对路径会基于新目录解析
+            currentWorkingDirectory: activeSSHTerminal.metadata.currentWorkingDirectory,
             isRelative: pathInfo.isRelative,
             workspaceRoot: pathInfo.workspaceRoot,
           },
@@ -57,13 +58,24 @@ function registerTerminalLinkProvider(context) {
       return links;
     },
     handleTerminalLink: async link => {
-      const { filePath, line, column, serverName } = link.data;
+      const { filePath, text, line, column, serverName, terminalName, currentWorkingDirectory } = link.data;
       try {
         // 获取服务器信息
         let server = null;
+        let workspaceFolder = null;
+
+        // 方法0: 根据输出链接的终端获取服务器及其对应的工作区文件夹
+        if (terminalName) {
+          const details = terminalManager.terminals.get(terminalName);
+          if (details && details.metadata && details.metadata.serverInfo) {
+            server = details.metadata.serverInfo;
+            workspaceFolder = details.metadata.workspaceFolder || null;
+            logger.debug(`通过终端 ${terminalName} 找到服务器配置`);
+          }
+        }
         
         // 方法1: 根据服务器名获取相关终端
-        if (serverName) {
+        if (!server && serverName) {
           // 查找与该服务器相关的终端
           const serverTerminals = terminalManager.findTerminalsByServerName(serverName);
           if (serverTerminals && serverTerminals.length > 0 && serverTerminals[0].metadata) {
@@ -117,8 +129,14 @@ function registerTerminalLinkProvider(context) {
         // 记录服务器信息以便调试
         logger.debug(`处理路径 ${filePath}，使用服务器: ${server.name}`);
         
-        // 使用新的openPathFromText函数处理路径并打开文件
-        const result = await pathUtils.openPathFromText(filePath, server);
+        // 带上远程工作目录，使相对路径基于远程当前目录解析
+        if (currentWorkingDirectory) {
+          server = { ...server, currentWorkingDirectory };
+          logger.debug(`使用远程工作目录解析路径: ${currentWorkingDirectory}`);
+        }
+
+        // 使用新的openPathFromText函数处理路径并打开文件，本地相对路径基于终端对应的工作区文件夹解析
+        const result = await pathUtils.openPathFromText(text || filePath, server, workspaceFolder ? { workspaceFolder } : {});
         
         // 确保result对象存在，再检查其属性
         if (!result) {
@@ -8,6 +8,22 @@ const configLoader = require('../../adapters/config-loader');
 const { logger } = require('../../utils/logger');
 const BaseTreeItem = require('./base-tree-item');
 const { getIconForItem } = require('../../utils/icon-utils');
+const { resolveJumpHosts } = require('../../utils/ssh-utils');
+const {
+  getMappingKind,
+  validatePathMapping,
+  describePathMapping,
+  findAmbiguousMappings,
+} = require('../../utils/path-mapping-rules');
+const terminalManager = require('../../services/terminal-manager');
+
+// 服务器连接状态的显示方式
+const CONNECTION_STATE_DISPLAY = {
+  connected: { icon: 'vm-running', color: 'testing.iconPassed', label: '已连接' },
+  connecting: { icon: 'loading~spin', color: undefined, label: '连接中' },
+  disconnected: { icon: 'debug-disconnect', color: 'testing.iconFailed', label: '已断开' },
+  none: { icon: 'server', color: undefined, label: '未连接' },
+};
 
 /**
  * 服务器树项
@@ -57,9 +73,7 @@ class ServerTreeItem extends BaseTreeItem {
         this.iconPath = new vscode.ThemeIcon('folder-opened');
         break;
       case 'smb-mapping':
-        this.iconPath = new vscode.ThemeIcon('link');
-        this.tooltip = `路径映射\n本地路径: ${commandObj.localPath || '未指定'}\n远程路径: ${commandObj.remotePath || '未指定'}`;
-        this.description = commandObj.description;
+        this.setupMappingItem(commandObj);
         break;
       case 'local-path':
         this.iconPath = new vscode.ThemeIcon('folder-opened');
@@ -72,12 +86,41 @@ class ServerTreeItem extends BaseTreeItem {
     }
   }
 
+  /**
+   * 设置路径映射项的属性，无效或只能单向转换的映射显示警告图标
+   * @param {Object} commandObj - 映射信息
+   */
+  setupMappingItem(commandObj) {
+    if (commandObj.match !== undefined) {
+      this.tooltip = `正则路径映射\n远程匹配: ${commandObj.match}\n本地替换: ${commandObj.replace || '未指定'}`;
+      if (commandObj.reverseMatch !== undefined) {
+        this.tooltip += `\n本地匹配: ${commandObj.reverseMatch}\n远程替换: ${commandObj.reverseReplace || '未指定'}`;
+      }
+    } else {
+      this.tooltip = `路径映射\n本地路径: ${commandObj.localPath || '未指定'}\n远程路径: ${commandObj.remotePath || '未指定'}`;
+    }
+    this.description = commandObj.description;
+
+    if (commandObj.problem) {
+      this.iconPath = new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+      this.tooltip += `\n⚠ ${commandObj.problem}`;
+    } else {
+      this.iconPath = new vscode.ThemeIcon('link');
+    }
+  }
+
   /**
    * 设置服务器项的属性
    */
   setupServerItem() {
-    // 设置图标
-    this.iconPath = new vscode.ThemeIcon('server');
+    // 根据连接状态设置图标
+    const status = this.server
+      ? terminalManager.getServerConnectionStatus(this.server.name)
+      : { state: 'none', terminalCount: 0, connectedCount: 0 };
+    const display = CONNECTION_STATE_DISPLAY[status.state];
+    this.iconPath = display.color
+      ? new vscode.ThemeIcon(display.icon, new vscode.ThemeColor(display.color))
+      : new vscode.ThemeIcon(display.icon);
 
     // 设置工具提示
     if (this.server) {
@@ -85,13 +128,20 @@ class ServerTreeItem extends BaseTreeItem {
       if (this.server.port && this.server.port !== 22) {
         this.tooltip += `:${this.server.port}`;
       }
+      this.tooltip += `\n状态: ${display.label}`;
+      if (status.terminalCount > 0) {
+        this.tooltip += `\n打开的终端: ${status.terminalCount} 个（已连接 ${status.connectedCount} 个）`;
+      }
     } else {
       this.tooltip = this.label;
     }
 
-    // 设置描述
+    // 设置描述，有打开的终端时显示状态和终端数量
     if (this.server) {
       this.description = `${this.server.username}@${this.server.host}`;
+      if (status.terminalCount > 0) {
+        this.description += ` · ${display.label} (${status.terminalCount})`;
+      }
     }
 
     // 不设置点击命令，使用默认的展开/折叠行为
@@ -119,6 +169,30 @@ class ServerTreeItem extends BaseTreeItem {
 
     // 设置描述
     this.description = this.server ? this.server[this.configKey] : '';
+
+    // 跳板机显示完整的跳转链
+    if (this.configKey === 'jumpHosts') {
+      this.setupJumpHostsItem();
+    }
+  }
+
+  /**
+   * 设置跳板机配置项的属性
+   */
+  setupJumpHostsItem() {
+    this.iconPath = new vscode.ThemeIcon('debug-step-over');
+
+    try {
+      const chain = resolveJumpHosts(this.server, configLoader.getServerList() || []);
+      this.description = chain.map(jumpHost => jumpHost.serverName || jumpHost.spec).join(' → ');
+      this.tooltip = `跳板机链:\n${chain
+        .map((jumpHost, index) => `${index + 1}. ${jumpHost.serverName ? `${jumpHost.serverName} (${jumpHost.spec})` : jumpHost.spec}`)
+        .join('\n')}`;
+    } catch (error) {
+      this.iconPath = new vscode.ThemeIcon('warning');
+      this.description = error.message;
+      this.tooltip = error.message;
+    }
   }
 
   /**
@@ -174,6 +248,17 @@ class ServerTreeProvider {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
     this.context = context;
+
+    // 终端打开、关闭或连接状态变化时刷新服务器状态
+    const refresh = () => this.refresh();
+    const removeListeners = [
+      terminalManager.onTerminalCreated(refresh),
+      terminalManager.onTerminalClosed(refresh),
+      terminalManager.onConnectionStateChanged(refresh),
+    ];
+    if (context) {
+      context.subscriptions.push({ dispose: () => removeListeners.forEach(remove => remove()) });
+    }
   }
 
   /**
@@ -330,11 +415,14 @@ class ServerTreeProvider {
       return [];
     }
 
-    const configKeys = ['host', 'username', 'port', 'privateKey', 'agent'];
+    const configKeys = ['host', 'username', 'port', 'privateKey', 'agent', 'jumpHosts'];
     const nodes = [];
 
     for (const key of configKeys) {
       if (server[key] !== undefined) {
+        if (key === 'jumpHosts' && (!Array.isArray(server[key]) || server[key].length === 0)) {
+          continue;
+        }
         const label = key.charAt(0).toUpperCase() + key.slice(1);
         const description = key === 'port' ? server[key].toString() : server[key];
         
@@ -411,18 +499,25 @@ class ServerTreeProvider {
 
     // 处理pathMappings
     if (server.pathMappings && Array.isArray(server.pathMappings)) {
+      const overlaps = this.getMappingOverlaps(server.pathMappings);
       server.pathMappings.forEach((mapping, index) => {
+        const { error, warning } = validatePathMapping(mapping);
+        const isRegex = getMappingKind(mapping) === 'regex';
+        const problem = [error || warning, overlaps.get(mapping)].filter(Boolean).join('\n⚠ ');
         nodes.push(
           new ServerTreeItem(
-            `本地 ${mapping.localPath || '未指定'}`,
+            isRegex ? `正则 ${mapping.match}` : `本地 ${mapping.localPath || '未指定'}`,
             vscode.TreeItemCollapsibleState.Collapsed,
             server,
             'smb-mapping',
             null,
             {
-              localPath: mapping.localPath,
-              remotePath: mapping.remotePath,
-              description: `映射到 ${mapping.remotePath || '未指定'}`,
+              ...mapping,
+              description: (isRegex
+                ? `替换为 ${mapping.replace || '未指定'}`
+                : `映射到 ${mapping.remotePath || '未指定'}`) +
+                (mapping.priority !== undefined ? ` (优先级 ${mapping.priority})` : ''),
+              problem: problem || null,
               index: index,
             }
           )
@@ -454,6 +549,26 @@ class ServerTreeProvider {
     return nodes;
   }
 
+  /**
+   * 查找有歧义的重叠映射，返回每个映射对应的提示
+   * @param {Array} pathMappings - 服务器的路径映射
+   * @returns {Map<Object, string>} - 映射到提示信息
+   */
+  getMappingOverlaps(pathMappings) {
+    const overlaps = new Map();
+    const validMappings = pathMappings.filter(mapping => !validatePathMapping(mapping).error);
+
+    for (const { first, second, direction } of findAmbiguousMappings(validMappings)) {
+      const side = direction === 'toLocal' ? '远程' : '本地';
+      for (const [mapping, other] of [[first, second], [second, first]]) {
+        const message = `与映射 ${describePathMapping(other)} 的${side}路径重叠且优先级相同，将按配置顺序匹配，请设置 priority`;
+        overlaps.set(mapping, overlaps.has(mapping) ? `${overlaps.get(mapping)}\n⚠ ${message}` : message);
+      }
+    }
+
+    return overlaps;
+  }
+
   /**
    * 获取路径映射详细信息
    * @param {Object} server - 服务器配置
@@ -467,6 +582,33 @@ class ServerTreeProvider {
 
     const items = [];
 
+    // 正则映射显示匹配和替换规则
+    if (mapping.match !== undefined) {
+      const rules = [
+        ['远程匹配', mapping.match, 'remote-path'],
+        ['本地替换', mapping.replace, 'local-path'],
+        ['本地匹配', mapping.reverseMatch, 'local-path'],
+        ['远程替换', mapping.reverseReplace, 'remote-path'],
+      ];
+      for (const [label, value, contextValue] of rules) {
+        if (value === undefined) continue;
+        items.push(
+          new ServerTreeItem(
+            `${label}: ${value}`,
+            vscode.TreeItemCollapsibleState.None,
+            server,
+            contextValue,
+            null,
+            {
+              path: value,
+              description: label,
+            }
+          )
+        );
+      }
+      return items;
+    }
+
     // 添加本地路径项
     if (mapping.localPath) {
       items.push(
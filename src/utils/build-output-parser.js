@@ -0,0 +1,125 @@
+/**
+ * 构建输出解析模块
+ * 使用终端路径识别的格式（包括自定义链接模式）从编译器输出中提取错误、警告和提示，
+ * 并通过路径映射把远程路径转换为本地路径
+ */
+
+const path = require('path');
+const { logger } = require('./logger');
+const { findPotentialPaths, convertRemotePathToLocal } = require('./path-utils');
+const { getLinkPatterns } = require('./link-patterns');
+
+// 严重程度关键字，例如 gcc/clang 的 "error:"、"warning:"、"note:"
+const SEVERITY_PATTERN = /\b(fatal error|error|warning|note)(?:\[[^\]]*\])?\s*:\s*(.*)$/i;
+// 只有严重程度没有位置的行，位置在后续行给出（例如 rustc 的 "error[E0425]: ..." 和 "--> src/main.rs:2:5"）
+const SEVERITY_HEADER_PATTERN = /^\s*(fatal error|error|warning|note)(?:\[[^\]]*\])?\s*:\s*(.+)$/i;
+// 只给出上下文位置的行，不作为问题（gcc 的包含关系、rustc 的相关位置）
+const CONTEXT_LINE_PATTERN = /^\s*(?:In file included from|from\s|:::)/;
+// 没有严重程度关键字的位置行（例如 Go 的 "main.go:12:3: undefined: foo"、Python 的回溯）默认的严重程度
+const DEFAULT_SEVERITY = 'error';
+// make 切换目录的输出，用于解析相对路径
+const MAKE_DIRECTORY_PATTERN = /^\S*make(?:\[\d+\])?: (Entering|Leaving) directory [`'"](.+)['"]\s*$/;
+
+/**
+ * 将严重程度关键字转换为 error、warning 或 info
+ * @param {string} keyword - 关键字
+ * @returns {string} - 严重程度
+ */
+function toSeverity(keyword) {
+  const lower = keyword.toLowerCase();
+  if (lower.endsWith('error')) {
+    return 'error';
+  }
+  return lower === 'warning' ? 'warning' : 'info';
+}
+
+/**
+ * 将输出中的路径解析为远程绝对路径
+ * @param {string} filePath - 输出中的路径
+ * @param {string} [cwd] - 当前远程目录
+ * @returns {string} - 远程路径
+ */
+function resolveRemotePath(filePath, cwd) {
+  if (filePath.startsWith('/') || filePath.startsWith('~/') || !cwd) {
+    return filePath;
+  }
+  return path.posix.join(cwd, filePath);
+}
+
+/**
+ * 解析构建输出
+ * @param {string[]} lines - 输出行
+ * @param {Object} server - 服务器配置，用于路径映射和自定义链接模式
+ * @param {string} [cwd] - 执行构建的远程目录，用于解析相对路径
+ * @param {Object} [options] - 选项
+ * @param {string} [options.defaultSeverity] - 没有严重程度关键字的位置行的严重程度（error、warning、info），ignore 表示忽略这些行
+ * @returns {Object} - { problems, unmapped }，problems 为 [{ localPath, remotePath, line, column, severity, message }]，
+ *   unmapped 为无法映射到本地的远程路径
+ */
+function parseBuildOutput(lines, server, cwd, options = {}) {
+  const defaultSeverity = options.defaultSeverity || DEFAULT_SEVERITY;
+  const extraPatterns = getLinkPatterns(server);
+  const directories = cwd ? [cwd] : [];
+  const baseDepth = directories.length;
+  const problems = [];
+  const unmapped = new Set();
+  let pendingHeader = null;
+
+  for (const text of lines) {
+    const directoryMatch = text.match(MAKE_DIRECTORY_PATTERN);
+    if (directoryMatch) {
+      if (directoryMatch[1] === 'Entering') {
+        directories.push(directoryMatch[2]);
+      } else if (directories.length > baseDepth) {
+        directories.pop();
+      }
+      continue;
+    }
+
+    const location = findPotentialPaths(text, extraPatterns).find(item => item.line);
+    if (!location) {
+      const header = text.match(SEVERITY_HEADER_PATTERN);
+      if (header) {
+        pendingHeader = { severity: toSeverity(header[1]), message: header[2].trim() };
+      }
+      continue;
+    }
+
+    // 位置所在行的严重程度优先，其次使用前面单独一行给出的严重程度，都没有时使用默认的严重程度
+    const severityMatch = text.slice(location.startIndex).match(SEVERITY_PATTERN);
+    let problem = severityMatch
+      ? { severity: toSeverity(severityMatch[1]), message: severityMatch[2].trim() }
+      : pendingHeader;
+    pendingHeader = null;
+    if (!problem) {
+      if (defaultSeverity === 'ignore' || CONTEXT_LINE_PATTERN.test(text)) {
+        continue;
+      }
+      // 没有关键字时无法区分位置和消息，使用整行作为消息
+      problem = { severity: defaultSeverity, message: '' };
+    }
+
+    const remotePath = resolveRemotePath(location.path, directories[directories.length - 1]);
+    const localPath = convertRemotePathToLocal(remotePath, server);
+    if (!localPath) {
+      unmapped.add(remotePath);
+      continue;
+    }
+
+    problems.push({
+      localPath,
+      remotePath,
+      line: location.line,
+      column: location.column || 1,
+      severity: problem.severity,
+      message: problem.message || text.trim(),
+    });
+  }
+
+  logger.debug(`构建输出解析完成: ${problems.length} 个问题，${unmapped.size} 个路径无法映射`);
+  return { problems, unmapped: [...unmapped] };
+}
+
+module.exports = {
+  parseBuildOutput,
+};
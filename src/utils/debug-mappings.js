@@ -0,0 +1,106 @@
+/**
+ * 调试路径映射模块
+ * 根据服务器的路径映射生成调试器使用的源码路径映射：
+ * cppdbg 的 sourceFileMap、CodeLLDB 的 sourceMap、debugpy 的 pathMappings
+ */
+
+const { logger } = require('./logger');
+const { getPathMappings, convertRemotePathToLocal } = require('./path-utils');
+const { getRemoteAliases } = require('./remote-aliases');
+const { isRemoteUriPath } = require('./remote-uri');
+const { getMappingKind, sortPathMappings, describePathMapping } = require('./path-mapping-rules');
+
+// 支持的调试器类型及其路径映射属性
+const DEBUG_MAPPING_PROPERTIES = {
+  cppdbg: 'sourceFileMap',
+  lldb: 'sourceMap',
+  debugpy: 'pathMappings',
+  python: 'pathMappings',
+};
+
+/**
+ * 判断调试器类型是否支持注入路径映射
+ * @param {string} type - 调试配置类型
+ * @returns {boolean} - 是否支持
+ */
+function isSupportedDebugType(type) {
+  return Object.prototype.hasOwnProperty.call(DEBUG_MAPPING_PROPERTIES, type);
+}
+
+/**
+ * 获取可用于调试器的映射（远程路径 → 本地路径），更具体的映射在前
+ * 调试器只支持前缀映射，且远程路径必须是绝对路径、本地路径不能是 smartssh:// 远程文件，其他映射会被跳过；
+ * 远程路径别名的真实路径也会加入，因为调试信息中记录的通常是符号链接解析后的路径
+ * @param {Object} server - 服务器配置
+ * @returns {Array} - [{ remoteRoot, localRoot }]
+ */
+function getDebugRoots(server) {
+  const roots = [];
+  for (const mapping of sortPathMappings(getPathMappings(server), 'toLocal')) {
+    if (getMappingKind(mapping) !== 'prefix' || !mapping.remotePath.startsWith('/') || isRemoteUriPath(mapping.localPath)) {
+      logger.debug(`调试器不支持路径映射 ${describePathMapping(mapping)}，已跳过`);
+      continue;
+    }
+    roots.push({
+      remoteRoot: mapping.remotePath.length > 1 ? mapping.remotePath.replace(/\/+$/, '') : mapping.remotePath,
+      // 去掉结尾的斜杠，盘符根目录（Z:\）和 / 保持不变
+      localRoot: mapping.localPath.replace(/([^:\\/])[\\/]+$/, '$1'),
+    });
+  }
+
+  for (const alias of getRemoteAliases(server)) {
+    const remoteRoot = alias.from.length > 1 ? alias.from.replace(/\/+$/, '') : alias.from;
+    const localRoot = convertRemotePathToLocal(alias.to, server);
+    if (localRoot && !isRemoteUriPath(localRoot) && !roots.some(root => root.remoteRoot === remoteRoot)) {
+      roots.push({ remoteRoot, localRoot: localRoot.replace(/([^:\\/])[\\/]+$/, '$1') });
+    }
+  }
+  return roots;
+}
+
+/**
+ * 将服务器的路径映射合并到调试配置中，配置中已有的映射保持不变
+ * @param {Object} config - 调试配置
+ * @param {Object} server - 服务器配置
+ * @returns {number} - 新增的映射数量
+ */
+function applyDebugPathMappings(config, server) {
+  const property = DEBUG_MAPPING_PROPERTIES[config.type];
+  if (!property) {
+    return 0;
+  }
+
+  let added = 0;
+  const roots = getDebugRoots(server);
+
+  if (property === 'pathMappings') {
+    const existing = Array.isArray(config.pathMappings) ? config.pathMappings : [];
+    const merged = [...existing];
+    for (const root of roots) {
+      if (!existing.some(item => item.remoteRoot === root.remoteRoot)) {
+        merged.push(root);
+        added++;
+      }
+    }
+    config.pathMappings = merged;
+  } else {
+    const existing = config[property] && typeof config[property] === 'object' ? config[property] : {};
+    const merged = { ...existing };
+    for (const root of roots) {
+      if (!(root.remoteRoot in merged)) {
+        merged[root.remoteRoot] = root.localRoot;
+        added++;
+      }
+    }
+    config[property] = merged;
+  }
+
+  return added;
+}
+
+module.exports = {
+  DEBUG_MAPPING_PROPERTIES,
+  isSupportedDebugType,
+  getDebugRoots,
+  applyDebugPathMappings,
+};
@@ -0,0 +1,156 @@
+/**
+ * 终端链接模式模块
+ * 处理配置中自定义的终端路径识别模式（linkPatterns），与内置模式一起用于识别终端输出中的路径
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../adapters/config-loader');
+const { logger } = require('./logger');
+
+// 允许的正则表达式标志（g 标志由模块自动添加）
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+// 已编译的模式缓存，键为配置来源和模式配置；无效的模式缓存为null
+const compiledCache = new Map();
+// 已提示过的错误，避免每次识别链接时重复提示
+const reportedErrors = new Set();
+
+/**
+ * 获取正则表达式的捕获组数量
+ * @param {RegExp} regex - 正则表达式
+ * @returns {number} - 捕获组数量
+ */
+function getGroupCount(regex) {
+  return new RegExp(`${regex.source}|`, regex.flags).exec('').length - 1;
+}
+
+/**
+ * 校验捕获组序号
+ * @param {*} value - 捕获组序号
+ * @param {number} groupCount - 捕获组数量
+ * @returns {boolean} - 是否有效
+ */
+function isValidGroup(value, groupCount) {
+  return Number.isInteger(value) && value >= 1 && value <= groupCount;
+}
+
+/**
+ * 校验链接模式配置
+ * @param {Object} entry - 链接模式配置 { name, pattern, flags, pathGroup, lineGroup, columnGroup }
+ * @returns {string|null} - 错误信息，如果配置有效则返回null
+ */
+function validateLinkPattern(entry) {
+  if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) {
+    return '缺少 pattern';
+  }
+
+  if (entry.flags !== undefined && (typeof entry.flags !== 'string' || !ALLOWED_FLAGS.test(entry.flags))) {
+    return `无效的 flags: ${entry.flags}（只支持 i、m、s、u）`;
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(entry.pattern, entry.flags || '');
+  } catch (error) {
+    return `无效的正则表达式: ${error.message}`;
+  }
+
+  const groupCount = getGroupCount(regex);
+  const pathGroup = entry.pathGroup === undefined ? 1 : entry.pathGroup;
+  if (!isValidGroup(pathGroup, groupCount)) {
+    return `pathGroup ${pathGroup} 超出捕获组范围（共 ${groupCount} 个捕获组）`;
+  }
+
+  for (const key of ['lineGroup', 'columnGroup']) {
+    if (entry[key] !== undefined && !isValidGroup(entry[key], groupCount)) {
+      return `${key} ${entry[key]} 超出捕获组范围（共 ${groupCount} 个捕获组）`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 编译链接模式为 findPotentialPaths 使用的格式
+ * @param {Object} entry - 已校验的链接模式配置
+ * @returns {Object} - { pattern, type, name, resolve }
+ */
+function compileLinkPattern(entry) {
+  const pathGroup = entry.pathGroup === undefined ? 1 : entry.pathGroup;
+  const { lineGroup, columnGroup } = entry;
+
+  return {
+    pattern: new RegExp(entry.pattern, `${entry.flags || ''}g`),
+    type: 'custom',
+    name: entry.name || entry.pattern,
+    resolve: match => [
+      match[0],
+      match[pathGroup],
+      lineGroup ? match[lineGroup] : undefined,
+      columnGroup ? match[columnGroup] : undefined,
+    ],
+  };
+}
+
+/**
+ * 校验并编译一组链接模式，无效的模式会被忽略并提示一次
+ * @param {Array} entries - 链接模式配置列表
+ * @param {string} source - 配置来源（用于提示）
+ * @returns {Array} - 编译后的模式列表
+ */
+function compileLinkPatterns(entries, source) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const patterns = [];
+  for (const entry of entries) {
+    const key = `${source}\n${JSON.stringify(entry)}`;
+
+    if (!compiledCache.has(key)) {
+      const error = validateLinkPattern(entry);
+      if (error) {
+        const name = (entry && (entry.name || entry.pattern)) || '未命名';
+        const message = `${source}中的链接模式 "${name}" 无效，已忽略: ${error}`;
+        logger.warn(message);
+        if (!reportedErrors.has(message)) {
+          reportedErrors.add(message);
+          vscode.window.showWarningMessage(message);
+        }
+      }
+      compiledCache.set(key, error ? null : compileLinkPattern(entry));
+    }
+
+    const compiled = compiledCache.get(key);
+    if (compiled) {
+      patterns.push(compiled);
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * 获取服务器适用的自定义链接模式
+ * 服务器配置中的模式优先，其次是工作区和全局配置中的模式
+ * @param {Object} [server] - 服务器配置
+ * @returns {Array} - 编译后的模式列表
+ */
+function getLinkPatterns(server) {
+  try {
+    const config = configLoader.getConfig();
+    return [
+      ...(server ? compileLinkPatterns(server.linkPatterns, `服务器 ${server.name} 配置`) : []),
+      ...compileLinkPatterns(config.linkPatterns, '设置'),
+    ];
+  } catch (error) {
+    logger.error(`获取自定义链接模式时出错: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  validateLinkPattern,
+  compileLinkPatterns,
+  getLinkPatterns,
+};
@@ -0,0 +1,265 @@
+/**
+ * SMB 挂载检测模块
+ * 读取本地的 SMB 挂载（Linux /proc/mounts、macOS mount 输出、Windows 映射的网络驱动器），
+ * 并解析服务器上 Samba 共享对应的目录，用于生成路径映射建议。
+ * Windows 下同时记录网络驱动器对应的 UNC 路径，使路径映射把驱动器路径和 UNC 路径视为相同
+ */
+
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { logger } = require('./logger');
+
+// Linux 中 SMB 挂载的文件系统类型
+const LINUX_SMB_TYPES = new Set(['cifs', 'smb3', 'smbfs']);
+// 不是文件共享的 Samba 配置节
+const NON_SHARE_SECTIONS = new Set(['global', 'printers', 'print$']);
+// 执行本地命令的超时时间（毫秒）
+const COMMAND_TIMEOUT = 10000;
+
+// Windows 网络驱动器到 UNC 路径的映射，例如 Z → //nas/share
+const mappedDrives = new Map();
+
+/**
+ * 执行本地命令并返回标准输出
+ * @param {string} file - 可执行文件
+ * @param {string[]} args - 参数
+ * @returns {Promise<string>} - 标准输出
+ */
+function runLocalCommand(file, args) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: COMMAND_TIMEOUT, windowsHide: true }, (error, stdout) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stdout.toString());
+      }
+    });
+  });
+}
+
+/**
+ * 解码 URL 编码的文本，格式不正确（如单独的 %）时返回原文本
+ * @param {string} text - 文本
+ * @returns {string} - 解码后的文本
+ */
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * 解析 //host/share/sub 或 \\host\share\sub 形式的共享地址
+ * @param {string} source - 共享地址
+ * @returns {Object|null} - { host, share, subPath }
+ */
+function parseShareSource(source) {
+  const match = source.replace(/\\/g, '/').match(/^\/\/(?:[^@/]*@)?([^/]+)\/([^/]+)((?:\/[^/]+)*)\/?$/);
+  if (!match) {
+    return null;
+  }
+  return { host: match[1].toLowerCase(), share: match[2], subPath: match[3] || '' };
+}
+
+/**
+ * 解析 Linux /proc/mounts 的内容（空格等字符以八进制转义）
+ * @param {string} content - /proc/mounts 的内容
+ * @returns {Array} - [{ localPath, host, share, subPath }]
+ */
+function parseLinuxMounts(content) {
+  const unescape = text => text.replace(/\\([0-7]{3})/g, (match, code) => String.fromCharCode(parseInt(code, 8)));
+  const mounts = [];
+  for (const line of content.split('\n')) {
+    const [source, target, type] = line.split(' ');
+    if (!source || !LINUX_SMB_TYPES.has(type)) continue;
+
+    const share = parseShareSource(unescape(source));
+    if (share) {
+      mounts.push({ localPath: unescape(target), ...share });
+    }
+  }
+  return mounts;
+}
+
+/**
+ * 解析 macOS mount 命令的输出
+ * 例如 //user@host/share on /Volumes/share (smbfs, nodev, nosuid, mounted by user)
+ * @param {string} output - mount 命令的输出
+ * @returns {Array} - [{ localPath, host, share, subPath }]
+ */
+function parseMacMounts(output) {
+  const mounts = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/^(\/\/\S+) on (.+) \(smbfs[,)]/);
+    if (!match) continue;
+
+    const share = parseShareSource(safeDecode(match[1]));
+    if (share) {
+      mounts.push({ localPath: match[2], ...share });
+    }
+  }
+  return mounts;
+}
+
+/**
+ * 解析 Windows net use 命令的输出
+ * 例如 OK           Z:        \\host\share              Microsoft Windows Network
+ * 共享名可能包含空格，UNC 路径到其后两个以上的空格（网络类型列）或行尾为止
+ * @param {string} output - net use 命令的输出
+ * @returns {Array} - [{ localPath, host, share, subPath }]
+ */
+function parseWindowsMounts(output) {
+  const mounts = [];
+  for (const line of output.split(/\r?\n/)) {
+    const match = line.match(/\s([A-Za-z]:)\s+(\\\\\S+(?: \S+)*?)(?:\s{2,}|\s*$)/);
+    if (!match) continue;
+
+    const share = parseShareSource(match[2]);
+    if (share) {
+      mounts.push({ localPath: `${match[1].toUpperCase()}\\`, ...share });
+    }
+  }
+  return mounts;
+}
+
+/**
+ * 获取本地的 SMB 挂载
+ * @param {string} [platform] - 平台，默认为当前平台
+ * @returns {Promise<Array>} - [{ localPath, host, share, subPath }]
+ */
+async function getSmbMounts(platform = process.platform) {
+  try {
+    if (platform === 'win32') {
+      const mounts = parseWindowsMounts(await runLocalCommand('net', ['use']));
+      mappedDrives.clear();
+      for (const mount of mounts) {
+        mappedDrives.set(mount.localPath[0], `//${mount.host}/${mount.share}${mount.subPath}`);
+      }
+      return mounts;
+    }
+    if (platform === 'darwin') {
+      return parseMacMounts(await runLocalCommand('mount', []));
+    }
+    return parseLinuxMounts(await fs.readFile('/proc/mounts', 'utf8'));
+  } catch (error) {
+    logger.error(`读取本地挂载时出错: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * 刷新 Windows 网络驱动器的 UNC 路径（其他平台不做任何事）
+ * @returns {Promise<void>}
+ */
+async function refreshMappedDrives() {
+  if (process.platform === 'win32') {
+    await getSmbMounts('win32');
+    logger.debug(`网络驱动器: ${[...mappedDrives].map(([drive, unc]) => `${drive}: → ${unc}`).join(', ') || '无'}`);
+  }
+}
+
+/**
+ * 将网络驱动器上的路径转换为对应的 UNC 路径
+ * @param {string} p - 正斜杠格式、盘符大写的路径
+ * @returns {string} - UNC 路径，不在网络驱动器上时返回原路径
+ */
+function toUncPath(p) {
+  const match = p.match(/^([A-Z]):(\/.*)?$/);
+  const unc = match && mappedDrives.get(match[1]);
+  if (!unc) {
+    return p;
+  }
+  return `${unc}${match[2] || '/'}`;
+}
+
+/**
+ * 解析 Samba 配置（testparm -s 或 smb.conf 的内容），获取共享名称对应的目录
+ * @param {string} content - Samba 配置内容
+ * @returns {Map<string, string|null>} - 共享名称（小写）到目录的映射，没有配置 path 的共享（如 homes）为null
+ */
+function parseSambaShares(content) {
+  const shares = new Map();
+  let current = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      current = section[1].trim().toLowerCase();
+      if (NON_SHARE_SECTIONS.has(current)) {
+        current = null;
+      } else {
+        shares.set(current, null);
+      }
+      continue;
+    }
+
+    const pathMatch = line.match(/^path\s*=\s*(.+)$/i);
+    if (current && pathMatch) {
+      shares.set(current, pathMatch[1].trim());
+    }
+  }
+
+  return shares;
+}
+
+/**
+ * 根据 Samba 共享配置确定挂载对应的远程目录
+ * 支持 homes 共享和 path 中的 %U/%u（用户名）、%S（共享名）、%H（主目录）替换
+ * @param {Object} mount - 挂载 { share, subPath }
+ * @param {Map} shares - parseSambaShares 的结果
+ * @param {Object} remoteUser - { username, home }
+ * @returns {string|null} - 远程目录，无法确定时返回null
+ */
+function resolveShareRemotePath(mount, shares, remoteUser) {
+  const shareName = mount.share.toLowerCase();
+  let sharePath = shares.get(shareName);
+
+  // 没有同名共享时，与用户名相同的共享由 [homes] 提供
+  if (sharePath === undefined && shares.has('homes') && shareName === String(remoteUser.username).toLowerCase()) {
+    sharePath = shares.get('homes') || remoteUser.home;
+  }
+  if (shareName === 'homes' && !sharePath) {
+    sharePath = remoteUser.home;
+  }
+  if (!sharePath) {
+    return null;
+  }
+
+  const resolved = sharePath
+    .replace(/%[Uu]/g, remoteUser.username)
+    .replace(/%S/g, mount.share)
+    .replace(/%H/g, remoteUser.home || '');
+  if (!resolved.startsWith('/')) {
+    return null;
+  }
+  return `${resolved.replace(/\/+$/, '')}${mount.subPath}` || '/';
+}
+
+/**
+ * 判断挂载的主机是否为服务器（比较完整主机名、短主机名和IP）
+ * @param {Object} mount - 挂载 { host }
+ * @param {Object} server - 服务器配置
+ * @returns {boolean} - 是否匹配
+ */
+function isMountOfServer(mount, server) {
+  const serverHost = String(server.host || '').toLowerCase();
+  const shortName = host => (/^[\d.]+$/.test(host) ? host : host.split('.')[0]);
+  return mount.host === serverHost || shortName(mount.host) === shortName(serverHost);
+}
+
+module.exports = {
+  getSmbMounts,
+  refreshMappedDrives,
+  toUncPath,
+  parseLinuxMounts,
+  parseMacMounts,
+  parseWindowsMounts,
+  parseSambaShares,
+  resolveShareRemotePath,
+  isMountOfServer,
+};
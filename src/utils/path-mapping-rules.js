@@ -0,0 +1,462 @@
+/**
+ * 路径映射规则模块
+ * 除了按前缀替换的普通映射外，支持通配符（*）映射和正则表达式（match/replace）映射，
+ * 并检查映射能否反向转换
+ */
+
+const vscode = require('vscode');
+const { logger } = require('./logger');
+const { isRemoteUriPath } = require('./remote-uri');
+
+// 编译后的映射规则缓存，键为映射配置的JSON
+const compiledCache = new Map();
+// 已提示过的问题，避免重复提示
+const reportedProblems = new Set();
+
+/**
+ * 获取路径开头需要保留双斜杠的部分：UNC 路径的 // 或 URI 的 scheme://
+ * @param {string} p - 正斜杠格式的路径
+ * @returns {string} - 开头部分，没有时为空字符串
+ */
+function getPathRoot(p) {
+  const match = p.match(/^(?:[a-z][\w+.-]+:)?\/\//i);
+  return match ? match[0] : '';
+}
+
+/**
+ * 去掉 Windows 长路径前缀（//?/C:/ 和 //?/UNC/server/share）
+ * @param {string} p - 正斜杠格式的路径
+ * @returns {string} - 去掉前缀后的路径
+ */
+function stripLongPathPrefix(p) {
+  return p.replace(/^\/\/[?.]\/UNC\//i, '//').replace(/^\/\/[?.]\/(?=[A-Za-z]:)/, '');
+}
+
+/**
+ * 将路径统一为正斜杠格式（盘符大写，保留 UNC 路径和 smartssh:// URI 开头的双斜杠，去除多余和结尾的斜杠）
+ * @param {string} p - 路径
+ * @returns {string} - 统一格式后的路径
+ */
+function toSlashPath(p) {
+  let result = stripLongPathPrefix(String(p).replace(/\\/g, '/'));
+  const root = getPathRoot(result);
+  result = root + result.slice(root.length).replace(/\/+/g, '/');
+  result = result.replace(/^([a-z]):/, (match, drive) => `${drive.toUpperCase()}:`);
+  if (result.length > 1 && result.endsWith('/') && !/^[A-Z]:\/$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * 获取映射的类型
+ * @param {Object} mapping - 路径映射
+ * @returns {string} - prefix（前缀替换）、glob（通配符）或 regex（正则表达式）
+ */
+function getMappingKind(mapping) {
+  if (mapping && mapping.match !== undefined) {
+    return 'regex';
+  }
+  if (mapping && (/\*/.test(mapping.localPath || '') || /\*/.test(mapping.remotePath || ''))) {
+    return 'glob';
+  }
+  return 'prefix';
+}
+
+/**
+ * 判断映射的本地路径是否区分大小写
+ * 未配置 caseSensitive 时 Linux 和 smartssh:// 远程文件区分大小写，Windows 和 macOS 不区分
+ * @param {Object} mapping - 路径映射
+ * @returns {boolean} - 是否区分大小写
+ */
+function isLocalCaseSensitive(mapping) {
+  if (mapping && typeof mapping.caseSensitive === 'boolean') {
+    return mapping.caseSensitive;
+  }
+  if (mapping && isRemoteUriPath(mapping.localPath)) {
+    return true;
+  }
+  return process.platform === 'linux';
+}
+
+/**
+ * 获取用于比较的本地路径
+ * UNC 路径的服务器和共享名称总是不区分大小写
+ * @param {string} p - 正斜杠格式的路径
+ * @param {boolean} caseSensitive - 是否区分大小写
+ * @returns {string} - 用于比较的路径
+ */
+function toComparableLocalPath(p, caseSensitive) {
+  if (!caseSensitive) {
+    return p.toLowerCase();
+  }
+  return p.replace(/^\/\/[^/]+\/[^/]+/, root => root.toLowerCase());
+}
+
+/**
+ * 统计通配符数量
+ * @param {string} pattern - 通配符模式
+ * @returns {number} - 通配符数量
+ */
+function countWildcards(pattern) {
+  return (String(pattern || '').match(/\*/g) || []).length;
+}
+
+/**
+ * 将通配符模式转换为匹配路径前缀的正则表达式，* 匹配单个路径段中的任意字符
+ * @param {string} pattern - 通配符模式
+ * @param {boolean} [ignoreCase] - 是否忽略大小写
+ * @returns {RegExp} - 正则表达式
+ */
+function globToRegExp(pattern, ignoreCase = false) {
+  const source = toSlashPath(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('([^/]*)');
+  return new RegExp(`^${source}(?=/|$)`, ignoreCase ? 'i' : '');
+}
+
+/**
+ * 编译通配符映射的一个方向
+ * 目标模式的通配符按从右到左的顺序与源模式的捕获对应，目标通配符多于源通配符时无法转换
+ * @param {string} from - 源模式
+ * @param {string} to - 目标模式
+ * @param {boolean} [ignoreCase] - 匹配源模式时是否忽略大小写
+ * @returns {Object|null} - { regex, build }，无法转换时返回null
+ */
+function compileGlobDirection(from, to, ignoreCase = false) {
+  const sourceCount = countWildcards(from);
+  const targetCount = countWildcards(to);
+  if (targetCount > sourceCount) {
+    return null;
+  }
+
+  const targetParts = toSlashPath(to).split('*');
+  return {
+    regex: globToRegExp(from, ignoreCase),
+    build: match => {
+      const captures = match.slice(1).slice(sourceCount - targetCount);
+      return targetParts.reduce((result, part, index) => result + captures[index - 1] + part);
+    },
+  };
+}
+
+/**
+ * 编译正则映射的一个方向，匹配必须从路径开头开始并在路径段边界结束
+ * @param {string} match - 正则表达式
+ * @param {string} replace - 替换字符串（支持 $1 等引用）
+ * @param {string} [flags] - 正则表达式标志
+ * @returns {Object|null} - { regex, build }，未配置时返回null
+ */
+function compileRegexDirection(match, replace, flags = '') {
+  if (match === undefined || replace === undefined) {
+    return null;
+  }
+
+  const regex = new RegExp(`^(?:${match})(?=/|$)`, flags);
+  return {
+    regex,
+    build: result => result[0].replace(regex, replace),
+  };
+}
+
+/**
+ * 编译路径映射
+ * @param {Object} mapping - 路径映射
+ * @returns {Object} - { kind, toLocal, toRemote }，每个方向为 { regex, build } 或null
+ */
+function compileMapping(mapping) {
+  const key = JSON.stringify(mapping);
+  if (compiledCache.has(key)) {
+    return compiledCache.get(key);
+  }
+
+  const kind = getMappingKind(mapping);
+  let compiled;
+  if (kind === 'regex') {
+    compiled = {
+      kind,
+      toLocal: compileRegexDirection(mapping.match, mapping.replace, mapping.flags),
+      toRemote: compileRegexDirection(mapping.reverseMatch, mapping.reverseReplace, mapping.flags),
+    };
+  } else {
+    compiled = {
+      kind,
+      toLocal: compileGlobDirection(mapping.remotePath, mapping.localPath),
+      toRemote: compileGlobDirection(mapping.localPath, mapping.remotePath, !isLocalCaseSensitive(mapping)),
+    };
+  }
+
+  compiledCache.set(key, compiled);
+  return compiled;
+}
+
+/**
+ * 校验路径映射
+ * @param {Object} mapping - 路径映射
+ * @returns {Object} - { error, warning }，error 表示映射不可用，warning 表示映射只能单向转换
+ */
+function validatePathMapping(mapping) {
+  const kind = getMappingKind(mapping);
+
+  if (kind === 'regex') {
+    if (typeof mapping.match !== 'string' || typeof mapping.replace !== 'string') {
+      return { error: '正则映射需要同时配置 match 和 replace', warning: null };
+    }
+    try {
+      compileMapping(mapping);
+    } catch (error) {
+      return { error: `无效的正则表达式: ${error.message}`, warning: null };
+    }
+    if (mapping.reverseMatch === undefined || mapping.reverseReplace === undefined) {
+      return { error: null, warning: '没有配置 reverseMatch/reverseReplace，无法从本地路径转换为远程路径' };
+    }
+    return { error: null, warning: null };
+  }
+
+  if (!mapping || !mapping.localPath || !mapping.remotePath) {
+    return { error: '需要同时配置 localPath 和 remotePath', warning: null };
+  }
+
+  if (kind === 'glob') {
+    const localCount = countWildcards(mapping.localPath);
+    const remoteCount = countWildcards(mapping.remotePath);
+    if (localCount > remoteCount) {
+      return { error: null, warning: '本地路径的通配符多于远程路径，无法从远程路径转换为本地路径' };
+    }
+    if (remoteCount > localCount) {
+      return { error: null, warning: '远程路径的通配符多于本地路径，无法从本地路径转换为远程路径' };
+    }
+  }
+
+  return { error: null, warning: null };
+}
+
+/**
+ * 使用通配符或正则映射转换路径
+ * @param {Object} mapping - 路径映射
+ * @param {string} inputPath - 要转换的路径
+ * @param {string} direction - toLocal（远程转本地）或 toRemote（本地转远程）
+ * @returns {string|null} - 转换后的路径（正斜杠格式），不匹配或无法转换时返回null
+ */
+function applyPathMapping(mapping, inputPath, direction) {
+  const rule = compileMapping(mapping)[direction];
+  if (!rule || !inputPath) {
+    return null;
+  }
+
+  const normalized = toSlashPath(inputPath);
+  const match = rule.regex.exec(normalized);
+  if (!match) {
+    return null;
+  }
+
+  return toSlashPath(rule.build(match) + normalized.slice(match[0].length));
+}
+
+/**
+ * 检查转换结果能否通过同一映射转换回原路径，不能时提示一次
+ * @param {Object} mapping - 路径映射
+ * @param {string} inputPath - 原路径
+ * @param {string} outputPath - 转换后的路径
+ * @param {string} direction - 本次转换的方向
+ * @returns {boolean} - 是否可以往返转换
+ */
+function checkRoundTrip(mapping, inputPath, outputPath, direction) {
+  const reverse = applyPathMapping(mapping, outputPath, direction === 'toLocal' ? 'toRemote' : 'toLocal');
+  if (reverse !== null && reverse === toSlashPath(inputPath)) {
+    return true;
+  }
+
+  // 单向映射在加载时已提示，这里只提示可以反向转换但结果不一致的映射
+  if (reverse !== null) {
+    reportMappingProblem(
+      mapping,
+      `路径 ${inputPath} 转换为 ${outputPath} 后无法转换回原路径（得到 ${reverse}）`,
+      'warning',
+      'roundTrip'
+    );
+  }
+  return false;
+}
+
+/**
+ * 获取映射在指定方向上的源模式
+ * @param {Object} mapping - 路径映射
+ * @param {string} direction - toLocal（匹配远程路径）或 toRemote（匹配本地路径）
+ * @returns {string|undefined} - 源模式
+ */
+function getSourcePattern(mapping, direction) {
+  if (getMappingKind(mapping) === 'regex') {
+    return direction === 'toLocal' ? mapping.match : mapping.reverseMatch;
+  }
+  return direction === 'toLocal' ? mapping.remotePath : mapping.localPath;
+}
+
+/**
+ * 计算映射在指定方向上的具体程度，即源模式中固定字符的数量
+ * 正则映射只计算开头不含元字符的部分
+ * @param {Object} mapping - 路径映射
+ * @param {string} direction - toLocal 或 toRemote
+ * @returns {number} - 具体程度，越大越优先
+ */
+function getMappingSpecificity(mapping, direction) {
+  const source = getSourcePattern(mapping, direction);
+  if (source === undefined) {
+    return 0;
+  }
+  if (getMappingKind(mapping) === 'regex') {
+    return source.match(/^[^\\.*+?^${}()|[\]]*/)[0].length;
+  }
+  return toSlashPath(source).replace(/\*/g, '').length;
+}
+
+/**
+ * 获取映射的优先级，未配置时为0
+ * @param {Object} mapping - 路径映射
+ * @returns {number} - 优先级
+ */
+function getMappingPriority(mapping) {
+  return Number.isFinite(mapping.priority) ? mapping.priority : 0;
+}
+
+/**
+ * 按匹配顺序排列映射：priority 大的优先，其次是更具体的映射，两者都相同时保持配置顺序
+ * @param {Array} mappings - 路径映射列表
+ * @param {string} direction - toLocal 或 toRemote
+ * @returns {Array} - 排序后的新数组
+ */
+function sortPathMappings(mappings, direction) {
+  return mappings
+    .map((mapping, index) => ({ mapping, index }))
+    .sort((a, b) => compareMappings(a.mapping, b.mapping, direction) || a.index - b.index)
+    .map(item => item.mapping);
+}
+
+/**
+ * 比较两个映射的匹配顺序
+ * @param {Object} a - 路径映射
+ * @param {Object} b - 路径映射
+ * @param {string} direction - toLocal 或 toRemote
+ * @returns {number} - 负数表示 a 优先，正数表示 b 优先，0 表示无法区分
+ */
+function compareMappings(a, b, direction) {
+  return getMappingPriority(b) - getMappingPriority(a) ||
+    getMappingSpecificity(b, direction) - getMappingSpecificity(a, direction);
+}
+
+/**
+ * 判断两个源模式是否可能匹配同一路径（按路径段比较，* 所在的段视为可匹配任意内容）
+ * @param {string} a - 源模式
+ * @param {string} b - 源模式
+ * @param {boolean} ignoreCase - 是否忽略大小写（本地路径）
+ * @returns {boolean} - 是否重叠
+ */
+function patternsOverlap(a, b, ignoreCase) {
+  const normalize = p => {
+    const result = toSlashPath(p);
+    return (ignoreCase ? result.toLowerCase() : result).split('/');
+  };
+  const segmentsA = normalize(a);
+  const segmentsB = normalize(b);
+  const length = Math.min(segmentsA.length, segmentsB.length);
+  for (let i = 0; i < length; i++) {
+    if (segmentsA[i] !== segmentsB[i] && !segmentsA[i].includes('*') && !segmentsB[i].includes('*')) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 查找同一服务器中有歧义的重叠映射，即可能匹配同一路径、但优先级和具体程度都相同的映射，
+ * 这种情况下只能由配置顺序决定使用哪个映射
+ * @param {Array} mappings - 路径映射列表
+ * @returns {Array} - [{ first, second, direction }]，first 在配置中位于 second 之前
+ */
+function findAmbiguousMappings(mappings) {
+  const result = [];
+  for (let i = 0; i < mappings.length; i++) {
+    for (let j = i + 1; j < mappings.length; j++) {
+      const first = mappings[i];
+      const second = mappings[j];
+      for (const direction of ['toLocal', 'toRemote']) {
+        const sourceA = getSourcePattern(first, direction);
+        const sourceB = getSourcePattern(second, direction);
+        if (sourceA === undefined || sourceB === undefined || compareMappings(first, second, direction) !== 0) {
+          continue;
+        }
+
+        // 正则映射无法判断是否重叠，只检查完全相同的模式
+        const isRegex = getMappingKind(first) === 'regex' || getMappingKind(second) === 'regex';
+        const overlap = isRegex
+          ? getMappingKind(first) === getMappingKind(second) && sourceA === sourceB
+          : patternsOverlap(
+            sourceA,
+            sourceB,
+            direction === 'toRemote' && !(isLocalCaseSensitive(first) && isLocalCaseSensitive(second))
+          );
+        if (overlap) {
+          result.push({ first, second, direction });
+          break;
+        }
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 获取映射的简短描述
+ * @param {Object} mapping - 路径映射
+ * @returns {string} - 描述
+ */
+function describePathMapping(mapping) {
+  if (getMappingKind(mapping) === 'regex') {
+    return `${mapping.match} → ${mapping.replace}`;
+  }
+  return `${mapping.remotePath} ↔ ${mapping.localPath}`;
+}
+
+/**
+ * 提示路径映射的问题（同一映射的同类问题只提示一次）
+ * @param {Object} mapping - 路径映射
+ * @param {string} message - 问题描述
+ * @param {string} [level='log'] - error（映射被忽略）、warning（弹出提示）或 log（只记录日志）
+ * @param {string} [key] - 问题类别，默认为问题描述本身
+ */
+function reportMappingProblem(mapping, message, level = 'log', key = message) {
+  const description = describePathMapping(mapping);
+  const problemKey = `${description}\n${key}`;
+  if (reportedProblems.has(problemKey)) {
+    return;
+  }
+  reportedProblems.add(problemKey);
+
+  const fullMessage = `路径映射 ${description}: ${message}`;
+  logger.warn(fullMessage);
+  if (level === 'error') {
+    vscode.window.showErrorMessage(`${fullMessage}，该映射已被忽略`);
+  } else if (level === 'warning') {
+    vscode.window.showWarningMessage(fullMessage);
+  }
+}
+
+module.exports = {
+  getPathRoot,
+  stripLongPathPrefix,
+  toSlashPath,
+  isLocalCaseSensitive,
+  toComparableLocalPath,
+  getMappingKind,
+  validatePathMapping,
+  applyPathMapping,
+  checkRoundTrip,
+  describePathMapping,
+  reportMappingProblem,
+  getMappingSpecificity,
+  getMappingPriority,
+  sortPathMappings,
+  compareMappings,
+  findAmbiguousMappings,
+};
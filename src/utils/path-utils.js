@@ -15,6 +15,23 @@ const vscode = require('vscode');
 const fs = require('fs').promises;
 const configLoader = require('../adapters/config-loader');
 const { logger, logPathConversion } = require('./logger');
+const { getLinkPatterns } = require('./link-patterns');
+const { toUncPath } = require('./mount-detector');
+const { applyRemoteAliases } = require('./remote-aliases');
+const { isRemoteUriPath, parseRemoteUriPath, toMappingPath, toEditorUri } = require('./remote-uri');
+const {
+  getPathRoot,
+  stripLongPathPrefix,
+  isLocalCaseSensitive,
+  toComparableLocalPath,
+  getMappingKind,
+  validatePathMapping,
+  applyPathMapping,
+  checkRoundTrip,
+  reportMappingProblem,
+  sortPathMappings,
+  compareMappings,
+} = require('./path-mapping-rules');
 
 // =============================================================================
 // 路径标准化和基础处理
@@ -34,36 +51,29 @@ function normalizePath(p) {
     return '';
   }
 
-  // 处理Windows盘符格式，如C:\等
-  let normalized = p;
+  // 将所有反斜杠替换为正斜杠
+  let normalized = p.replace(/\\/g, '/');
+  if (p !== normalized) {
+    logger.debug(`反斜杠替换: ${p} -> ${normalized}`);
+  }
+
+  // 去掉Windows长路径前缀（\\?\C:\、\\?\UNC\server\share）
+  normalized = stripLongPathPrefix(normalized);
 
-  // 处理Windows驱动器字母，确保大写并格式一致
-  const driveLetterMatch = normalized.match(/^([a-zA-Z]):\\/i);
+  // 处理Windows驱动器字母（C:\ 和 C:/ 两种写法），确保大写
+  const driveLetterMatch = normalized.match(/^([a-zA-Z]):/);
   if (driveLetterMatch) {
     const driveLetter = driveLetterMatch[1].toUpperCase();
     logger.debug(`检测到Windows驱动器: ${driveLetter}:`);
-    // 保留驱动器字母，但统一格式
-    normalized = driveLetter + ':/' + normalized.substring(3);
-    logger.debug(`驱动器格式化后: ${normalized}`);
-  }
-
-  // 将所有反斜杠替换为正斜杠
-  const beforeSlashReplace = normalized;
-  normalized = normalized.replace(/\\/g, '/');
-  if (beforeSlashReplace !== normalized) {
-    logger.debug(`反斜杠替换: ${beforeSlashReplace} -> ${normalized}`);
+    normalized = driveLetter + normalized.substring(1);
   }
 
-  // 处理多个连续的斜杠（保留开头的双斜杠用于网络路径）
+  // 处理多个连续的斜杠（保留网络路径和 smartssh:// URI 开头的双斜杠）
   const beforeMultiSlashProcessing = normalized;
-  if (normalized.startsWith('//')) {
-    normalized = '//' + normalized.substring(2).replace(/\/+/g, '/');
-    logger.debug(`网络路径处理: ${beforeMultiSlashProcessing} -> ${normalized}`);
-  } else {
-    normalized = normalized.replace(/\/+/g, '/');
-    if (beforeMultiSlashProcessing !== normalized) {
-      logger.debug(`多斜杠处理: ${beforeMultiSlashProcessing} -> ${normalized}`);
-    }
+  const root = getPathRoot(normalized);
+  normalized = root + normalized.substring(root.length).replace(/\/+/g, '/');
+  if (beforeMultiSlashProcessing !== normalized) {
+    logger.debug(`多斜杠处理: ${beforeMultiSlashProcessing} -> ${normalized}`);
   }
 
   // 确保路径以斜杠结尾
@@ -179,6 +189,7 @@ async function checkPathExists(filePath) {
 
 /**
  * 获取服务器的路径映射
+ * 无效的映射会被忽略并提示，只能单向转换的映射会记录警告
  * @param {Object} server - 服务器配置
  * @returns {Array} - 路径映射数组
  */
@@ -201,22 +212,75 @@ function getPathMappings(server) {
     logger.debug(`服务器"${server.name}"使用了弃用的smbMapping配置，请迁移到pathMappings`);
   }
 
-  return pathMappings;
+  return pathMappings.filter(mapping => {
+    const { error, warning } = validatePathMapping(mapping);
+    if (error) {
+      reportMappingProblem(mapping, error, 'error');
+      return false;
+    }
+    if (warning) {
+      reportMappingProblem(mapping, warning);
+    }
+    return true;
+  });
 }
 
 /**
- * 将远程路径转换为本地路径
+ * 获取本地路径相对于前缀映射本地路径的相对路径
+ * 网络驱动器路径与其 UNC 路径视为相同，大小写按映射的 caseSensitive 比较
+ * @param {Object} mapping - 前缀路径映射
+ * @param {string} localPath - 本地路径
+ * @returns {string|null} - 相对路径（不以斜杠开头），不在映射范围内时返回null
+ */
+function getLocalRelativePath(mapping, localPath) {
+  const caseSensitive = isLocalCaseSensitive(mapping);
+  const target = toUncPath(normalizePath(localPath));
+  const prefix = toUncPath(normalizePath(mapping.localPath));
+  if (!toComparableLocalPath(target, caseSensitive).startsWith(toComparableLocalPath(prefix, caseSensitive))) {
+    return null;
+  }
+  return target.substring(prefix.length);
+}
+
+/**
+ * 判断本地路径是否在映射的本地范围内
+ * @param {Object} mapping - 路径映射
+ * @param {string} localPath - 本地路径
+ * @returns {boolean} - 是否匹配
+ */
+function matchesLocalPath(mapping, localPath) {
+  if (getMappingKind(mapping) !== 'prefix') {
+    return applyPathMapping(mapping, localPath, 'toRemote') !== null;
+  }
+  return getLocalRelativePath(mapping, localPath) !== null;
+}
+
+/**
+ * 判断远程路径是否在映射的远程范围内
+ * @param {Object} mapping - 路径映射
+ * @param {string} remotePath - 远程路径
+ * @returns {boolean} - 是否匹配
+ */
+function matchesRemotePath(mapping, remotePath) {
+  if (getMappingKind(mapping) !== 'prefix') {
+    return applyPathMapping(mapping, remotePath, 'toLocal') !== null;
+  }
+  return normalizePath(remotePath).startsWith(normalizePath(mapping.remotePath));
+}
+
+/**
+ * 使用路径映射将远程路径转换为本地路径（不处理别名）
  * @param {string} remotePath - 远程路径
  * @param {Object} server - 服务器配置
  * @returns {string|null} - 转换后的本地路径，如果无法转换则返回null
  */
-function convertRemotePathToLocal(remotePath, server) {
-  logger.functionStart('convertRemotePathToLocal', { remotePath, serverName: server?.name });
+function convertRemotePathByMappings(remotePath, server) {
+  logger.functionStart('convertRemotePathByMappings', { remotePath, serverName: server?.name });
 
   try {
     if (!remotePath || !server) {
       logger.debug('无效的参数: 远程路径或服务器为空');
-      logger.functionEnd('convertRemotePathToLocal', { result: null });
+      logger.functionEnd('convertRemotePathByMappings', { result: null });
       return null;
     }
 
@@ -224,7 +288,7 @@ function convertRemotePathToLocal(remotePath, server) {
     const pathMappings = getPathMappings(server);
     if (!pathMappings || pathMappings.length === 0) {
       logger.debug(`服务器 ${server.name} 没有配置路径映射`);
-      logger.functionEnd('convertRemotePathToLocal', { result: null });
+      logger.functionEnd('convertRemotePathByMappings', { result: null });
       return null;
     }
 
@@ -232,8 +296,20 @@ function convertRemotePathToLocal(remotePath, server) {
     const normalizedRemotePath = normalizePath(remotePath);
     logger.debug(`标准化后的远程路径: ${normalizedRemotePath}`);
 
-    // 尝试每个路径映射
-    for (const mapping of pathMappings) {
+    // 按优先级和具体程度依次尝试路径映射
+    for (const mapping of sortPathMappings(pathMappings, 'toLocal')) {
+      // 通配符和正则映射
+      if (getMappingKind(mapping) !== 'prefix') {
+        const localPath = applyPathMapping(mapping, remotePath, 'toLocal');
+        if (localPath) {
+          checkRoundTrip(mapping, remotePath, localPath, 'toLocal');
+          logPathConversion(remotePath, localPath, { mapping });
+          logger.functionEnd('convertRemotePathByMappings', { result: localPath });
+          return localPath;
+        }
+        continue;
+      }
+
       const remotePathPrefix = normalizePath(mapping.remotePath);
       logger.debug(`检查映射: ${mapping.remotePath} -> ${mapping.localPath}, 标准化后远程前缀: ${remotePathPrefix}`);
 
@@ -243,32 +319,59 @@ function convertRemotePathToLocal(remotePath, server) {
         const relativePath = normalizedRemotePath.substring(remotePathPrefix.length);
         logger.debug(`提取的相对路径: ${relativePath}`);
 
-        // 构建本地路径
+        // 构建本地路径（path.posix.join 会合并 UNC 路径和 smartssh:// URI 开头的双斜杠，需要分开处理）
         const localPathPrefix = normalizePath(mapping.localPath);
-        let localPath = path.join(localPathPrefix, relativePath);
+        const localRoot = getPathRoot(localPathPrefix);
+        let localPath = localRoot + path.posix.join(localPathPrefix.substring(localRoot.length), relativePath);
 
         // 确保使用正确的路径分隔符
         localPath = normalizePath(localPath);
 
+        // normalizePath 会添加结尾斜杠，文件路径带斜杠时无法访问，只在原路径以斜杠结尾时保留
+        if (!/[/\\]$/.test(remotePath) && !/^(?:[A-Za-z]:)?\/$/.test(localPath)) {
+          localPath = localPath.replace(/\/+$/, '');
+        }
+
         logPathConversion(remotePath, localPath, {
           mapping,
           normalizedRemotePath,
           localPathPrefix,
           relativePath,
         });
-        logger.functionEnd('convertRemotePathToLocal', { result: localPath });
+        logger.functionEnd('convertRemotePathByMappings', { result: localPath });
         return localPath;
       }
     }
 
     logger.debug('未找到匹配的路径映射');
-    logger.functionEnd('convertRemotePathToLocal', { result: null });
+    logger.functionEnd('convertRemotePathByMappings', { result: null });
     return null;
   } catch (error) {
     logger.error(`远程路径转换出错: ${error.message}`, error);
-    logger.functionEnd('convertRemotePathToLocal', { error: error.message });
+    logger.functionEnd('convertRemotePathByMappings', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * 将远程路径转换为本地路径
+ * 没有映射匹配时，按远程路径别名把真实路径（例如符号链接解析后的路径）换回映射使用的路径后重试
+ * @param {string} remotePath - 远程路径
+ * @param {Object} server - 服务器配置
+ * @returns {string|null} - 转换后的本地路径，如果无法转换则返回null
+ */
+function convertRemotePathToLocal(remotePath, server) {
+  const localPath = convertRemotePathByMappings(remotePath, server);
+  if (localPath || !remotePath || !server) {
+    return localPath;
+  }
+
+  const aliasedPath = applyRemoteAliases(remotePath, server);
+  if (!aliasedPath) {
     return null;
   }
+  logger.debug(`按远程路径别名转换: ${remotePath} -> ${aliasedPath}`);
+  return convertRemotePathByMappings(aliasedPath, server);
 }
 
 /**
@@ -287,6 +390,13 @@ function convertLocalPathToRemote(localPath, server) {
       return null;
     }
 
+    // 该服务器的远程文件（smartssh://服务器名称/路径）不需要路径映射
+    const remoteUri = parseRemoteUriPath(localPath);
+    if (remoteUri && remoteUri.serverName === server.name) {
+      logger.functionEnd('convertLocalPathToRemote', { result: remoteUri.remotePath });
+      return remoteUri.remotePath;
+    }
+
     // 获取路径映射
     const pathMappings = getPathMappings(server);
     if (!pathMappings || pathMappings.length === 0) {
@@ -300,18 +410,29 @@ function convertLocalPathToRemote(localPath, server) {
 
     logger.debug(`转换本地路径: ${localPath} (标准化后: ${normalizedLocalPath})`);
 
-    // 尝试每个路径映射
-    for (const mapping of pathMappings) {
+    // 按优先级和具体程度依次尝试路径映射
+    for (const mapping of sortPathMappings(pathMappings, 'toRemote')) {
+      // 通配符和正则映射
+      if (getMappingKind(mapping) !== 'prefix') {
+        const remotePath = applyPathMapping(mapping, localPath, 'toRemote');
+        if (remotePath) {
+          checkRoundTrip(mapping, localPath, remotePath, 'toRemote');
+          logPathConversion(localPath, remotePath, { mapping });
+          logger.functionEnd('convertLocalPathToRemote', { result: remotePath });
+          return remotePath;
+        }
+        continue;
+      }
+
       // 标准化本地路径前缀
       const localPathPrefix = normalizePath(mapping.localPath);
 
       logger.debug(`检查映射: ${mapping.localPath} (标准化后: ${localPathPrefix}) -> ${mapping.remotePath}`);
       logger.debug(`检查本地路径 ${normalizedLocalPath} 是否以 ${localPathPrefix} 开头`);
 
-      // 检查本地路径是否以映射的本地路径开头
-      if (normalizedLocalPath.startsWith(localPathPrefix)) {
-        // 提取相对路径
-        let relativePath = normalizedLocalPath.substring(localPathPrefix.length);
+      // 检查本地路径是否以映射的本地路径开头（包括网络驱动器与 UNC 路径互相匹配）
+      let relativePath = getLocalRelativePath(mapping, localPath);
+      if (relativePath !== null) {
         logger.debug(`提取的原始相对路径: ${relativePath}`);
 
         // 移除开头的斜杠
@@ -367,6 +488,20 @@ function convertLocalPathToRemote(localPath, server) {
 // 服务器匹配
 // =============================================================================
 
+/**
+ * 获取服务器远程文件 URI 的隐含映射：smartssh://服务器名称/ 对应远程根目录
+ * @param {Object} server - 服务器配置
+ * @param {string} filePath - 本地路径
+ * @returns {Object|null} - 路径是该服务器的远程 URI 时返回映射，否则返回null
+ */
+function getRemoteUriMapping(server, filePath) {
+  const remoteUri = parseRemoteUriPath(filePath);
+  if (!remoteUri || remoteUri.serverName !== server.name) {
+    return null;
+  }
+  return { localPath: `smartssh://${server.name}/`, remotePath: '/' };
+}
+
 /**
  * 根据文件路径查找适配的服务器
  * @param {string} filePath - 文件路径
@@ -384,43 +519,85 @@ function findServerForPath(filePath) {
       return null;
     }
 
-    // 标准化文件路径
-    const normalizedFilePath = normalizePath(filePath);
-
-    // 遍历所有服务器查找匹配
+    // 在所有服务器中选择优先级最高、最具体的匹配映射，相同时保持服务器和映射的配置顺序
+    let best = null;
     for (const server of servers) {
-      // 获取路径映射
-      const pathMappings = getPathMappings(server);
-
-      // 如果服务器没有路径映射，跳过
-      if (!pathMappings || pathMappings.length === 0) {
-        continue;
+      for (const mapping of [...getPathMappings(server), getRemoteUriMapping(server, filePath)].filter(Boolean)) {
+        if (matchesLocalPath(mapping, filePath) && (!best || compareMappings(mapping, best.mapping, 'toRemote') < 0)) {
+          best = { server, mapping };
+        }
       }
+    }
 
-      // 检查每个路径映射
-      for (const mapping of pathMappings) {
-        const localPathPrefix = normalizePath(mapping.localPath);
+    return best ? best.server : null;
+  } catch (error) {
+    logger.error(`为路径查找服务器出错: ${error.message}`);
+    return null;
+  }
+}
 
-        // 如果文件路径以本地路径前缀开头，则找到匹配
-        if (normalizedFilePath.startsWith(localPathPrefix)) {
-          return server;
-        }
+/**
+ * 查找所有映射包含该本地路径的服务器
+ * @param {string} filePath - 本地路径
+ * @returns {Array} - [{ server, mapping }]，每个服务器取其最优先的映射，按映射优先级和具体程度排序
+ */
+function findServersForPath(filePath) {
+  try {
+    if (!filePath) {
+      return [];
+    }
+
+    const matches = [];
+    for (const server of configLoader.getServerList() || []) {
+      const mapping = sortPathMappings(getPathMappings(server), 'toRemote')
+        .find(candidate => matchesLocalPath(candidate, filePath)) || getRemoteUriMapping(server, filePath);
+      if (mapping) {
+        matches.push({ server, mapping });
       }
     }
 
-    return null;
+    return matches
+      .map((match, index) => ({ match, index }))
+      .sort((a, b) => compareMappings(a.match.mapping, b.match.mapping, 'toRemote') || a.index - b.index)
+      .map(item => item.match);
   } catch (error) {
     logger.error(`为路径查找服务器出错: ${error.message}`);
-    return null;
+    return [];
+  }
+}
+
+/**
+ * 选择本地路径对应的服务器，有多个服务器映射该路径时询问用户
+ * @param {string} filePath - 本地路径
+ * @param {string} [placeHolder] - 选择框提示
+ * @returns {Promise<Object|null>} - 服务器配置，没有匹配或用户取消时返回null
+ */
+async function selectServerForPath(filePath, placeHolder = '有多个服务器映射了此路径，请选择服务器') {
+  const matches = findServersForPath(filePath);
+  if (matches.length <= 1) {
+    return matches.length === 1 ? matches[0].server : null;
   }
+
+  const selection = await vscode.window.showQuickPick(
+    matches.map(({ server }) => ({
+      label: server.name,
+      description: `${server.username}@${server.host}`,
+      detail: (convertLocalPathToRemote(filePath, server) || '').replace(/(.)\/+$/, '$1') || undefined,
+      server,
+    })),
+    { placeHolder }
+  );
+
+  return selection ? selection.server : null;
 }
 
 /**
  * 查找服务器的路径映射情况，详细记录
  * @param {string} filePath - 文件路径
+ * @param {Array} [checkResults] - 用于接收每个映射检查结果的数组
  * @returns {Object|null} - 匹配的服务器配置及映射详情
  */
-function findServerForPathDetailed(filePath) {
+function findServerForPathDetailed(filePath, checkResults = []) {
   logger.functionStart('findServerForPathDetailed', { filePath });
 
   try {
@@ -443,7 +620,7 @@ function findServerForPathDetailed(filePath) {
     logger.debug(`文件路径已标准化: ${normalizedFilePath}`);
 
     // 记录所有的检查结果
-    const checkResults = [];
+    let best = null;
 
     // 遍历所有服务器查找匹配
     for (const server of servers) {
@@ -462,14 +639,12 @@ function findServerForPathDetailed(filePath) {
       }
 
       // 检查每个路径映射
-      let serverMatched = false;
       for (const mapping of pathMappings) {
         const localPathPrefix = normalizePath(mapping.localPath);
         logger.debug(`检查本地路径映射: ${mapping.localPath} (标准化后: ${localPathPrefix})`);
 
-        // 如果文件路径以本地路径前缀开头，则找到匹配
-        if (normalizedFilePath.startsWith(localPathPrefix)) {
-          serverMatched = true;
+        // 如果文件路径在映射的本地范围内，则找到匹配
+        if (matchesLocalPath(mapping, filePath)) {
           const matchResult = {
             serverName: server.name,
             result: true,
@@ -478,19 +653,24 @@ function findServerForPathDetailed(filePath) {
             localPathPrefix: localPathPrefix,
           };
           checkResults.push(matchResult);
-          logger.debug(`找到匹配的服务器: ${server.name}`, matchResult);
-          logger.functionEnd('findServerForPathDetailed', { result: matchResult });
-          return {
-            server: server,
-            mapping: mapping,
-            details: matchResult,
-          };
+          logger.debug(`找到匹配的映射: ${server.name}`, matchResult);
+
+          // 保留优先级最高、最具体的匹配
+          if (!best || compareMappings(mapping, best.mapping, 'toRemote') < 0) {
+            best = {
+              server: server,
+              mapping: mapping,
+              details: matchResult,
+            };
+          }
         } else {
           checkResults.push({
             serverName: server.name,
             mapping: mapping,
             result: false,
-            reason: '路径前缀不匹配',
+            reason: getMappingKind(mapping) === 'prefix'
+              ? `路径前缀不匹配（${isLocalCaseSensitive(mapping) ? '区分' : '不区分'}大小写）`
+              : '通配符或正则规则不匹配',
             normalizedFilePath: normalizedFilePath,
             localPathPrefix: localPathPrefix,
           });
@@ -498,6 +678,12 @@ function findServerForPathDetailed(filePath) {
       }
     }
 
+    if (best) {
+      logger.debug(`找到匹配的服务器: ${best.server.name}`, { checkResults });
+      logger.functionEnd('findServerForPathDetailed', { result: best.details });
+      return best;
+    }
+
     logger.debug('查找结果: 未找到匹配的服务器', { checkResults });
     logger.functionEnd('findServerForPathDetailed', { result: null, checkResults });
     return null;
@@ -508,16 +694,97 @@ function findServerForPathDetailed(filePath) {
   }
 }
 
+// =============================================================================
+// 工作区文件夹
+// =============================================================================
+
+/**
+ * 获取当前活动的工作区文件夹
+ * 优先使用活动编辑器所在的文件夹；只有一个文件夹时直接使用该文件夹
+ * @returns {vscode.WorkspaceFolder|null} - 工作区文件夹，无法确定时返回null
+ */
+function getActiveWorkspaceFolder() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (folders.length === 0) {
+    return null;
+  }
+
+  const editor = vscode.window.activeTextEditor;
+  if (editor && editor.document && editor.document.uri.scheme === 'file') {
+    const folder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
+    if (folder) {
+      return folder;
+    }
+  }
+
+  return folders.length === 1 ? folders[0] : null;
+}
+
+/**
+ * 确定连接服务器时使用的工作区文件夹（用于自动切换远程目录和解析相对路径）
+ * 多根工作区中优先使用活动编辑器所在且有路径映射的文件夹；
+ * 有多个文件夹映射到该服务器且无法确定时询问用户
+ * @param {Object} server - 服务器配置
+ * @returns {Promise<vscode.WorkspaceFolder|null>} - 工作区文件夹，没有或用户取消时返回null
+ */
+async function resolveWorkspaceFolderForServer(server) {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (folders.length <= 1) {
+    return folders[0] || null;
+  }
+
+  const activeFolder = getActiveWorkspaceFolder();
+  const mappedFolders = folders
+    .map(folder => ({ folder, remotePath: convertLocalPathToRemote(toMappingPath(folder.uri), server) }))
+    .filter(item => item.remotePath);
+
+  if (activeFolder && mappedFolders.some(item => item.folder === activeFolder)) {
+    return activeFolder;
+  }
+  if (mappedFolders.length === 0) {
+    return activeFolder;
+  }
+  if (mappedFolders.length === 1) {
+    return mappedFolders[0].folder;
+  }
+
+  const selection = await vscode.window.showQuickPick(
+    mappedFolders.map(item => ({
+      label: item.folder.name,
+      description: item.remotePath,
+      detail: item.folder.uri.fsPath,
+      folder: item.folder,
+    })),
+    { placeHolder: `选择连接 ${server.name} 后要进入的工作区文件夹` }
+  );
+
+  return selection ? selection.folder : null;
+}
+
 // =============================================================================
 // 路径识别和提取
 // =============================================================================
 
+/**
+ * 解码 file:// URL 中的路径部分，解码失败时返回原始路径
+ * @param {string} urlPath - URL 中的路径
+ * @returns {string} - 解码后的路径
+ */
+function decodeFileUrlPath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch (error) {
+    return urlPath;
+  }
+}
+
 /**
  * 在文本中查找潜在的文件路径
  * @param {string} text 要搜索的文本
+ * @param {Array} [extraPatterns] 额外的匹配模式（例如配置中的 linkPatterns），优先于内置模式
  * @returns {Array} 找到的潜在路径信息
  */
-function findPotentialPaths(text) {
+function findPotentialPaths(text, extraPatterns = []) {
   const results = [];
   try {
     // URL 检测的正则表达式
@@ -532,11 +799,41 @@ function findPotentialPaths(text) {
       }
     }
 
-    // 定义不同类型的路径匹配模式
+    // 定义不同类型的路径匹配模式，越具体的格式越靠前，与已匹配范围重叠的结果会被忽略
+    // resolve 用于把匹配结果转换为 [完整匹配, 路径, 行号, 列号]
     const patterns = [
-      // 1. 标准 Unix 路径（以 / 或 ~/ 开头）
+      ...extraPatterns,
+      // Python 回溯: File "/srv/app/x.py", line 42
       {
-        pattern: /((?:\/|~\/)[^:\s()"']+)(?::(\d+))?(?::(\d+))?/g,
+        pattern: /File "([^"<>]+)", line (\d+)/g,
+        type: 'python',
+      },
+      // Rust 编译错误和 panic: --> src/main.rs:10:5 / panicked at src/main.rs:10:5
+      {
+        pattern: /(?:-->|panicked at)\s+([^\s:]+\.rs):(\d+):(\d+)/g,
+        type: 'rust',
+      },
+      // Go 编译错误、测试失败和 panic 堆栈: main.go:12:3 / /app/main.go:42 +0x1d
+      {
+        pattern: /(?<=^|\s)(\/?(?:[\w.@+-]+\/)*[\w.@+-]+\.go):(\d+)(?::(\d+))?/g,
+        type: 'go',
+      },
+      // Java 堆栈: at com.foo.Bar.method(Bar.java:88)，根据包名还原相对路径 com/foo/Bar.java
+      {
+        pattern: /at ((?:[\w$]+\.)*)[\w$]+\.[\w$<>]+\(([\w$]+\.(?:java|kt|scala|groovy)):(\d+)\)/g,
+        type: 'java',
+        resolve: match => [match[0], match[1].replace(/\./g, '/') + match[2], match[3]],
+      },
+      // Node.js 堆栈: at fn (/srv/app/index.js:3:7) / at /srv/app/index.js:3:7 / at fn (file:///srv/app/index.mjs:3:7)
+      {
+        pattern: /at (?:[^()\n]+ \()?(?:file:\/\/)?(\/[^():\n]+):(\d+):(\d+)\)?/g,
+        type: 'node',
+        allowUrl: true,
+        resolve: match => [match[0], match[0].includes('file://') ? decodeFileUrlPath(match[1]) : match[1], match[2], match[3]],
+      },
+      // 1. 标准 Unix 路径（以 / 或 ~/ 开头，不匹配相对路径中间的部分）
+      {
+        pattern: /(?<![\w.~-])((?:\/|~\/)[^:\s()"']+)(?::(\d+))?(?::(\d+))?/g,
         type: 'unix',
       },
       // 2. CMake 错误格式
@@ -556,13 +853,22 @@ function findPotentialPaths(text) {
       },
     ];
 
+    // 已被前面的模式匹配的范围
+    const claimedRanges = [];
+
     // 处理每种模式
-    for (const { pattern, type } of patterns) {
+    for (const { pattern, type, resolve, allowUrl } of patterns) {
       let match;
       while ((match = pattern.exec(text)) !== null) {
+        // 避免自定义模式匹配空字符串时死循环
+        if (match[0] === '') {
+          pattern.lastIndex++;
+          continue;
+        }
+
         // 检查是否与 URL 重叠
         let isPartOfUrl = false;
-        for (let i = match.index; i < match.index + match[0].length; i++) {
+        for (let i = match.index; !allowUrl && i < match.index + match[0].length; i++) {
           if (urlMatches.has(i)) {
             isPartOfUrl = true;
             break;
@@ -574,7 +880,17 @@ function findPotentialPaths(text) {
           continue;
         }
 
-        const [fullMatch, path, lineStr, colStr] = match;
+        const [fullMatch, path, lineStr, colStr] = resolve ? resolve(match) : match;
+        if (!path) {
+          continue;
+        }
+
+        // 检查是否与更具体的格式重叠
+        const matchEnd = match.index + match[0].length;
+        if (claimedRanges.some(([start, end]) => match.index < end && matchEnd > start)) {
+          continue;
+        }
+        claimedRanges.push([match.index, matchEnd]);
 
         // 提取文件名和行列号信息
         const fileName = path.split(/[/\\]/).pop();
@@ -623,9 +939,11 @@ function findPotentialPaths(text) {
  * 处理文本中的路径，提取并尝试转换为本地路径
  * @param {string} text 要处理的文本
  * @param {Object} server 服务器配置
+ * @param {Object} [options] 选项
+ * @param {vscode.WorkspaceFolder} [options.workspaceFolder] 解析本地相对路径使用的工作区文件夹，默认为活动的工作区文件夹
  * @returns {Array} 处理后的路径信息数组，每项包含原始路径和转换后的本地路径
  */
-function processPathsFromText(text, server) {
+function processPathsFromText(text, server, options = {}) {
   logger.functionStart('processPathsFromText', { textLength: text?.length, serverName: server?.name });
 
   try {
@@ -635,8 +953,8 @@ function processPathsFromText(text, server) {
       return [];
     }
 
-    // 第一步: 使用findPotentialPaths提取路径
-    const pathResults = findPotentialPaths(text);
+    // 第一步: 使用findPotentialPaths提取路径（包括服务器和设置中的自定义链接模式）
+    const pathResults = findPotentialPaths(text, getLinkPatterns(server));
     logger.debug(`从文本中提取到 ${pathResults.length} 个潜在路径`);
 
     // 没有找到路径
@@ -645,8 +963,9 @@ function processPathsFromText(text, server) {
       return [];
     }
 
-    // 获取当前工作区路径(如果有)
-    const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    // 获取解析相对路径使用的工作区路径(如果有)，多根工作区中使用终端对应的文件夹
+    const workspaceFolder = options.workspaceFolder || getActiveWorkspaceFolder() || vscode.workspace.workspaceFolders?.[0];
+    const workspaceRoot = workspaceFolder ? toMappingPath(workspaceFolder.uri) : undefined;
     logger.debug(`当前工作区路径: ${workspaceRoot || '无'}`);
 
     // 第二步: 尝试将每个提取的路径转换为本地路径
@@ -683,16 +1002,24 @@ function processPathsFromText(text, server) {
         if (!localPath && workspaceRoot) {
           // 移除开头的 ./ 
           const cleanPath = originalPath.replace(/^\.\//, '');
-          const possibleLocalPath = path.join(workspaceRoot, cleanPath);
+          const possibleLocalPath = isRemoteUriPath(workspaceRoot)
+            ? `${workspaceRoot.replace(/\/+$/, '')}/${cleanPath}`
+            : path.join(workspaceRoot, cleanPath);
           logger.debug(`尝试作为本地相对路径: ${possibleLocalPath}`);
           
           // 不执行异步检查，只返回转换后的路径
           localPath = possibleLocalPath;
         }
       } else {
-        // 其他格式的路径
+        // 其他格式的路径（例如编译错误中不带 ./ 的相对路径），有远程工作目录时先基于该目录解析
         logger.debug(`处理其他类型路径: ${originalPath}`);
-        localPath = convertRemotePathToLocal(originalPath, server);
+        const currentRemoteDir = server.currentWorkingDirectory;
+        if (currentRemoteDir && !/^[a-zA-Z]:[\\/]/.test(originalPath)) {
+          localPath = convertRemotePathToLocal(path.posix.join(currentRemoteDir, originalPath), server);
+        }
+        if (!localPath) {
+          localPath = convertRemotePathToLocal(originalPath, server);
+        }
       }
 
       // 如果成功转换了路径
@@ -728,9 +1055,10 @@ function processPathsFromText(text, server) {
  * 处理文本中的路径，提取、转换并尝试打开第一个有效路径
  * @param {string} text 要处理的文本
  * @param {Object} server 服务器配置
+ * @param {Object} [options] 选项，参见 processPathsFromText
  * @returns {Promise<Object>} 处理结果，包含成功/失败信息和处理的路径
  */
-async function openPathFromText(text, server) {
+async function openPathFromText(text, server, options = {}) {
   logger.functionStart('openPathFromText', { textLength: text?.length, serverName: server?.name });
 
   try {
@@ -742,7 +1070,15 @@ async function openPathFromText(text, server) {
     }
 
     // 获取处理后的路径
-    const processedPaths = processPathsFromText(text, server);
+    let processedPaths = processPathsFromText(text, server, options);
+
+    // 远程路径无法转换时，查询映射目录的真实路径（符号链接）后重试
+    if (processedPaths.length > 0 && !processedPaths.some(p => p.localPath) && processedPaths.some(p => p.isUnix)) {
+      const { resolveRemoteRealPaths } = require('../services/remote-realpath');
+      if (await resolveRemoteRealPaths(server)) {
+        processedPaths = processPathsFromText(text, server, options);
+      }
+    }
 
     if (processedPaths.length === 0) {
       logger.debug('未找到有效路径');
@@ -754,6 +1090,18 @@ async function openPathFromText(text, server) {
     const validPath = processedPaths.find(p => p.localPath);
 
     if (!validPath) {
+      // 远程绝对路径不在任何映射范围内时，可以通过 scp 获取只读快照或通过远程文件系统编辑，避免按文件名搜索打开错误的同名文件
+      const remotePath = processedPaths.find(p => p.isUnix);
+      if (remotePath) {
+        const { offerRemoteSnapshot } = require('../services/remote-snapshot');
+        const action = await offerRemoteSnapshot(remotePath, server);
+        if (action !== 'search') {
+          logger.functionEnd('openPathFromText', { success: true, action });
+          const resultActions = { snapshot: 'remoteSnapshot', remote: 'remoteFile' };
+          return { success: true, action: resultActions[action] || 'cancelled', path: remotePath };
+        }
+      }
+
       logger.debug('找到路径，但无法转换为本地路径');
       logger.functionEnd('openPathFromText', { success: false, reason: '无法转换路径' });
       return {
@@ -771,8 +1119,10 @@ async function openPathFromText(text, server) {
 
     // 路径处理逻辑...
     if (!exists) {
-      // 处理不存在的路径
-      const fileName = path.basename(validPath.path);
+      // 处理不存在的路径，相对路径（例如 Java 堆栈还原的 com/foo/Bar.java）保留目录部分以便更精确地搜索
+      const fileName = validPath.isUnix
+        ? path.basename(validPath.path)
+        : validPath.path.replace(/^(?:\.{1,2}\/)+/, '');
       await fileService.searchAndOpenFile(fileName, validPath.line, validPath.column);
       
       return {
@@ -786,22 +1136,15 @@ async function openPathFromText(text, server) {
       // 处理目录
       logger.debug(`处理目录: ${validPath.localPath}`);
       
-      // 检查目录是否在工作区内
-      const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-      let isInWorkspace = false;
-      
-      if (workspaceRoot) {
-        // 标准化路径比较
-        const normalizedLocalPath = normalizePath(validPath.localPath);
-        const normalizedWorkspacePath = normalizePath(workspaceRoot);
-        isInWorkspace = normalizedLocalPath.startsWith(normalizedWorkspacePath);
-        logger.debug(`目录是否在工作区内: ${isInWorkspace} (工作区: ${workspaceRoot})`);
-      }
+      // 检查目录是否在任一工作区文件夹内
+      const containingFolder = vscode.workspace.getWorkspaceFolder(toEditorUri(validPath.localPath));
+      const isInWorkspace = !!containingFolder;
+      logger.debug(`目录是否在工作区内: ${isInWorkspace} (工作区: ${containingFolder ? containingFolder.uri.fsPath : '无'})`);
       
       if (isInWorkspace) {
         // 如果目录在工作区内，在资源管理器中显示该目录
         try {
-          const uri = vscode.Uri.file(validPath.localPath);
+          const uri = toEditorUri(validPath.localPath);
           // 首先显示资源管理器视图
           await vscode.commands.executeCommand('workbench.view.explorer');
           // 然后在资源管理器中定位到文件夹
@@ -850,7 +1193,7 @@ async function openPathFromText(text, server) {
           // 在当前窗口打开
           logger.debug(`用户选择在当前窗口打开目录: ${validPath.localPath}`);
           try {
-            const uri = vscode.Uri.file(validPath.localPath);
+            const uri = toEditorUri(validPath.localPath);
             await vscode.commands.executeCommand('vscode.openFolder', uri, false);
             return {
               success: true,
@@ -871,7 +1214,7 @@ async function openPathFromText(text, server) {
           // 在新窗口打开
           logger.debug(`用户选择在新窗口打开目录: ${validPath.localPath}`);
           try {
-            const uri = vscode.Uri.file(validPath.localPath);
+            const uri = toEditorUri(validPath.localPath);
             await vscode.commands.executeCommand('vscode.openFolder', uri, true);
             return {
               success: true,
@@ -892,7 +1235,7 @@ async function openPathFromText(text, server) {
           // 添加到工作区
           logger.debug(`用户选择添加目录到工作区: ${validPath.localPath}`);
           try {
-            const uri = vscode.Uri.file(validPath.localPath);
+            const uri = toEditorUri(validPath.localPath);
             await vscode.workspace.updateWorkspaceFolders(
               vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders.length : 0,
               null,
@@ -967,12 +1310,20 @@ module.exports = {
 
   // 路径映射处理
   getPathMappings,
+  matchesLocalPath,
+  matchesRemotePath,
   convertRemotePathToLocal,
   convertLocalPathToRemote,
 
   // 服务器匹配
   findServerForPath,
   findServerForPathDetailed,
+  findServersForPath,
+  selectServerForPath,
+
+  // 工作区文件夹
+  getActiveWorkspaceFolder,
+  resolveWorkspaceFolderForServer,
 
   // 路径识别和提取
   findPotentialPaths,
@@ -0,0 +1,116 @@
+/**
+ * 远程路径别名模块
+ * 服务器上的目录可能通过符号链接访问（例如 /work -> /mnt/raid/users/me），编译器等工具输出的是解析后的真实路径。
+ * 别名把真实路径换回路径映射中使用的路径，来源包括服务器配置的 remoteAliases 和通过SSH查询的 realpath 结果
+ */
+
+const { logger } = require('./logger');
+const { toSlashPath } = require('./path-mapping-rules');
+
+// 通过 realpath 查询得到的别名，键为服务器名称
+const resolvedAliases = new Map();
+// 已提示过的格式不正确的别名，避免每次转换路径时重复记录
+const reportedAliases = new Set();
+
+/**
+ * 去掉路径结尾的斜杠（根目录除外）
+ * @param {string} p - 路径
+ * @returns {string} - 去掉结尾斜杠的路径
+ */
+function trimTrailingSlash(p) {
+  return p.length > 1 ? p.replace(/\/+$/, '') : p;
+}
+
+/**
+ * 获取服务器配置的别名，忽略格式不正确的项
+ * @param {Object} server - 服务器配置
+ * @returns {Array} - [{ from, to }]
+ */
+function getConfiguredAliases(server) {
+  if (!Array.isArray(server.remoteAliases)) {
+    return [];
+  }
+  return server.remoteAliases.filter(alias => {
+    const valid = alias && typeof alias.from === 'string' && typeof alias.to === 'string' &&
+      alias.from.startsWith('/') && alias.to.length > 0;
+    const key = `${server.name}\n${JSON.stringify(alias)}`;
+    if (!valid && !reportedAliases.has(key)) {
+      reportedAliases.add(key);
+      logger.warn(`服务器 ${server.name} 的远程路径别名格式不正确（from 必须是绝对路径），已忽略`, alias);
+    }
+    return valid;
+  });
+}
+
+/**
+ * 获取服务器的所有远程路径别名，配置的别名在前
+ * @param {Object} server - 服务器配置
+ * @returns {Array} - [{ from, to }]
+ */
+function getRemoteAliases(server) {
+  if (!server) {
+    return [];
+  }
+  return [...getConfiguredAliases(server), ...(resolvedAliases.get(server.name) || [])];
+}
+
+/**
+ * 按别名把真实路径换回路径映射使用的路径，有多个别名匹配时使用 from 最长的别名
+ * @param {string} remotePath - 远程路径
+ * @param {Object} server - 服务器配置
+ * @returns {string|null} - 替换后的路径，没有别名匹配时返回null
+ */
+function applyRemoteAliases(remotePath, server) {
+  const normalized = toSlashPath(remotePath);
+  let best = null;
+  for (const alias of getRemoteAliases(server)) {
+    const from = trimTrailingSlash(toSlashPath(alias.from));
+    const matches = from === '/'
+      ? normalized.startsWith('/')
+      : normalized === from || normalized.startsWith(`${from}/`);
+    if (matches && (!best || from.length > best.from.length)) {
+      best = { from, to: trimTrailingSlash(toSlashPath(alias.to)) };
+    }
+  }
+  if (!best) {
+    return null;
+  }
+
+  const rest = best.from === '/' ? normalized.slice(1) : normalized.slice(best.from.length).replace(/^\//, '');
+  const result = rest ? `${best.to === '/' ? '' : best.to}/${rest}` : best.to;
+  // 保留原路径结尾的斜杠，转换结果据此判断是否为目录
+  return /\/$/.test(remotePath) && !result.endsWith('/') ? `${result}/` : result;
+}
+
+/**
+ * 判断是否已经查询过服务器的 realpath
+ * @param {string} serverName - 服务器名称
+ * @returns {boolean} - 是否已查询
+ */
+function hasResolvedAliases(serverName) {
+  return resolvedAliases.has(serverName);
+}
+
+/**
+ * 保存通过 realpath 查询得到的别名
+ * @param {string} serverName - 服务器名称
+ * @param {Array} aliases - [{ from, to }]
+ */
+function setResolvedAliases(serverName, aliases) {
+  resolvedAliases.set(serverName, aliases);
+}
+
+/**
+ * 清除 realpath 查询结果（配置变化后重新查询）
+ */
+function clearResolvedAliases() {
+  resolvedAliases.clear();
+}
+
+module.exports = {
+  getRemoteAliases,
+  applyRemoteAliases,
+  hasResolvedAliases,
+  setResolvedAliases,
+  clearResolvedAliases,
+};
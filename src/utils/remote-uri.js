@@ -0,0 +1,106 @@
+/**
+ * 远程文件 URI 模块
+ * smartssh://<服务器名称>/<远程路径> 形式的 URI 由远程文件系统提供者通过SSH读写。
+ * 这种 URI 也可以作为路径映射的 localPath，使没有 SMB 共享的服务器的路径直接在编辑器中打开
+ */
+
+const vscode = require('vscode');
+
+// 远程文件系统的 URI scheme
+const REMOTE_SCHEME = 'smartssh';
+// 字符串形式的远程 URI：smartssh://服务器名称/路径
+const REMOTE_URI_PATTERN = /^smartssh:\/\/([^/]*)(\/.*)?$/i;
+
+/**
+ * 解码 URI 中的部分，已经是未编码的文本时原样返回
+ * @param {string} text - 文本
+ * @returns {string} - 解码后的文本
+ */
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * 判断路径字符串是否为远程 URI
+ * @param {string} p - 路径
+ * @returns {boolean} - 是否为 smartssh:// URI
+ */
+function isRemoteUriPath(p) {
+  return typeof p === 'string' && REMOTE_URI_PATTERN.test(p);
+}
+
+/**
+ * 解析字符串形式的远程 URI
+ * @param {string} p - 路径，例如 smartssh://开发服务器/home/user/a.c
+ * @returns {Object|null} - { serverName, remotePath }，不是远程 URI 时返回null
+ */
+function parseRemoteUriPath(p) {
+  const match = typeof p === 'string' ? p.match(REMOTE_URI_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  const remotePath = safeDecode(match[2] || '/').replace(/^\/~(?=\/|$)/, '~');
+  return { serverName: safeDecode(match[1]), remotePath };
+}
+
+/**
+ * 获取远程 URI 对应的远程路径，/~ 开头的路径表示用户主目录
+ * @param {vscode.Uri} uri - smartssh URI
+ * @returns {string} - 远程路径
+ */
+function getRemotePathOfUri(uri) {
+  return uri.path.replace(/^\/~(?=\/|$)/, '~') || '/';
+}
+
+/**
+ * 创建远程文件的 URI
+ * @param {string} serverName - 服务器名称
+ * @param {string} remotePath - 远程路径（~/ 开头时表示用户主目录）
+ * @returns {vscode.Uri} - smartssh URI
+ */
+function buildRemoteUri(serverName, remotePath) {
+  return vscode.Uri.from({
+    scheme: REMOTE_SCHEME,
+    authority: serverName,
+    path: remotePath.startsWith('/') ? remotePath : `/${remotePath}`,
+  });
+}
+
+/**
+ * 获取 URI 在路径映射中使用的路径：本地文件为文件系统路径，远程文件为未编码的 smartssh:// 字符串
+ * @param {vscode.Uri} uri - 文件 URI
+ * @returns {string} - 路径
+ */
+function toMappingPath(uri) {
+  if (uri.scheme === REMOTE_SCHEME) {
+    return `${REMOTE_SCHEME}://${uri.authority}${uri.path}`;
+  }
+  return uri.fsPath;
+}
+
+/**
+ * 将路径映射得到的本地路径转换为编辑器使用的 URI
+ * @param {string} localPath - 本地路径或 smartssh:// 字符串
+ * @returns {vscode.Uri} - 文件 URI
+ */
+function toEditorUri(localPath) {
+  const remote = parseRemoteUriPath(localPath);
+  if (remote) {
+    return buildRemoteUri(remote.serverName, remote.remotePath);
+  }
+  return vscode.Uri.file(localPath);
+}
+
+module.exports = {
+  REMOTE_SCHEME,
+  isRemoteUriPath,
+  parseRemoteUriPath,
+  getRemotePathOfUri,
+  buildRemoteUri,
+  toMappingPath,
+  toEditorUri,
+};
@@ -0,0 +1,324 @@
+/**
+ * SSH配置解析模块
+ * 解析 ~/.ssh/config 中的 Host 块，转换为扩展的服务器配置
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Include 嵌套的最大深度，与 OpenSSH 保持一致
+const MAX_INCLUDE_DEPTH = 16;
+
+/**
+ * 获取默认的SSH配置文件路径
+ * @returns {string} - SSH配置文件路径
+ */
+function getDefaultSshConfigPath() {
+  return path.join(os.homedir(), '.ssh', 'config');
+}
+
+/**
+ * 展开路径中的 ~ 为用户主目录
+ * @param {string} filePath - 路径
+ * @returns {string} - 展开后的路径
+ */
+function expandHome(filePath) {
+  if (filePath === '~') {
+    return os.homedir();
+  }
+  if (filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  return filePath;
+}
+
+/**
+ * 将SSH配置的通配符模式转换为正则表达式
+ * @param {string} pattern - 通配符模式（支持 * 和 ?）
+ * @returns {RegExp} - 正则表达式
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * 判断模式是否包含通配符
+ * @param {string} pattern - 模式
+ * @returns {boolean} - 是否包含通配符
+ */
+function isWildcardPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * 判断主机别名是否匹配 Host 行中的模式列表
+ * 任何否定模式（!pattern）匹配时整体不匹配
+ * @param {string} alias - 主机别名
+ * @param {string[]} patterns - 模式列表
+ * @returns {boolean} - 是否匹配
+ */
+function matchHostPatterns(alias, patterns) {
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (patternToRegExp(pattern.slice(1)).test(alias)) {
+        return false;
+      }
+    } else if (patternToRegExp(pattern).test(alias)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/**
+ * 拆分配置行的参数，支持双引号包裹的值
+ * @param {string} text - 参数文本
+ * @returns {string[]} - 参数列表
+ */
+function splitArgs(text) {
+  const args = [];
+  const regex = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return args;
+}
+
+/**
+ * 解析单行配置
+ * @param {string} line - 配置行
+ * @returns {Object|null} - { key, args }，空行或注释返回null
+ */
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) {
+    return null;
+  }
+
+  // 支持 "Key value" 和 "Key=value" 两种写法
+  const match = trimmed.match(/^(\S+?)(?:\s*=\s*|\s+)(.*)$/);
+  if (!match) {
+    return { key: trimmed.toLowerCase(), args: [] };
+  }
+
+  return { key: match[1].toLowerCase(), args: splitArgs(match[2]) };
+}
+
+/**
+ * 展开 Include 指令中的文件模式
+ * @param {string} pattern - 文件模式，相对路径基于 ~/.ssh
+ * @returns {string[]} - 匹配的文件路径（按名称排序）
+ */
+function resolveIncludeFiles(pattern) {
+  let fullPattern = expandHome(pattern);
+  if (!path.isAbsolute(fullPattern)) {
+    fullPattern = path.join(os.homedir(), '.ssh', fullPattern);
+  }
+
+  if (!isWildcardPattern(fullPattern)) {
+    return fs.existsSync(fullPattern) ? [fullPattern] : [];
+  }
+
+  // 仅支持文件名部分的通配符，例如 config.d/*
+  const dir = path.dirname(fullPattern);
+  const fileRegex = patternToRegExp(path.basename(fullPattern));
+  if (isWildcardPattern(dir) || !fs.existsSync(dir)) {
+    logger.warn(`不支持的 Include 模式或目录不存在: ${pattern}`);
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => fileRegex.test(file))
+    .sort()
+    .map(file => path.join(dir, file))
+    .filter(file => fs.statSync(file).isFile());
+}
+
+/**
+ * 读取配置文件并递归展开 Include，返回扁平的配置项列表
+ * @param {string} filePath - 配置文件路径
+ * @param {number} depth - 当前嵌套深度
+ * @returns {Array} - 配置项列表 { key, args, file }
+ */
+function readEntries(filePath, depth = 0) {
+  if (depth > MAX_INCLUDE_DEPTH) {
+    logger.warn(`SSH配置 Include 嵌套过深，已忽略: ${filePath}`);
+    return [];
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    logger.warn(`无法读取SSH配置文件 ${filePath}: ${error.message}`);
+    return [];
+  }
+
+  const entries = [];
+  for (const line of content.split(/\r?\n/)) {
+    const entry = parseLine(line);
+    if (!entry) continue;
+
+    if (entry.key === 'include') {
+      for (const pattern of entry.args) {
+        for (const includeFile of resolveIncludeFiles(pattern)) {
+          entries.push(...readEntries(includeFile, depth + 1));
+        }
+      }
+      continue;
+    }
+
+    entries.push({ ...entry, file: filePath });
+  }
+
+  return entries;
+}
+
+/**
+ * 将配置项列表组织为 Host 块
+ * 文件开头不属于任何 Host 的配置视为 "Host *"；Match 块无法静态求值，直接忽略
+ * @param {Array} entries - 配置项列表
+ * @returns {Array} - Host 块列表 { patterns, options }
+ */
+function buildBlocks(entries) {
+  const blocks = [];
+  let current = { patterns: ['*'], options: [] };
+  blocks.push(current);
+
+  for (const entry of entries) {
+    if (entry.key === 'host') {
+      current = { patterns: entry.args, options: [] };
+      blocks.push(current);
+    } else if (entry.key === 'match') {
+      current = null;
+    } else if (current) {
+      current.options.push(entry);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * 计算某个主机别名的最终配置（首个出现的值生效，与 OpenSSH 一致）
+ * @param {string} alias - 主机别名
+ * @param {Array} blocks - Host 块列表
+ * @returns {Object} - 配置键（小写）到参数的映射
+ */
+function resolveHostOptions(alias, blocks) {
+  const options = {};
+  for (const block of blocks) {
+    if (!matchHostPatterns(alias, block.patterns)) continue;
+    for (const option of block.options) {
+      if (!(option.key in options)) {
+        options[option.key] = option.args;
+      }
+    }
+  }
+  return options;
+}
+
+/**
+ * 解析SSH配置文件
+ * @param {string} [filePath] - 配置文件路径，默认为 ~/.ssh/config
+ * @returns {Array} - 主机列表，每项包含 alias 和 options（已合并通配符块）
+ */
+function parseSshConfig(filePath = getDefaultSshConfigPath()) {
+  const blocks = buildBlocks(readEntries(filePath));
+
+  // 只有不含通配符的 Host 模式才是可导入的具体主机
+  const aliases = [];
+  for (const block of blocks.slice(1)) {
+    for (const pattern of block.patterns) {
+      if (pattern.startsWith('!') || isWildcardPattern(pattern) || aliases.includes(pattern)) {
+        continue;
+      }
+      aliases.push(pattern);
+    }
+  }
+
+  return aliases.map(alias => ({
+    alias,
+    options: resolveHostOptions(alias, blocks),
+  }));
+}
+
+/**
+ * 展开SSH配置值中的常用占位符
+ * @param {string} value - 配置值
+ * @param {Object} context - { alias, host, user }
+ * @returns {string} - 展开后的值
+ */
+function expandTokens(value, context) {
+  return value.replace(/%([%dhnru])/g, (match, token) => {
+    switch (token) {
+      case '%': return '%';
+      case 'd': return os.homedir();
+      case 'h': return context.host;
+      case 'n': return context.alias;
+      case 'r': return context.user;
+      case 'u': return os.userInfo().username;
+      default: return match;
+    }
+  });
+}
+
+/**
+ * 将解析得到的SSH主机转换为扩展的服务器配置
+ * ProxyJump 中的主机别名原样保留：若与 serverList 中的服务器同名则按名称引用，否则由 ssh 自身按配置文件解析
+ * @param {Object} sshHost - parseSshConfig 返回的主机项
+ * @returns {Object} - 服务器配置
+ */
+function toServerConfig(sshHost) {
+  const { alias, options } = sshHost;
+  const first = key => (options[key] && options[key].length > 0 ? options[key][0] : undefined);
+
+  const context = {
+    alias,
+    host: first('hostname') || alias,
+    user: first('user') || os.userInfo().username,
+  };
+  context.host = expandTokens(context.host, context);
+
+  const server = {
+    name: alias,
+    host: context.host,
+    username: context.user,
+  };
+
+  const port = parseInt(first('port'), 10);
+  if (port && port !== 22) {
+    server.port = port;
+  }
+
+  const identityFile = first('identityfile');
+  if (identityFile && identityFile.toLowerCase() !== 'none') {
+    server.privateKey = expandHome(expandTokens(identityFile, context));
+  }
+
+  const proxyJump = first('proxyjump');
+  if (proxyJump && proxyJump.toLowerCase() !== 'none') {
+    server.jumpHosts = proxyJump
+      .split(',')
+      .map(jumpHost => jumpHost.trim())
+      .filter(Boolean)
+      .map(jumpHost => jumpHost.replace(/^ssh:\/\//, ''));
+  }
+
+  return server;
+}
+
+module.exports = {
+  getDefaultSshConfigPath,
+  matchHostPatterns,
+  parseSshConfig,
+  toServerConfig,
+};
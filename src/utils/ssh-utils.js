@@ -0,0 +1,373 @@
+/**
+ * SSH命令工具模块
+ * 提供构建SSH命令参数相关的工具函数
+ */
+
+// 端口转发类型定义
+const PORT_FORWARD_TYPES = {
+  local: { flag: '-L', label: '本地转发', description: '将本地端口转发到远程主机 (-L)' },
+  remote: { flag: '-R', label: '远程转发', description: '将远程端口转发到本地主机 (-R)' },
+  dynamic: { flag: '-D', label: 'SOCKS 代理', description: '在本地端口启动SOCKS代理 (-D)' },
+};
+
+/**
+ * 检查端口号是否有效
+ * @param {number|string} port - 端口号
+ * @returns {boolean} - 是否有效
+ */
+function isValidPort(port) {
+  const value = Number(port);
+  return Number.isInteger(value) && value > 0 && value <= 65535;
+}
+
+/**
+ * 校验端口转发配置
+ * @param {Object} forward - 端口转发配置
+ * @returns {string|null} - 错误信息，如果配置有效则返回null
+ */
+function validatePortForward(forward) {
+  if (!forward || !PORT_FORWARD_TYPES[forward.type]) {
+    return `无效的端口转发类型: ${forward ? forward.type : '未指定'}`;
+  }
+
+  if (forward.type === 'remote') {
+    if (!isValidPort(forward.remotePort)) {
+      return `无效的远程端口: ${forward.remotePort}`;
+    }
+    if (!isValidPort(forward.localPort)) {
+      return `无效的本地端口: ${forward.localPort}`;
+    }
+    return null;
+  }
+
+  if (!isValidPort(forward.localPort)) {
+    return `无效的本地端口: ${forward.localPort}`;
+  }
+
+  if (forward.type === 'local' && !isValidPort(forward.remotePort)) {
+    return `无效的远程端口: ${forward.remotePort}`;
+  }
+
+  return null;
+}
+
+/**
+ * 构建端口转发的规格字符串（不含 -L/-R/-D 标志）
+ * @param {Object} forward - 端口转发配置
+ * @returns {string} - 规格字符串，例如 8080:localhost:80
+ */
+function formatPortForwardSpec(forward) {
+  const bindPrefix = forward.bindAddress ? `${forward.bindAddress}:` : '';
+
+  switch (forward.type) {
+    case 'local':
+      return `${bindPrefix}${forward.localPort}:${forward.remoteHost || 'localhost'}:${forward.remotePort}`;
+    case 'remote':
+      return `${bindPrefix}${forward.remotePort}:${forward.localHost || 'localhost'}:${forward.localPort}`;
+    case 'dynamic':
+      return `${bindPrefix}${forward.localPort}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * 构建端口转发的SSH参数
+ * @param {Array} forwards - 端口转发配置列表
+ * @returns {string[]} - SSH参数数组
+ */
+function buildPortForwardArgs(forwards) {
+  const args = [];
+  if (!Array.isArray(forwards)) {
+    return args;
+  }
+
+  for (const forward of forwards) {
+    if (validatePortForward(forward)) {
+      continue;
+    }
+    args.push(PORT_FORWARD_TYPES[forward.type].flag);
+    args.push(formatPortForwardSpec(forward));
+  }
+
+  return args;
+}
+
+/**
+ * 获取端口转发的可读描述
+ * @param {Object} forward - 端口转发配置
+ * @returns {string} - 描述文本，例如 -L 8080:localhost:80
+ */
+function describePortForward(forward) {
+  if (!forward || !PORT_FORWARD_TYPES[forward.type]) {
+    return '';
+  }
+  return `${PORT_FORWARD_TYPES[forward.type].flag} ${formatPortForwardSpec(forward)}`;
+}
+
+/**
+ * 判断两个端口转发配置是否相同
+ * @param {Object} a - 端口转发配置
+ * @param {Object} b - 端口转发配置
+ * @returns {boolean} - 是否相同
+ */
+function isSamePortForward(a, b) {
+  return describePortForward(a) === describePortForward(b);
+}
+
+/**
+ * 将服务器配置格式化为 -J 参数使用的主机规格
+ * @param {Object} server - 服务器配置
+ * @returns {string} - 主机规格，例如 user@host:2222
+ */
+function formatJumpHostSpec(server) {
+  const userPrefix = server.username ? `${server.username}@` : '';
+  const portSuffix = server.port && server.port !== 22 ? `:${server.port}` : '';
+  return `${userPrefix}${server.host}${portSuffix}`;
+}
+
+/**
+ * 解析服务器的跳板机链
+ * jumpHosts 中的每一项可以是 serverList 中其他服务器的名称，也可以是内联的主机规格（[user@]host[:port]）。
+ * 引用的服务器自身配置的跳板机会被展开到链的前面。
+ * @param {Object} server - 服务器配置
+ * @param {Array} serverList - 服务器列表，用于按名称查找跳板机
+ * @param {Set} [visiting] - 正在解析的服务器名称，用于检测循环引用
+ * @returns {Array} - 跳板机列表，每项包含 spec（主机规格）和 serverName（引用的服务器名称，内联规格为null）
+ */
+function resolveJumpHosts(server, serverList = [], visiting = new Set()) {
+  if (!server || !Array.isArray(server.jumpHosts) || server.jumpHosts.length === 0) {
+    return [];
+  }
+
+  if (visiting.has(server.name)) {
+    throw new Error(`跳板机配置存在循环引用: ${[...visiting, server.name].join(' -> ')}`);
+  }
+  visiting.add(server.name);
+
+  const chain = [];
+  for (const jumpHost of server.jumpHosts) {
+    if (!jumpHost || typeof jumpHost !== 'string') {
+      continue;
+    }
+
+    const referenced = serverList.find(s => s.name === jumpHost);
+    if (referenced) {
+      chain.push(...resolveJumpHosts(referenced, serverList, visiting));
+      chain.push({ spec: formatJumpHostSpec(referenced), serverName: referenced.name });
+    } else {
+      chain.push({ spec: jumpHost.trim(), serverName: null });
+    }
+  }
+
+  visiting.delete(server.name);
+  return chain;
+}
+
+/**
+ * 构建跳板机的SSH参数
+ * @param {Object} server - 服务器配置
+ * @param {Array} serverList - 服务器列表
+ * @returns {string[]} - SSH参数数组，例如 ['-J', 'a@bastion,b@inner']
+ */
+function buildJumpHostArgs(server, serverList = []) {
+  const chain = resolveJumpHosts(server, serverList);
+  if (chain.length === 0) {
+    return [];
+  }
+  return ['-J', chain.map(jumpHost => jumpHost.spec).join(',')];
+}
+
+// 保活参数的默认值
+const DEFAULT_SERVER_ALIVE_INTERVAL = 30;
+const DEFAULT_SERVER_ALIVE_COUNT_MAX = 3;
+
+/**
+ * 构建连接保活的SSH参数
+ * 间隔为0时不发送保活消息
+ * @param {number} [interval] - ServerAliveInterval（秒），未指定时使用默认值
+ * @param {number} [countMax] - ServerAliveCountMax，未指定时使用默认值
+ * @returns {string[]} - SSH参数数组
+ */
+function buildKeepAliveArgs(interval, countMax) {
+  const aliveInterval = Number.isInteger(interval) && interval >= 0 ? interval : DEFAULT_SERVER_ALIVE_INTERVAL;
+  if (aliveInterval === 0) {
+    return [];
+  }
+
+  const aliveCountMax = Number.isInteger(countMax) && countMax > 0 ? countMax : DEFAULT_SERVER_ALIVE_COUNT_MAX;
+  return [
+    '-o', `ServerAliveInterval=${aliveInterval}`,
+    '-o', `ServerAliveCountMax=${aliveCountMax}`,
+  ];
+}
+
+/**
+ * 获取SSH终端使用的本地shell
+ * Windows 下终端使用 cmd.exe，其他平台使用 bash
+ * @param {string} [platform] - 平台，默认为当前平台
+ * @returns {Object} - { shellPath, shellType }，shellType 为 cmd、powershell 或 posix
+ */
+function getLocalShell(platform = process.platform) {
+  return platform === 'win32'
+    ? { shellPath: 'cmd.exe', shellType: 'cmd' }
+    : { shellPath: 'bash', shellType: 'posix' };
+}
+
+/**
+ * 按 cmd.exe 的规则引用参数
+ * 双引号内 cmd.exe 仍会展开 %VAR%，因此 % 放在引号外并用 ^ 转义；
+ * 参数最终由程序按 Windows 命令行规则解析，引号写作 ""，引号前的反斜杠需要加倍
+ * @param {string} text - 参数
+ * @returns {string} - 引用后的参数
+ */
+function quoteCmdArg(text) {
+  if (text && /^[\w@+=:,./\\-]+$/.test(text)) {
+    return text;
+  }
+  const escaped = text
+    .replace(/(\\*)(["%])/g, (match, backslashes, char) => `${backslashes}${backslashes}${char === '"' ? '""' : '"^%"'}`)
+    .replace(/(\\+)$/, '$1$1');
+  return `"${escaped}"`;
+}
+
+/**
+ * 为本地shell引用命令参数
+ * @param {string} arg - 参数
+ * @param {string} [shellType] - shell类型（cmd、powershell 或 posix），默认为SSH终端使用的本地shell
+ * @returns {string} - 引用后的参数
+ */
+function quoteShellArg(arg, shellType = getLocalShell().shellType) {
+  const text = String(arg);
+
+  if (shellType === 'cmd') {
+    return quoteCmdArg(text);
+  }
+
+  if (shellType === 'powershell') {
+    if (text && /^[\w@+=:,./\\-]+$/.test(text)) {
+      return text;
+    }
+    // 单引号内不展开变量和转义字符，单引号本身写作 ''
+    return `'${text.replace(/'/g, '\'\'')}'`;
+  }
+
+  if (text && /^[\w@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * 为远程shell引用路径
+ * 路径按 POSIX 规则引用，开头的 ~/ 保留在引号外以便远程shell展开
+ * @param {string} remotePath - 远程路径
+ * @returns {string} - 引用后的路径
+ */
+function quoteRemotePath(remotePath) {
+  if (remotePath === '~' || remotePath.startsWith('~/')) {
+    const rest = remotePath.slice(2);
+    return rest ? `~/${quoteShellArg(rest, 'posix')}` : '~';
+  }
+  return quoteShellArg(remotePath, 'posix');
+}
+
+/**
+ * 构建在远程shell中切换目录的命令
+ * @param {string} remotePath - 远程目录
+ * @returns {string} - cd 命令
+ */
+function buildRemoteCdCommand(remotePath) {
+  return `cd ${quoteRemotePath(remotePath)}`;
+}
+
+/**
+ * 构建连接服务器的公共参数（端口、保活、跳板机、密钥），SSH终端、远程命令执行和 scp 共用
+ * 端口和跳板机使用 -o 形式，ssh 和 scp 都能识别（scp 的 -p 表示保留时间，旧版 scp 也不支持 -J）
+ * @param {Object} server - 服务器配置
+ * @param {Array} [serverList] - 服务器列表，用于解析跳板机
+ * @param {Object} [config] - 全局配置，服务器没有配置保活参数时使用
+ * @returns {string[]} - 参数数组
+ */
+function buildConnectionArgs(server, serverList = [], config = {}) {
+  const args = [];
+
+  if (server.port && server.port !== 22) {
+    args.push('-o', `Port=${server.port}`);
+  }
+  args.push(...buildKeepAliveArgs(
+    server.serverAliveInterval ?? config.serverAliveInterval,
+    server.serverAliveCountMax ?? config.serverAliveCountMax
+  ));
+
+  const jumpHostArgs = buildJumpHostArgs(server, serverList);
+  if (jumpHostArgs.length > 0) {
+    args.push('-o', `ProxyJump=${jumpHostArgs[1]}`);
+  }
+  if (server.privateKey) {
+    args.push('-i', server.privateKey);
+  }
+  return args;
+}
+
+/**
+ * 构建非交互执行远程命令的SSH参数
+ * 使用 BatchMode 禁止密码等交互提示，没有可用的密钥时直接失败而不是挂起
+ * @param {Object} server - 服务器配置
+ * @param {Array} serverList - 服务器列表，用于解析跳板机
+ * @param {string} remoteCommand - 要在远程执行的命令
+ * @param {string} [remoteCwd] - 执行命令的远程目录
+ * @param {Object} [config] - 全局配置（保活参数）
+ * @returns {string[]} - SSH参数数组
+ */
+function buildRemoteExecArgs(server, serverList, remoteCommand, remoteCwd, config = {}) {
+  const args = ['-o', 'BatchMode=yes', ...buildConnectionArgs(server, serverList, config)];
+
+  args.push(`${server.username}@${server.host}`);
+  args.push(remoteCwd ? `${buildRemoteCdCommand(remoteCwd)} && ${remoteCommand}` : remoteCommand);
+  return args;
+}
+
+/**
+ * 构建从服务器复制文件到本地的 scp 参数
+ * 与远程执行一样使用 BatchMode 和 buildConnectionArgs 的连接参数。
+ * OpenSSH 9 起 scp 默认使用 SFTP 协议，按字面解析远程路径；配置 scpLegacyProtocol 时传入 -O 使用旧版协议，
+ * 旧版协议由远程shell解析路径，需要引用特殊字符
+ * @param {Object} server - 服务器配置
+ * @param {Array} serverList - 服务器列表，用于解析跳板机
+ * @param {string} remotePath - 远程文件路径
+ * @param {string} localPath - 本地目标路径
+ * @param {Object} [config] - 全局配置（保活参数和 scpLegacyProtocol）
+ * @returns {string[]} - scp参数数组
+ */
+function buildScpArgs(server, serverList, remotePath, localPath, config = {}) {
+  const args = ['-q', '-o', 'BatchMode=yes', ...buildConnectionArgs(server, serverList, config)];
+  if (config.scpLegacyProtocol) {
+    args.push('-O');
+  }
+
+  const sourcePath = config.scpLegacyProtocol ? quoteRemotePath(remotePath) : remotePath;
+  args.push(`${server.username}@${server.host}:${sourcePath}`, localPath);
+  return args;
+}
+
+module.exports = {
+  PORT_FORWARD_TYPES,
+  isValidPort,
+  validatePortForward,
+  formatPortForwardSpec,
+  buildPortForwardArgs,
+  describePortForward,
+  isSamePortForward,
+  formatJumpHostSpec,
+  resolveJumpHosts,
+  buildJumpHostArgs,
+  buildKeepAliveArgs,
+  buildConnectionArgs,
+  getLocalShell,
+  quoteShellArg,
+  quoteRemotePath,
+  buildRemoteCdCommand,
+  buildRemoteExecArgs,
+  buildScpArgs,
+};
@@ -0,0 +1,76 @@
+/**
+ * build-output-parser 测试
+ */
+
+const { parseBuildOutput } = require('../src/utils/build-output-parser');
+
+describe('build-output-parser', () => {
+  const server = {
+    name: 'build',
+    pathMappings: [{ localPath: '/home/me/proj', remotePath: '/srv/proj' }],
+  };
+
+  test('解析 gcc 的错误、警告和提示', () => {
+    const { problems, unmapped } = parseBuildOutput([
+      '/srv/proj/a.c:10:5: error: expected \';\' before \'}\' token',
+      '/srv/proj/a.c:3:1: warning: unused variable \'x\' [-Wunused-variable]',
+      '/srv/proj/a.h:1:1: note: declared here',
+      '/opt/other/b.c:1:1: error: outside mapping',
+    ], server, '/srv/proj');
+
+    expect(problems).toEqual([
+      { localPath: '/home/me/proj/a.c', remotePath: '/srv/proj/a.c', line: 10, column: 5, severity: 'error', message: 'expected \';\' before \'}\' token' },
+      { localPath: '/home/me/proj/a.c', remotePath: '/srv/proj/a.c', line: 3, column: 1, severity: 'warning', message: 'unused variable \'x\' [-Wunused-variable]' },
+      { localPath: '/home/me/proj/a.h', remotePath: '/srv/proj/a.h', line: 1, column: 1, severity: 'info', message: 'declared here' },
+    ]);
+    expect(unmapped).toEqual(['/opt/other/b.c']);
+  });
+
+  test('相对路径按 make 的目录切换解析', () => {
+    const { problems } = parseBuildOutput([
+      'make[1]: Entering directory \'/srv/proj/lib\'',
+      'util.c:4:2: error: boom',
+      'make[1]: Leaving directory \'/srv/proj/lib\'',
+      'main.c:8:1: error: bang',
+    ], server, '/srv/proj');
+
+    expect(problems.map(problem => problem.remotePath)).toEqual(['/srv/proj/lib/util.c', '/srv/proj/main.c']);
+  });
+
+  test('位置在严重程度之后的行给出（rustc）', () => {
+    const { problems } = parseBuildOutput([
+      'error[E0425]: cannot find value `x` in this scope',
+      ' --> src/main.rs:2:5',
+    ], server, '/srv/proj');
+
+    expect(problems).toEqual([expect.objectContaining({
+      remotePath: '/srv/proj/src/main.rs',
+      line: 2,
+      column: 5,
+      severity: 'error',
+      message: 'cannot find value `x` in this scope',
+    })]);
+  });
+
+  test('没有关键字的位置行默认作为错误，上下文行被忽略', () => {
+    const lines = [
+      'In file included from /srv/proj/inc.h:3:',
+      'main.go:12:3: undefined: foo',
+      '  File "/srv/proj/app.py", line 7, in <module>',
+    ];
+
+    const { problems } = parseBuildOutput(lines, server, '/srv/proj');
+
+    expect(problems).toEqual([
+      expect.objectContaining({ remotePath: '/srv/proj/main.go', line: 12, column: 3, severity: 'error', message: 'main.go:12:3: undefined: foo' }),
+      expect.objectContaining({ remotePath: '/srv/proj/app.py', line: 7, severity: 'error' }),
+    ]);
+  });
+
+  test('可以配置没有关键字的位置行的严重程度或忽略这些行', () => {
+    const lines = ['main.go:12:3: undefined: foo'];
+
+    expect(parseBuildOutput(lines, server, '/srv/proj', { defaultSeverity: 'warning' }).problems[0].severity).toBe('warning');
+    expect(parseBuildOutput(lines, server, '/srv/proj', { defaultSeverity: 'ignore' }).problems).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * credential-store 测试
+ */
+
+const credentialStore = require('../src/adapters/credential-store');
+
+/**
+ * 创建基于 Map 的 SecretStorage
+ * @returns {Object} - SecretStorage 和保存的值
+ */
+function createSecretStorage() {
+  const values = new Map();
+  return {
+    values,
+    get: jest.fn(async key => values.get(key)),
+    store: jest.fn(async (key, value) => { values.set(key, value); }),
+    delete: jest.fn(async key => { values.delete(key); }),
+  };
+}
+
+describe('credential-store', () => {
+  let secrets;
+
+  test('初始化之前不可用', async () => {
+    expect(credentialStore.isAvailable()).toBe(false);
+    await expect(credentialStore.getPassword('build')).resolves.toBeUndefined();
+    await expect(credentialStore.setPassword('build', 'secret')).resolves.toBe(false);
+    await expect(credentialStore.deletePassword('build')).resolves.toBe(false);
+  });
+
+  describe('初始化之后', () => {
+    beforeEach(() => {
+      secrets = createSecretStorage();
+      credentialStore.initialize({ secrets });
+    });
+
+    test('按服务器名称保存、读取和删除密码', async () => {
+      expect(credentialStore.isAvailable()).toBe(true);
+
+      await expect(credentialStore.setPassword('build', 'secret')).resolves.toBe(true);
+      expect(secrets.values.get('smartssh-smba.password.build')).toBe('secret');
+      await expect(credentialStore.getPassword('build')).resolves.toBe('secret');
+      await expect(credentialStore.hasPassword('build')).resolves.toBe(true);
+
+      await expect(credentialStore.deletePassword('build')).resolves.toBe(true);
+      await expect(credentialStore.hasPassword('build')).resolves.toBe(false);
+    });
+
+    test('参数无效时不访问存储', async () => {
+      await expect(credentialStore.setPassword('build', '')).resolves.toBe(false);
+      await expect(credentialStore.getPassword('')).resolves.toBeUndefined();
+      expect(secrets.store).not.toHaveBeenCalled();
+      expect(secrets.get).not.toHaveBeenCalled();
+    });
+
+    test('存储出错时返回失败而不是抛出异常', async () => {
+      secrets.get.mockRejectedValueOnce(new Error('keyring locked'));
+      secrets.store.mockRejectedValueOnce(new Error('keyring locked'));
+      secrets.delete.mockRejectedValueOnce(new Error('keyring locked'));
+
+      await expect(credentialStore.getPassword('build')).resolves.toBeUndefined();
+      await expect(credentialStore.setPassword('build', 'secret')).resolves.toBe(false);
+      await expect(credentialStore.deletePassword('build')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * 凭据管理命令测试
+ */
+
+jest.mock('../src/adapters/config-loader', () => ({
+  selectServer: jest.fn(),
+  patchServer: jest.fn(),
+  getPlaintextPasswordServers: jest.fn(),
+}));
+
+const vscode = require('vscode');
+const configLoader = require('../src/adapters/config-loader');
+const credentialStore = require('../src/adapters/credential-store');
+const { setServerPassword, clearServerPassword, migratePasswords } = require('../src/commands/credential');
+
+describe('凭据管理命令', () => {
+  let secrets;
+
+  beforeEach(() => {
+    secrets = new Map();
+    credentialStore.initialize({
+      secrets: {
+        get: async key => secrets.get(key),
+        store: async (key, value) => { secrets.set(key, value); },
+        delete: async key => { secrets.delete(key); },
+      },
+    });
+    configLoader.selectServer.mockReset();
+    configLoader.patchServer.mockReset().mockResolvedValue(true);
+    configLoader.getPlaintextPasswordServers.mockReset().mockReturnValue([]);
+  });
+
+  describe('setServerPassword', () => {
+    test('保存密码并清除设置中的明文密码', async () => {
+      configLoader.selectServer.mockResolvedValue({ name: 'build', username: 'me', host: 'h', password: 'old' });
+      vscode.window.showInputBox.mockResolvedValueOnce('new-secret');
+
+      await setServerPassword('build');
+
+      expect(secrets.get('smartssh-smba.password.build')).toBe('new-secret');
+      expect(configLoader.patchServer).toHaveBeenCalledWith('build', { password: undefined });
+      expect(vscode.window.showInformationMessage).toHaveBeenCalled();
+    });
+
+    test('取消输入时不保存', async () => {
+      configLoader.selectServer.mockResolvedValue({ name: 'build', username: 'me', host: 'h' });
+      vscode.window.showInputBox.mockResolvedValueOnce(undefined);
+
+      await setServerPassword('build');
+
+      expect(secrets.size).toBe(0);
+      expect(configLoader.patchServer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clearServerPassword', () => {
+    test('确认后清除安全存储和设置中的密码', async () => {
+      secrets.set('smartssh-smba.password.build', 'secret');
+      configLoader.selectServer.mockResolvedValue({ name: 'build', password: 'plain' });
+      vscode.window.showWarningMessage.mockResolvedValueOnce('确定');
+
+      await clearServerPassword('build');
+
+      expect(secrets.size).toBe(0);
+      expect(configLoader.patchServer).toHaveBeenCalledWith('build', { password: undefined });
+    });
+
+    test('没有保存密码时只提示', async () => {
+      configLoader.selectServer.mockResolvedValue({ name: 'build' });
+
+      await clearServerPassword('build');
+
+      expect(vscode.window.showWarningMessage).not.toHaveBeenCalled();
+      expect(vscode.window.showInformationMessage).toHaveBeenCalledWith('服务器 build 没有保存密码');
+    });
+  });
+
+  describe('migratePasswords', () => {
+    test('写入安全存储成功后才从设置中移除', async () => {
+      configLoader.getPlaintextPasswordServers.mockReturnValue([
+        { name: 'a', password: 'pa', workspace: false },
+        { name: 'b', password: 'pb', workspace: true },
+      ]);
+      configLoader.patchServer.mockImplementation(async name => name === 'a');
+
+      await expect(migratePasswords()).resolves.toBe(1);
+
+      expect(secrets.get('smartssh-smba.password.a')).toBe('pa');
+      expect(configLoader.patchServer).toHaveBeenCalledWith('b', { password: undefined }, true);
+      expect(vscode.window.showWarningMessage).toHaveBeenCalledWith('已迁移 1 个密码，以下服务器迁移失败: b');
+    });
+
+    test('没有明文密码时静默模式不提示', async () => {
+      await expect(migratePasswords(true)).resolves.toBe(0);
+      expect(vscode.window.showInformationMessage).not.toHaveBeenCalled();
+    });
+  });
+});
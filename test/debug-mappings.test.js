@@ -0,0 +1,63 @@
+/**
+ * debug-mappings 测试
+ */
+
+const { isSupportedDebugType, getDebugRoots, applyDebugPathMappings } = require('../src/utils/debug-mappings');
+
+describe('debug-mappings', () => {
+  const server = {
+    name: 'build',
+    pathMappings: [
+      { localPath: '/work/', remotePath: '/home/me/' },
+      { localPath: '/work/lib', remotePath: '/opt/lib' },
+      { localPath: '/logs/*.log', remotePath: '/var/log/*.log' },
+      { localPath: 'smartssh://build/etc', remotePath: '/etc' },
+    ],
+    remoteAliases: [{ from: '/mnt/raid/me/', to: '/home/me' }],
+  };
+
+  test('支持的调试器类型', () => {
+    expect(['cppdbg', 'lldb', 'debugpy', 'python'].every(isSupportedDebugType)).toBe(true);
+    expect(isSupportedDebugType('node')).toBe(false);
+    expect(isSupportedDebugType('constructor')).toBe(false);
+  });
+
+  test('只使用前缀映射，并加入别名的真实路径', () => {
+    expect(getDebugRoots(server)).toEqual([
+      { remoteRoot: '/home/me', localRoot: '/work' },
+      { remoteRoot: '/opt/lib', localRoot: '/work/lib' },
+      { remoteRoot: '/mnt/raid/me', localRoot: '/work' },
+    ]);
+  });
+
+  test('cppdbg 合并到 sourceFileMap，保留已有的映射', () => {
+    const config = { type: 'cppdbg', sourceFileMap: { '/home/me': '/custom' } };
+
+    expect(applyDebugPathMappings(config, server)).toBe(2);
+    expect(config.sourceFileMap).toEqual({
+      '/home/me': '/custom',
+      '/opt/lib': '/work/lib',
+      '/mnt/raid/me': '/work',
+    });
+  });
+
+  test('debugpy 合并到 pathMappings 数组', () => {
+    const config = { type: 'debugpy', pathMappings: [{ localRoot: '/custom', remoteRoot: '/opt/lib' }] };
+
+    expect(applyDebugPathMappings(config, server)).toBe(2);
+    expect(config.pathMappings.map(item => item.remoteRoot)).toEqual(['/opt/lib', '/home/me', '/mnt/raid/me']);
+  });
+
+  test('lldb 没有 sourceMap 时新建', () => {
+    const config = { type: 'lldb' };
+
+    expect(applyDebugPathMappings(config, { name: 'x', pathMappings: [{ localPath: 'Z:\\', remotePath: '/' }] })).toBe(1);
+    expect(config.sourceMap).toEqual({ '/': 'Z:\\' });
+  });
+
+  test('不支持的调试器类型不修改配置', () => {
+    const config = { type: 'node' };
+    expect(applyDebugPathMappings(config, server)).toBe(0);
+    expect(config).toEqual({ type: 'node' });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * link-patterns 测试
+ */
+
+const vscode = require('vscode');
+const configLoader = require('../src/adapters/config-loader');
+const { validateLinkPattern, compileLinkPatterns, getLinkPatterns } = require('../src/utils/link-patterns');
+
+describe('link-patterns', () => {
+  describe('validateLinkPattern', () => {
+    test('有效的模式返回null', () => {
+      expect(validateLinkPattern({ pattern: 'at (\\S+):(\\d+)', lineGroup: 2 })).toBeNull();
+    });
+
+    test.each([
+      [{}, '缺少 pattern'],
+      [{ pattern: 'a(', pathGroup: 1 }, '无效的正则表达式'],
+      [{ pattern: '(a)', flags: 'g' }, '无效的 flags'],
+      [{ pattern: 'abc' }, 'pathGroup 1 超出捕获组范围'],
+      [{ pattern: '(a)', lineGroup: 2 }, 'lineGroup 2 超出捕获组范围'],
+    ])('%j 无效', (entry, message) => {
+      expect(validateLinkPattern(entry)).toContain(message);
+    });
+  });
+
+  describe('compileLinkPatterns', () => {
+    test('编译后的模式按配置的捕获组返回路径、行号和列号', () => {
+      const [compiled] = compileLinkPatterns([
+        { name: 'msbuild', pattern: '(\\S+)\\((\\d+),(\\d+)\\)', lineGroup: 2, columnGroup: 3 },
+      ], '测试');
+
+      const match = compiled.pattern.exec('src/a.cs(12,5): error');
+      expect(compiled.pattern.flags).toContain('g');
+      expect(compiled.resolve(match)).toEqual(['src/a.cs(12,5)', 'src/a.cs', '12', '5']);
+    });
+
+    test('忽略无效的模式并且同一错误只提示一次', () => {
+      const entries = [{ name: 'broken', pattern: '(' }, { pattern: '(ok)' }];
+
+      expect(compileLinkPatterns(entries, '重复')).toHaveLength(1);
+      expect(compileLinkPatterns(entries, '重复')).toHaveLength(1);
+      expect(vscode.window.showWarningMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('不是数组时返回空列表', () => {
+      expect(compileLinkPatterns(undefined, '测试')).toEqual([]);
+    });
+  });
+
+  test('getLinkPatterns 中服务器的模式在设置的模式之前', () => {
+    vscode.__setConfiguration({
+      'smartssh-smba': { config: { linkPatterns: [{ name: 'global', pattern: 'g:(\\S+)' }] } },
+    });
+    configLoader.refreshCache();
+
+    const patterns = getLinkPatterns({ name: 'build', linkPatterns: [{ name: 'server', pattern: 's:(\\S+)' }] });
+
+    expect(patterns.map(pattern => pattern.name)).toEqual(['server', 'global']);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * vscode 模块的模拟
+ * 只实现被测试模块加载和运行时用到的接口，配置通过 __setConfiguration 设置
+ */
+
+// 各配置节的配置值，例如 { 'smartssh-smba': { config: {...} } }
+let configuration = {};
+
+/**
+ * 设置模拟的配置
+ * @param {Object} values - 配置节到配置值的映射
+ */
+function __setConfiguration(values) {
+  configuration = values || {};
+}
+
+/**
+ * 创建一个什么都不做的事件
+ * @returns {Function} - 订阅函数，返回可释放的对象
+ */
+function createEvent() {
+  return () => ({ dispose: () => {} });
+}
+
+class Uri {
+  constructor(scheme, authority, path, query = '', fragment = '') {
+    this.scheme = scheme;
+    this.authority = authority;
+    this.path = path;
+    this.query = query;
+    this.fragment = fragment;
+    this.fsPath = path;
+  }
+
+  static file(fsPath) {
+    return new Uri('file', '', fsPath.replace(/\\/g, '/'));
+  }
+
+  static from({ scheme, authority = '', path = '', query = '', fragment = '' }) {
+    return new Uri(scheme, authority, path, query, fragment);
+  }
+
+  static parse(value) {
+    const match = String(value).match(/^([\w+.-]+):\/\/([^/]*)(.*)$/);
+    return match ? new Uri(match[1], match[2], match[3] || '/') : Uri.file(value);
+  }
+
+  toString() {
+    return this.scheme === 'file' ? `file://${this.path}` : `${this.scheme}://${this.authority}${this.path}`;
+  }
+}
+
+class EventEmitter {
+  constructor() {
+    this.listeners = [];
+    this.event = listener => {
+      this.listeners.push(listener);
+      return { dispose: () => { this.listeners = this.listeners.filter(l => l !== listener); } };
+    };
+  }
+
+  fire(data) {
+    this.listeners.forEach(listener => listener(data));
+  }
+
+  dispose() {
+    this.listeners = [];
+  }
+}
+
+class CancellationTokenSource {
+  constructor() {
+    const emitter = new EventEmitter();
+    this.emitter = emitter;
+    this.token = { isCancellationRequested: false, onCancellationRequested: emitter.event };
+  }
+
+  cancel() {
+    this.token.isCancellationRequested = true;
+    this.emitter.fire();
+  }
+
+  dispose() {
+    this.emitter.dispose();
+  }
+}
+
+class Task {
+  constructor(definition, scope, name, source, execution) {
+    this.definition = definition;
+    this.scope = scope;
+    this.name = name;
+    this.source = source;
+    this.execution = execution;
+  }
+}
+
+class CustomExecution {
+  constructor(callback) {
+    this.callback = callback;
+  }
+}
+
+const window = {
+  activeTextEditor: undefined,
+  activeTerminal: undefined,
+  terminals: [],
+  createOutputChannel: () => ({
+    appendLine: () => {},
+    append: () => {},
+    clear: () => {},
+    show: () => {},
+    dispose: () => {},
+  }),
+  showInformationMessage: jest.fn(() => Promise.resolve(undefined)),
+  showWarningMessage: jest.fn(() => Promise.resolve(undefined)),
+  showErrorMessage: jest.fn(() => Promise.resolve(undefined)),
+  showQuickPick: jest.fn(() => Promise.resolve(undefined)),
+  showInputBox: jest.fn(() => Promise.resolve(undefined)),
+  onDidCloseTerminal: createEvent(),
+  onDidChangeActiveTerminal: createEvent(),
+};
+
+const workspace = {
+  isTrusted: true,
+  workspaceFolders: undefined,
+  getConfiguration: section => {
+    const values = configuration[section] || {};
+    return {
+      get: (key, defaultValue) => (key in values ? values[key] : defaultValue),
+      has: key => key in values,
+      inspect: key => ({ key, globalValue: values[key] }),
+      update: () => Promise.resolve(),
+    };
+  },
+  getWorkspaceFolder: () => undefined,
+  createFileSystemWatcher: () => ({
+    onDidCreate: createEvent(),
+    onDidChange: createEvent(),
+    onDidDelete: createEvent(),
+    dispose: () => {},
+  }),
+  onDidChangeConfiguration: createEvent(),
+  onDidChangeWorkspaceFolders: createEvent(),
+  onDidGrantWorkspaceTrust: createEvent(),
+};
+
+module.exports = {
+  __setConfiguration,
+  Uri,
+  window,
+  workspace,
+  EventEmitter,
+  CancellationTokenSource,
+  Task,
+  CustomExecution,
+  TaskScope: { Global: 1, Workspace: 2 },
+  tasks: {
+    registerTaskProvider: jest.fn(() => ({ dispose: () => {} })),
+  },
+  commands: {
+    executeCommand: jest.fn(() => Promise.resolve(undefined)),
+    registerCommand: () => ({ dispose: () => {} }),
+  },
+  ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+  DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+};
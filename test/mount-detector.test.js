@@ -0,0 +1,113 @@
+/**
+ * mount-detector 测试
+ */
+
+const {
+  parseLinuxMounts,
+  parseMacMounts,
+  parseWindowsMounts,
+  parseSambaShares,
+  resolveShareRemotePath,
+  isMountOfServer,
+} = require('../src/utils/mount-detector');
+
+describe('mount-detector', () => {
+  test('parseLinuxMounts 只解析 SMB 挂载并还原八进制转义', () => {
+    const content = [
+      '/dev/sda1 / ext4 rw 0 0',
+      '//nas/my\\040share/sub /mnt/my\\040nas cifs rw 0 0',
+      '//10.0.0.5/data /mnt/data smb3 rw 0 0',
+    ].join('\n');
+
+    expect(parseLinuxMounts(content)).toEqual([
+      { localPath: '/mnt/my nas', host: 'nas', share: 'my share', subPath: '/sub' },
+      { localPath: '/mnt/data', host: '10.0.0.5', share: 'data', subPath: '' },
+    ]);
+  });
+
+  describe('parseMacMounts', () => {
+    test('解析 smbfs 挂载并解码共享名称', () => {
+      const output = [
+        '/dev/disk1s1 on / (apfs, local, journaled)',
+        '//me@NAS.local/my%20share on /Volumes/my share (smbfs, nodev, nosuid, mounted by me)',
+      ].join('\n');
+
+      expect(parseMacMounts(output)).toEqual([
+        { localPath: '/Volumes/my share', host: 'nas.local', share: 'my share', subPath: '' },
+      ]);
+    });
+
+    test('格式不正确的转义不影响其他挂载', () => {
+      const output = [
+        '//me@nas/100%done on /Volumes/done (smbfs)',
+        '//me@nas/data on /Volumes/data (smbfs)',
+      ].join('\n');
+
+      expect(parseMacMounts(output).map(mount => mount.share)).toEqual(['100%done', 'data']);
+    });
+  });
+
+  test('parseWindowsMounts 保留共享名称中的空格', () => {
+    const output = [
+      'New connections will be remembered.',
+      '',
+      'Status       Local     Remote                    Network',
+      '-------------------------------------------------------------------------------',
+      'OK           Z:        \\\\nas\\share               Microsoft Windows Network',
+      'OK           Y:        \\\\nas\\other dir           Microsoft Windows Network',
+      'Disconnected X:        \\\\nas\\a very long share name\\sub',
+      '                                                Microsoft Windows Network',
+      'The command completed successfully.',
+    ].join('\r\n');
+
+    expect(parseWindowsMounts(output)).toEqual([
+      { localPath: 'Z:\\', host: 'nas', share: 'share', subPath: '' },
+      { localPath: 'Y:\\', host: 'nas', share: 'other dir', subPath: '' },
+      { localPath: 'X:\\', host: 'nas', share: 'a very long share name', subPath: '/sub' },
+    ]);
+  });
+
+  test('parseSambaShares 忽略 global 和打印机配置节', () => {
+    const shares = parseSambaShares([
+      '[global]',
+      '  workgroup = WORKGROUP',
+      '# 注释',
+      '[Projects]',
+      '  path = /srv/projects ',
+      '[homes]',
+      '  browseable = no',
+      '[printers]',
+      '  path = /var/spool/samba',
+    ].join('\n'));
+
+    expect([...shares]).toEqual([['projects', '/srv/projects'], ['homes', null]]);
+  });
+
+  describe('resolveShareRemotePath', () => {
+    const shares = new Map([
+      ['projects', '/srv/projects/'],
+      ['users', '/home/%U'],
+      ['homes', null],
+    ]);
+    const remoteUser = { username: 'alice', home: '/home/alice' };
+
+    test('替换共享路径中的变量并拼接子目录', () => {
+      expect(resolveShareRemotePath({ share: 'Projects', subPath: '/app' }, shares, remoteUser)).toBe('/srv/projects/app');
+      expect(resolveShareRemotePath({ share: 'users', subPath: '' }, shares, remoteUser)).toBe('/home/alice');
+    });
+
+    test('与用户名相同的共享由 homes 提供', () => {
+      expect(resolveShareRemotePath({ share: 'alice', subPath: '/src' }, shares, remoteUser)).toBe('/home/alice/src');
+    });
+
+    test('未知的共享返回null', () => {
+      expect(resolveShareRemotePath({ share: 'unknown', subPath: '' }, shares, remoteUser)).toBeNull();
+    });
+  });
+
+  test('isMountOfServer 比较完整主机名和短主机名', () => {
+    expect(isMountOfServer({ host: 'build' }, { host: 'Build.example.com' })).toBe(true);
+    expect(isMountOfServer({ host: '10.0.0.5' }, { host: '10.0.0.5' })).toBe(true);
+    expect(isMountOfServer({ host: '10.0.0.6' }, { host: '10.0.0.5' })).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * path-mapping-rules 测试
+ */
+
+const {
+  toSlashPath,
+  toComparableLocalPath,
+  getMappingKind,
+  validatePathMapping,
+  applyPathMapping,
+  checkRoundTrip,
+  sortPathMappings,
+  findAmbiguousMappings,
+} = require('../src/utils/path-mapping-rules');
+
+describe('path-mapping-rules', () => {
+  describe('toSlashPath', () => {
+    test.each([
+      ['C:\\work\\project\\', 'C:/work/project'],
+      ['c:/', 'C:/'],
+      ['/srv//app/', '/srv/app'],
+      ['\\\\nas\\share\\dir', '//nas/share/dir'],
+      ['\\\\?\\C:\\long\\path', 'C:/long/path'],
+      ['\\\\?\\UNC\\nas\\share', '//nas/share'],
+      ['smartssh://build/srv//app', 'smartssh://build/srv/app'],
+    ])('%s → %s', (input, expected) => {
+      expect(toSlashPath(input)).toBe(expected);
+    });
+  });
+
+  test('UNC 路径的服务器和共享名称总是不区分大小写', () => {
+    expect(toComparableLocalPath('//NAS/Share/Dir', true)).toBe('//nas/share/Dir');
+    expect(toComparableLocalPath('//NAS/Share/Dir', false)).toBe('//nas/share/dir');
+  });
+
+  test('识别映射类型', () => {
+    expect(getMappingKind({ localPath: '/a', remotePath: '/b' })).toBe('prefix');
+    expect(getMappingKind({ localPath: '/a/*', remotePath: '/b/*' })).toBe('glob');
+    expect(getMappingKind({ match: '^/b', replace: '/a' })).toBe('regex');
+  });
+
+  describe('validatePathMapping', () => {
+    test('缺少路径或正则时返回错误', () => {
+      expect(validatePathMapping({ localPath: '/a' }).error).toBeTruthy();
+      expect(validatePathMapping({ match: '^/b' }).error).toBeTruthy();
+      expect(validatePathMapping({ match: '(', replace: '/a' }).error).toMatch('无效的正则表达式');
+    });
+
+    test('只能单向转换的映射返回警告', () => {
+      expect(validatePathMapping({ match: '/b', replace: '/a' }).warning).toBeTruthy();
+      expect(validatePathMapping({ localPath: '/a/*', remotePath: '/b' }).warning).toBeTruthy();
+      expect(validatePathMapping({ localPath: '/a/*', remotePath: '/b/*' })).toEqual({ error: null, warning: null });
+    });
+  });
+
+  describe('applyPathMapping', () => {
+    test('通配符映射按路径段转换两个方向', () => {
+      const mapping = { localPath: '/home/me/*/src', remotePath: '/srv/*/code' };
+
+      expect(applyPathMapping(mapping, '/srv/app/code/main.c', 'toLocal')).toBe('/home/me/app/src/main.c');
+      expect(applyPathMapping(mapping, '/home/me/app/src/main.c', 'toRemote')).toBe('/srv/app/code/main.c');
+      expect(applyPathMapping(mapping, '/srv/app/other/main.c', 'toLocal')).toBeNull();
+    });
+
+    test('通配符只在路径段边界结束匹配', () => {
+      const mapping = { localPath: '/l/*', remotePath: '/r/*' };
+      expect(applyPathMapping(mapping, '/rx/a', 'toLocal')).toBeNull();
+    });
+
+    test('按映射的 caseSensitive 比较本地路径', () => {
+      const insensitive = { localPath: 'C:/Work/*', remotePath: '/srv/*', caseSensitive: false };
+      const sensitive = { ...insensitive, caseSensitive: true };
+
+      expect(applyPathMapping(insensitive, 'c:\\work\\app\\a.c', 'toRemote')).toBe('/srv/app/a.c');
+      expect(applyPathMapping(sensitive, 'c:\\work\\app\\a.c', 'toRemote')).toBeNull();
+    });
+
+    test('正则映射使用 reverseMatch 反向转换', () => {
+      const mapping = {
+        match: '/home/([^/]+)/proj',
+        replace: 'D:/users/$1',
+        reverseMatch: 'D:/users/([^/]+)',
+        reverseReplace: '/home/$1/proj',
+      };
+
+      expect(applyPathMapping(mapping, '/home/alice/proj/x.c', 'toLocal')).toBe('D:/users/alice/x.c');
+      expect(applyPathMapping(mapping, 'D:/users/alice/x.c', 'toRemote')).toBe('/home/alice/proj/x.c');
+    });
+
+    test('没有反向规则时返回null', () => {
+      expect(applyPathMapping({ match: '/b', replace: '/a' }, '/a/x', 'toRemote')).toBeNull();
+    });
+  });
+
+  test('checkRoundTrip 检查能否转换回原路径', () => {
+    const lossy = {
+      match: '/(a|b)',
+      replace: '/local',
+      reverseMatch: '/local',
+      reverseReplace: '/a',
+    };
+
+    expect(checkRoundTrip(lossy, '/a/x', '/local/x', 'toLocal')).toBe(true);
+    expect(checkRoundTrip(lossy, '/b/x', '/local/x', 'toLocal')).toBe(false);
+  });
+
+  test('sortPathMappings 按优先级和具体程度排序，相同时保持配置顺序', () => {
+    const general = { localPath: '/l', remotePath: '/r' };
+    const specific = { localPath: '/l/sub', remotePath: '/r/sub' };
+    const preferred = { localPath: '/x', remotePath: '/y', priority: 10 };
+    const same = { localPath: '/m', remotePath: '/r' };
+
+    expect(sortPathMappings([general, specific, same, preferred], 'toLocal'))
+      .toEqual([preferred, specific, general, same]);
+  });
+
+  test('findAmbiguousMappings 只报告无法区分先后的重叠映射', () => {
+    const first = { localPath: '/l/a', remotePath: '/r/*' };
+    const second = { localPath: '/l/b', remotePath: '/r/x' };
+    const prioritized = { localPath: '/l/c', remotePath: '/r/*', priority: 1 };
+    const duplicate = { ...first, localPath: '/l/d' };
+
+    expect(findAmbiguousMappings([first, second, prioritized])).toEqual([]);
+    expect(findAmbiguousMappings([first, duplicate])).toEqual([{ first, second: duplicate, direction: 'toLocal' }]);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * path-utils 测试
+ */
+
+const { findPotentialPaths } = require('../src/utils/path-utils');
+
+/**
+ * 提取识别结果中用于断言的字段
+ * @param {string} text - 终端输出
+ * @param {Array} [extraPatterns] - 额外的模式
+ * @returns {Array} - [{ type, path, line, column }]
+ */
+function find(text, extraPatterns) {
+  return findPotentialPaths(text, extraPatterns).map(({ type, path, line, column }) => ({ type, path, line, column }));
+}
+
+describe('findPotentialPaths', () => {
+  test.each([
+    [
+      'python',
+      '  File "/srv/app/views.py", line 42, in index',
+      { type: 'python', path: '/srv/app/views.py', line: 42, column: undefined },
+    ],
+    [
+      'rust 编译错误',
+      'error[E0425]: cannot find value\n --> src/main.rs:10:5',
+      { type: 'rust', path: 'src/main.rs', line: 10, column: 5 },
+    ],
+    [
+      'rust panic',
+      'thread \'main\' panicked at src/lib.rs:7:9:',
+      { type: 'rust', path: 'src/lib.rs', line: 7, column: 9 },
+    ],
+    [
+      'go 编译错误',
+      './cmd/main.go:12:3: undefined: foo',
+      { type: 'go', path: './cmd/main.go', line: 12, column: 3 },
+    ],
+    [
+      'go panic 堆栈',
+      '\t/app/server/handler.go:42 +0x1d',
+      { type: 'go', path: '/app/server/handler.go', line: 42, column: undefined },
+    ],
+    [
+      'java 堆栈',
+      '\tat com.example.web.UserController.show(UserController.java:88)',
+      { type: 'java', path: 'com/example/web/UserController.java', line: 88, column: undefined },
+    ],
+    [
+      'node 堆栈',
+      '    at handler (/srv/app/index.js:3:7)',
+      { type: 'node', path: '/srv/app/index.js', line: 3, column: 7 },
+    ],
+    [
+      'node ESM 堆栈',
+      '    at file:///srv/app/my%20lib.mjs:5:1',
+      { type: 'node', path: '/srv/app/my lib.mjs', line: 5, column: 1 },
+    ],
+  ])('识别 %s', (name, text, expected) => {
+    expect(find(text)).toEqual([expected]);
+  });
+
+  test('与更具体的格式重叠的匹配被忽略', () => {
+    // python 模式已匹配的路径不会再被 unix 模式重复识别
+    expect(find('File "/srv/app/x.py", line 1').map(result => result.type)).toEqual(['python']);
+    // node 模式已匹配的范围被跳过，其余路径仍由 unix 模式识别
+    expect(find('at /srv/a.js:1:2 and /srv/b.txt:3')).toEqual([
+      { type: 'node', path: '/srv/a.js', line: 1, column: 2 },
+      { type: 'unix', path: '/srv/b.txt', line: 3, column: undefined },
+    ]);
+  });
+
+  test('额外的模式优先于内置模式', () => {
+    const extra = {
+      pattern: /LOG\[(\/\S+)#(\d+)\]/g,
+      type: 'custom',
+    };
+    expect(find('LOG[/var/app/a.c#9]', [extra])).toEqual([
+      { type: 'custom', path: '/var/app/a.c', line: 9, column: undefined },
+    ]);
+  });
+
+  test('跳过 URL 中的路径', () => {
+    expect(find('see https://example.com/docs/a.html')).toEqual([]);
+  });
+
+  test('匹配空字符串的模式不会死循环', () => {
+    const empty = { pattern: /(x*)/g, type: 'empty' };
+    expect(find('/srv/a.c:1', [empty])).toEqual([
+      { type: 'unix', path: '/srv/a.c', line: 1, column: undefined },
+    ]);
+  });
+});
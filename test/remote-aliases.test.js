@@ -0,0 +1,52 @@
+/**
+ * remote-aliases 测试
+ */
+
+const {
+  getRemoteAliases,
+  applyRemoteAliases,
+  hasResolvedAliases,
+  setResolvedAliases,
+  clearResolvedAliases,
+} = require('../src/utils/remote-aliases');
+
+describe('remote-aliases', () => {
+  const server = {
+    name: 'build',
+    remoteAliases: [
+      { from: '/mnt/raid/users/me', to: '/work' },
+      { from: '/mnt/raid', to: '/raid' },
+      { from: 'relative', to: '/ignored' },
+    ],
+  };
+
+  afterEach(() => {
+    clearResolvedAliases();
+  });
+
+  test('忽略格式不正确的别名', () => {
+    expect(getRemoteAliases(server)).toHaveLength(2);
+    expect(getRemoteAliases(null)).toEqual([]);
+  });
+
+  test('使用 from 最长的别名并保留结尾的斜杠', () => {
+    expect(applyRemoteAliases('/mnt/raid/users/me/src/a.c', server)).toBe('/work/src/a.c');
+    expect(applyRemoteAliases('/mnt/raid/other/', server)).toBe('/raid/other/');
+    expect(applyRemoteAliases('/mnt/raid/users/me', server)).toBe('/work');
+  });
+
+  test('只在路径段边界匹配', () => {
+    expect(applyRemoteAliases('/mnt/raid2/a', server)).toBeNull();
+  });
+
+  test('使用 realpath 查询得到的别名', () => {
+    expect(hasResolvedAliases('plain')).toBe(false);
+    setResolvedAliases('plain', [{ from: '/data/real', to: '/data/link' }]);
+
+    expect(hasResolvedAliases('plain')).toBe(true);
+    expect(applyRemoteAliases('/data/real/x', { name: 'plain' })).toBe('/data/link/x');
+
+    clearResolvedAliases();
+    expect(applyRemoteAliases('/data/real/x', { name: 'plain' })).toBeNull();
+  });
+});
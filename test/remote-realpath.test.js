@@ -0,0 +1,65 @@
+/**
+ * remote-realpath 测试
+ */
+
+jest.mock('../src/services/remote-runner', () => ({
+  runRemoteCommand: jest.fn(),
+}));
+
+const { runRemoteCommand } = require('../src/services/remote-runner');
+const { resolveRemoteRealPaths, convertRemotePathToLocalResolved } = require('../src/services/remote-realpath');
+const { clearResolvedAliases, hasResolvedAliases } = require('../src/utils/remote-aliases');
+
+describe('remote-realpath', () => {
+  const server = {
+    name: 'build',
+    pathMappings: [{ localPath: '/work', remotePath: '/home/me/work' }],
+  };
+
+  /**
+   * 模拟远程 realpath 的输出
+   * @param {string} realPath - 真实路径
+   */
+  function mockRealPath(realPath) {
+    runRemoteCommand.mockImplementation(async (target, command, options) => {
+      options.onLine(`SMARTSSH_REALPATH 0 ${realPath}`);
+      return { exitCode: 0, cancelled: false, sshFailed: false };
+    });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    clearResolvedAliases();
+    runRemoteCommand.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('记录符号链接目录的真实路径并用于转换', async () => {
+    mockRealPath('/mnt/raid/me/work');
+
+    await expect(convertRemotePathToLocalResolved('/mnt/raid/me/work/a.c', server)).resolves.toBe('/work/a.c');
+    await expect(resolveRemoteRealPaths(server)).resolves.toBe(false);
+    expect(runRemoteCommand).toHaveBeenCalledTimes(1);
+  });
+
+  test('查询失败时不缓存结果，一段时间后重新查询', async () => {
+    const failing = { ...server, name: 'flaky' };
+    runRemoteCommand.mockResolvedValue({ exitCode: 255, cancelled: false, sshFailed: true });
+
+    await expect(resolveRemoteRealPaths(failing)).resolves.toBe(false);
+    expect(hasResolvedAliases('flaky')).toBe(false);
+
+    // 重试间隔内不重新连接
+    await expect(resolveRemoteRealPaths(failing)).resolves.toBe(false);
+    expect(runRemoteCommand).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(60000);
+    mockRealPath('/mnt/raid/me/work');
+    await expect(resolveRemoteRealPaths(failing)).resolves.toBe(true);
+    expect(runRemoteCommand).toHaveBeenCalledTimes(2);
+    expect(hasResolvedAliases('flaky')).toBe(true);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * remote-uri 测试
+ */
+
+const vscode = require('vscode');
+const {
+  isRemoteUriPath,
+  parseRemoteUriPath,
+  getRemotePathOfUri,
+  buildRemoteUri,
+  toMappingPath,
+  toEditorUri,
+} = require('../src/utils/remote-uri');
+
+describe('remote-uri', () => {
+  describe('parseRemoteUriPath', () => {
+    test('解析服务器名称和远程路径', () => {
+      expect(parseRemoteUriPath('smartssh://build/home/me/a.c')).toEqual({ serverName: 'build', remotePath: '/home/me/a.c' });
+      expect(parseRemoteUriPath('SMARTSSH://build')).toEqual({ serverName: 'build', remotePath: '/' });
+    });
+
+    test('/~ 开头的路径表示用户主目录', () => {
+      expect(parseRemoteUriPath('smartssh://build/~/src').remotePath).toBe('~/src');
+      expect(parseRemoteUriPath('smartssh://build/~').remotePath).toBe('~');
+      expect(parseRemoteUriPath('smartssh://build/~other/src').remotePath).toBe('/~other/src');
+    });
+
+    test('解码编码过的部分，未编码的文本原样返回', () => {
+      expect(parseRemoteUriPath('smartssh://%E5%BC%80%E5%8F%91/a%20b')).toEqual({ serverName: '开发', remotePath: '/a b' });
+      expect(parseRemoteUriPath('smartssh://开发/100%/x')).toEqual({ serverName: '开发', remotePath: '/100%/x' });
+    });
+
+    test('不是远程 URI 时返回null', () => {
+      expect(parseRemoteUriPath('/home/me')).toBeNull();
+      expect(parseRemoteUriPath('file:///home/me')).toBeNull();
+      expect(parseRemoteUriPath(undefined)).toBeNull();
+      expect(isRemoteUriPath('smartssh://build/x')).toBe(true);
+      expect(isRemoteUriPath('Z:\\smartssh')).toBe(false);
+    });
+  });
+
+  test('buildRemoteUri 和 getRemotePathOfUri 保留用户主目录', () => {
+    const uri = buildRemoteUri('build', '~/src/a.c');
+    expect(uri.scheme).toBe('smartssh');
+    expect(uri.authority).toBe('build');
+    expect(uri.path).toBe('/~/src/a.c');
+    expect(getRemotePathOfUri(uri)).toBe('~/src/a.c');
+    expect(getRemotePathOfUri(buildRemoteUri('build', '/etc/hosts'))).toBe('/etc/hosts');
+  });
+
+  describe('toMappingPath', () => {
+    test('远程文件使用未编码的 smartssh:// 字符串', () => {
+      expect(toMappingPath(buildRemoteUri('开发', '/a b/c.txt'))).toBe('smartssh://开发/a b/c.txt');
+    });
+
+    test('本地文件使用文件系统路径', () => {
+      expect(toMappingPath(vscode.Uri.file('/work/a.c'))).toBe('/work/a.c');
+    });
+  });
+
+  describe('toEditorUri', () => {
+    test('smartssh:// 字符串转换为远程 URI', () => {
+      const uri = toEditorUri('smartssh://build/~/a.c');
+      expect(uri.scheme).toBe('smartssh');
+      expect(uri.authority).toBe('build');
+      expect(uri.path).toBe('/~/a.c');
+    });
+
+    test('本地路径转换为文件 URI，与 toMappingPath 互逆', () => {
+      const uri = toEditorUri('/work/a.c');
+      expect(uri.scheme).toBe('file');
+      expect(toMappingPath(uri)).toBe('/work/a.c');
+      expect(toMappingPath(toEditorUri('smartssh://build/x y'))).toBe('smartssh://build/x y');
+    });
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * 测试环境设置
+ * 屏蔽日志输出，每个测试前清空模拟的配置和调用记录
+ */
+
+const vscode = require('vscode');
+
+for (const method of ['log', 'debug', 'info', 'warn', 'error']) {
+  jest.spyOn(console, method).mockImplementation(() => {});
+}
+
+beforeEach(() => {
+  vscode.__setConfiguration({});
+  vscode.window.showWarningMessage.mockClear();
+  vscode.window.showErrorMessage.mockClear();
+  vscode.window.showInformationMessage.mockClear();
+});
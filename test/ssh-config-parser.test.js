@@ -0,0 +1,128 @@
+/**
+ * ssh-config-parser 测试
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { matchHostPatterns, parseSshConfig, toServerConfig } = require('../src/utils/ssh-config-parser');
+
+describe('ssh-config-parser', () => {
+  let tempDir;
+
+  /**
+   * 在临时目录中写入配置文件
+   * @param {string} name - 文件名
+   * @param {string} content - 文件内容
+   * @returns {string} - 文件路径
+   */
+  function writeConfig(name, content) {
+    const filePath = path.join(tempDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartssh-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('matchHostPatterns', () => {
+    test('支持通配符并且不区分大小写', () => {
+      expect(matchHostPatterns('Build-01', ['build-*'])).toBe(true);
+      expect(matchHostPatterns('db1', ['db?'])).toBe(true);
+      expect(matchHostPatterns('db10', ['db?'])).toBe(false);
+    });
+
+    test('否定模式匹配时整体不匹配', () => {
+      expect(matchHostPatterns('build-test', ['build-*', '!build-test'])).toBe(false);
+      expect(matchHostPatterns('build-01', ['build-*', '!build-test'])).toBe(true);
+    });
+  });
+
+  describe('parseSshConfig', () => {
+    test('只导出具体主机，首个出现的值生效并合并通配符块', () => {
+      const configPath = writeConfig('config', [
+        '# 注释',
+        'Host web "db server"',
+        '  HostName 10.0.0.1',
+        '  User=deploy',
+        '  Port 2222',
+        'Host *.internal !bastion.internal',
+        '  User ignored',
+        'Host web',
+        '  HostName ignored',
+        'Host *',
+        '  IdentityFile ~/.ssh/id_ed25519',
+      ].join('\n'));
+
+      const hosts = parseSshConfig(configPath);
+
+      expect(hosts.map(host => host.alias)).toEqual(['web', 'db server']);
+      expect(hosts[0].options).toEqual({
+        hostname: ['10.0.0.1'],
+        user: ['deploy'],
+        port: ['2222'],
+        identityfile: ['~/.ssh/id_ed25519'],
+      });
+    });
+
+    test('展开 Include 的文件，忽略 Match 块', () => {
+      writeConfig('conf.d/a.conf', 'Host included\n  HostName 10.0.0.2\n');
+      writeConfig('conf.d/b.txt', 'Host skipped\n');
+      const configPath = writeConfig('config', [
+        `Include ${path.join(tempDir, 'conf.d', '*.conf')}`,
+        'Match host included',
+        '  User matched',
+        'Host direct',
+        '  User direct',
+      ].join('\n'));
+
+      const hosts = parseSshConfig(configPath);
+
+      expect(hosts.map(host => host.alias)).toEqual(['included', 'direct']);
+      expect(hosts[0].options.user).toBeUndefined();
+    });
+
+    test('配置文件不存在时返回空列表', () => {
+      expect(parseSshConfig(path.join(tempDir, 'missing'))).toEqual([]);
+    });
+  });
+
+  describe('toServerConfig', () => {
+    test('转换主机名、用户、端口、私钥和跳板机', () => {
+      const server = toServerConfig({
+        alias: 'web',
+        options: {
+          hostname: ['%n.example.com'],
+          user: ['deploy'],
+          port: ['2222'],
+          identityfile: ['~/.ssh/%h.key'],
+          proxyjump: ['ssh://jump1, jump2'],
+        },
+      });
+
+      expect(server).toEqual({
+        name: 'web',
+        host: 'web.example.com',
+        username: 'deploy',
+        port: 2222,
+        privateKey: path.join(os.homedir(), '.ssh', 'web.example.com.key'),
+        jumpHosts: ['jump1', 'jump2'],
+      });
+    });
+
+    test('默认端口、IdentityFile none 和 ProxyJump none 不写入配置', () => {
+      const server = toServerConfig({
+        alias: 'plain',
+        options: { user: ['me'], port: ['22'], identityfile: ['none'], proxyjump: ['none'] },
+      });
+
+      expect(server).toEqual({ name: 'plain', host: 'plain', username: 'me' });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * ssh-prompt-watcher 测试
+ */
+
+const vscode = require('vscode');
+const { detectPrompt, stripAnsi, parseRemoteCwd, watchSshPrompts } = require('../src/services/ssh-prompt-watcher');
+
+/**
+ * 创建按顺序输出给定内容的命令执行对象
+ * @param {string[]} chunks - 输出内容
+ * @returns {Object} - 命令执行对象
+ */
+function createExecution(chunks) {
+  return {
+    read: async function* read() {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    },
+  };
+}
+
+describe('ssh-prompt-watcher', () => {
+  describe('detectPrompt', () => {
+    test.each([
+      ['me@host\'s password: ', 'password'],
+      ['(me@host) Password:', 'password'],
+      ['Enter passphrase for key \'/home/me/.ssh/id_rsa\': ', 'passphrase'],
+      ['Are you sure you want to continue connecting (yes/no/[fingerprint])? ', 'hostKey'],
+      ['@@@\nWARNING: REMOTE HOST IDENTIFICATION HAS CHANGED!\n', 'hostKeyChanged'],
+      ['me@host: Permission denied (publickey,password).', 'authFailed'],
+      ['ssh: connect to host x port 22: Connection refused', 'connectionFailed'],
+      ['Last login: Mon Oct 19 08:00:00 2026 from 10.0.0.1', 'loggedIn'],
+    ])('%j → %s', (text, type) => {
+      expect(detectPrompt(text).type).toBe(type);
+    });
+
+    test('不应答 sudo 的密码提示', () => {
+      expect(detectPrompt('[sudo] password for me: ')).toBeNull();
+    });
+
+    test('输出中间出现的 password 不是提示', () => {
+      expect(detectPrompt('Changing password: done\nme@host:~$ ')).toBeNull();
+      expect(detectPrompt('password: ok\nnext line')).toBeNull();
+    });
+
+    test('提示符字符不作为登录依据', () => {
+      expect(detectPrompt('Authorized users only >\n# notice\n$ ')).toBeNull();
+    });
+  });
+
+  test('stripAnsi 去除颜色和 OSC 序列', () => {
+    expect(stripAnsi('\x1b[1;32mok\x1b[0m\r\n\x1b]0;title\x07$ ')).toBe('ok\n$ ');
+  });
+
+  describe('watchSshPrompts', () => {
+    const server = { name: 'build', password: 'secret' };
+
+    test('密码提示出现后发送密码，之后的输出视为已登录', async () => {
+      const terminal = { sendText: jest.fn() };
+      const execution = createExecution(['me@build\'s password: ', '\r\n', 'motd line\r\n', 'Password: ']);
+
+      await expect(watchSshPrompts(execution, terminal, server)).resolves.toBe('loggedIn');
+      expect(terminal.sendText).toHaveBeenCalledTimes(1);
+      expect(terminal.sendText).toHaveBeenCalledWith('secret', true);
+    });
+
+    test('登录后的 su 密码提示不发送保存的密码', async () => {
+      const terminal = { sendText: jest.fn() };
+      const execution = createExecution(['me@build\'s password: ', 'me@build:~$ ', 'su -\r\nPassword: ']);
+
+      await expect(watchSshPrompts(execution, terminal, server)).resolves.toBe('loggedIn');
+      expect(terminal.sendText).toHaveBeenCalledTimes(1);
+    });
+
+    test('密码错误后再次提示时不重复发送', async () => {
+      const terminal = { sendText: jest.fn() };
+      const execution = createExecution([
+        'me@build\'s password: ',
+        'Permission denied, please try again.\r\n',
+        'me@build\'s password: ',
+      ]);
+
+      await expect(watchSshPrompts(execution, terminal, server)).resolves.toBe('authFailed');
+      expect(terminal.sendText).toHaveBeenCalledTimes(1);
+      expect(vscode.window.showErrorMessage).toHaveBeenCalled();
+    });
+
+    test('没有保存密码时由用户输入', async () => {
+      const terminal = { sendText: jest.fn() };
+      const execution = createExecution(['me@build\'s password: ']);
+
+      await expect(watchSshPrompts(execution, terminal, { name: 'build' })).resolves.toBe('cancelled');
+      expect(terminal.sendText).not.toHaveBeenCalled();
+    });
+
+    test('输出结束时返回 ended', async () => {
+      const terminal = { sendText: jest.fn() };
+      await expect(watchSshPrompts(createExecution(['banner\r\n']), terminal, server)).resolves.toBe('ended');
+    });
+  });
+
+  describe('parseRemoteCwd', () => {
+    test('使用最后上报的目录', () => {
+      const text = '\x1b]7;file://host/home/me\x07$ cd src\n\x1b]7;file://host/home/me/src\x1b\\$ ';
+      expect(parseRemoteCwd(text)).toEqual({ cwd: '/home/me/src', rest: '' });
+    });
+
+    test('路径按原样使用，不进行 URL 解码', () => {
+      expect(parseRemoteCwd('\x1b]7;file://host/tmp/50%/a%20b\x07').cwd).toBe('/tmp/50%/a%20b');
+      expect(parseRemoteCwd('\x1b]7;file:///srv/my app\x07').cwd).toBe('/srv/my app');
+    });
+
+    test('保留被截断的转义序列，与下一段输出拼接后解析', () => {
+      const first = parseRemoteCwd('output\n\x1b]7;file://host/ho');
+      expect(first).toEqual({ cwd: null, rest: '\x1b]7;file://host/ho' });
+      expect(parseRemoteCwd(`${first.rest}me\x07`).cwd).toBe('/home');
+    });
+
+    test('没有上报目录时返回null', () => {
+      expect(parseRemoteCwd('plain output')).toEqual({ cwd: null, rest: '' });
+    });
+  });
+});
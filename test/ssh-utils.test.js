@@ -0,0 +1,188 @@
+/**
+ * ssh-utils 测试
+ */
+
+const {
+  validatePortForward,
+  buildPortForwardArgs,
+  describePortForward,
+  isSamePortForward,
+  resolveJumpHosts,
+  buildJumpHostArgs,
+  buildKeepAliveArgs,
+  getLocalShell,
+  quoteShellArg,
+  buildRemoteCdCommand,
+  buildScpArgs,
+} = require('../src/utils/ssh-utils');
+
+describe('端口转发参数', () => {
+  test('构建 -L/-R/-D 参数', () => {
+    expect(buildPortForwardArgs([
+      { type: 'local', localPort: 8080, remotePort: 80 },
+      { type: 'local', localPort: 5433, remoteHost: 'db.internal', remotePort: 5432, bindAddress: '127.0.0.1' },
+      { type: 'remote', remotePort: 9000, localPort: 3000 },
+      { type: 'dynamic', localPort: 1080 },
+    ])).toEqual([
+      '-L', '8080:localhost:80',
+      '-L', '127.0.0.1:5433:db.internal:5432',
+      '-R', '9000:localhost:3000',
+      '-D', '1080',
+    ]);
+  });
+
+  test('跳过无效的转发配置', () => {
+    expect(buildPortForwardArgs([
+      { type: 'local', localPort: 0, remotePort: 80 },
+      { type: 'tunnel', localPort: 8080 },
+      null,
+      { type: 'dynamic', localPort: '1080' },
+    ])).toEqual(['-D', '1080']);
+    expect(buildPortForwardArgs(undefined)).toEqual([]);
+  });
+
+  test('校验端口和类型', () => {
+    expect(validatePortForward({ type: 'local', localPort: 8080, remotePort: 80 })).toBeNull();
+    expect(validatePortForward({ type: 'dynamic', localPort: 1080 })).toBeNull();
+    expect(validatePortForward({ type: 'local', localPort: 8080 })).toBe('无效的远程端口: undefined');
+    expect(validatePortForward({ type: 'local', localPort: 70000, remotePort: 80 })).toBe('无效的本地端口: 70000');
+    expect(validatePortForward({ type: 'remote', remotePort: 1.5, localPort: 80 })).toBe('无效的远程端口: 1.5');
+    expect(validatePortForward({ type: 'remote', remotePort: 9000 })).toBe('无效的本地端口: undefined');
+    expect(validatePortForward({ type: 'socks' })).toBe('无效的端口转发类型: socks');
+    expect(validatePortForward(null)).toBe('无效的端口转发类型: 未指定');
+  });
+
+  test('按描述判断转发是否相同', () => {
+    expect(describePortForward({ type: 'remote', remotePort: 9000, localHost: 'web', localPort: 3000 }))
+      .toBe('-R 9000:web:3000');
+    expect(isSamePortForward(
+      { type: 'local', localPort: 8080, remotePort: 80 },
+      { type: 'local', localPort: '8080', remoteHost: 'localhost', remotePort: 80 }
+    )).toBe(true);
+    expect(isSamePortForward({ type: 'dynamic', localPort: 1080 }, { type: 'dynamic', localPort: 1081 })).toBe(false);
+  });
+});
+
+describe('quoteShellArg', () => {
+  test('根据平台选择本地shell', () => {
+    expect(getLocalShell('win32')).toEqual({ shellPath: 'cmd.exe', shellType: 'cmd' });
+    expect(getLocalShell('linux')).toEqual({ shellPath: 'bash', shellType: 'posix' });
+  });
+
+  test('POSIX shell 使用单引号', () => {
+    expect(quoteShellArg('user@host', 'posix')).toBe('user@host');
+    expect(quoteShellArg('a b', 'posix')).toBe('\'a b\'');
+    expect(quoteShellArg('it\'s', 'posix')).toBe('\'it\'\\\'\'s\'');
+    expect(quoteShellArg('', 'posix')).toBe('\'\'');
+  });
+
+  test('cmd.exe 中引号写作 ""，% 放在引号外转义', () => {
+    expect(quoteShellArg('C:\\keys\\id_rsa', 'cmd')).toBe('C:\\keys\\id_rsa');
+    expect(quoteShellArg('echo "a" & b', 'cmd')).toBe('"echo ""a"" & b"');
+    expect(quoteShellArg('%PATH%', 'cmd')).toBe('""^%"PATH"^%""');
+    expect(quoteShellArg('C:\\my dir\\', 'cmd')).toBe('"C:\\my dir\\\\"');
+    expect(quoteShellArg('a\\"b', 'cmd')).toBe('"a\\\\""b"');
+  });
+
+  test('PowerShell 使用单引号，单引号写作 \'\'', () => {
+    expect(quoteShellArg('$HOME x', 'powershell')).toBe('\'$HOME x\'');
+    expect(quoteShellArg('it\'s', 'powershell')).toBe('\'it\'\'s\'');
+  });
+
+  test('远程 cd 命令保留 ~ 展开', () => {
+    expect(buildRemoteCdCommand('~/my project')).toBe('cd ~/\'my project\'');
+    expect(buildRemoteCdCommand('~')).toBe('cd ~');
+    expect(buildRemoteCdCommand('/srv/app')).toBe('cd /srv/app');
+  });
+});
+
+describe('跳板机链', () => {
+  const serverList = [
+    { name: 'bastion', host: 'bastion.example.com', username: 'ops' },
+    { name: 'inner', host: '10.0.0.2', username: 'dev', port: 2222, jumpHosts: ['bastion'] },
+    { name: 'app', host: '10.0.1.5', username: 'dev', jumpHosts: ['inner', 'root@edge:2200'] },
+    { name: 'loopA', host: 'a', jumpHosts: ['loopB'] },
+    { name: 'loopB', host: 'b', jumpHosts: ['loopA'] },
+  ];
+
+  test('展开引用服务器自身的跳板机', () => {
+    expect(resolveJumpHosts(serverList[2], serverList)).toEqual([
+      { spec: 'ops@bastion.example.com', serverName: 'bastion' },
+      { spec: 'dev@10.0.0.2:2222', serverName: 'inner' },
+      { spec: 'root@edge:2200', serverName: null },
+    ]);
+    expect(buildJumpHostArgs(serverList[2], serverList))
+      .toEqual(['-J', 'ops@bastion.example.com,dev@10.0.0.2:2222,root@edge:2200']);
+  });
+
+  test('没有跳板机时返回空列表', () => {
+    expect(resolveJumpHosts(serverList[0], serverList)).toEqual([]);
+    expect(buildJumpHostArgs({ name: 'x', jumpHosts: [] }, serverList)).toEqual([]);
+  });
+
+  test('检测循环引用', () => {
+    expect(() => resolveJumpHosts(serverList[3], serverList))
+      .toThrow('跳板机配置存在循环引用: loopA -> loopB -> loopA');
+  });
+
+  test('同一跳板机在不同分支中引用不视为循环', () => {
+    const server = { name: 'multi', host: 'm', jumpHosts: ['bastion', 'inner'] };
+    expect(resolveJumpHosts(server, serverList).map(jumpHost => jumpHost.serverName))
+      .toEqual(['bastion', 'bastion', 'inner']);
+  });
+});
+
+describe('buildKeepAliveArgs', () => {
+  test('未指定时使用默认值', () => {
+    expect(buildKeepAliveArgs()).toEqual(['-o', 'ServerAliveInterval=30', '-o', 'ServerAliveCountMax=3']);
+  });
+
+  test('使用指定的间隔和次数', () => {
+    expect(buildKeepAliveArgs(15, 5)).toEqual(['-o', 'ServerAliveInterval=15', '-o', 'ServerAliveCountMax=5']);
+  });
+
+  test('间隔为0时不发送保活消息', () => {
+    expect(buildKeepAliveArgs(0, 5)).toEqual([]);
+  });
+
+  test('无效的值使用默认值', () => {
+    expect(buildKeepAliveArgs(-1, 0)).toEqual(['-o', 'ServerAliveInterval=30', '-o', 'ServerAliveCountMax=3']);
+    expect(buildKeepAliveArgs('10', 2.5)).toEqual(['-o', 'ServerAliveInterval=30', '-o', 'ServerAliveCountMax=3']);
+  });
+});
+
+describe('buildScpArgs', () => {
+  const serverList = [{ name: 'bastion', host: 'bastion.example.com', username: 'ops' }];
+  const server = {
+    name: 'app',
+    host: 'app.internal',
+    username: 'dev',
+    port: 2222,
+    privateKey: '/home/me/.ssh/id_app',
+    jumpHosts: ['bastion'],
+  };
+
+  test('使用 -o 传递端口和跳板机', () => {
+    expect(buildScpArgs(server, serverList, '/srv/my app/log.txt', '/tmp/log.txt', { serverAliveInterval: 0 })).toEqual([
+      '-q', '-o', 'BatchMode=yes',
+      '-o', 'Port=2222',
+      '-o', 'ProxyJump=ops@bastion.example.com',
+      '-i', '/home/me/.ssh/id_app',
+      'dev@app.internal:/srv/my app/log.txt', '/tmp/log.txt',
+    ]);
+  });
+
+  test('SFTP 协议按字面传递远程路径', () => {
+    const args = buildScpArgs({ name: 'a', host: 'h', username: 'u' }, [], '~/it\'s here', 'out');
+    expect(args.slice(-2)).toEqual(['u@h:~/it\'s here', 'out']);
+    expect(args).not.toContain('-O');
+  });
+
+  test('旧版协议传入 -O 并为远程shell引用路径', () => {
+    const args = buildScpArgs({ name: 'a', host: 'h', username: 'u' }, [], '~/it\'s here', 'out', { scpLegacyProtocol: true });
+    expect(args).toContain('-O');
+    expect(args.slice(-2)).toEqual(['u@h:~/\'it\'\\\'\'s here\'', 'out']);
+    expect(buildScpArgs({ name: 'a', host: 'h', username: 'u' }, [], '/var/log/syslog', 'out', { scpLegacyProtocol: true })
+      .slice(-2)).toEqual(['u@h:/var/log/syslog', 'out']);
+  });
+});
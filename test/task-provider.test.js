@@ -0,0 +1,161 @@
+/**
+ * task-provider 测试
+ */
+
+jest.mock('../src/adapters/config-loader', () => ({
+  getConfig: jest.fn(),
+  getServerList: jest.fn(),
+  selectServer: jest.fn(),
+}));
+jest.mock('../src/services/terminal-manager', () => ({
+  getActiveSSHTerminal: jest.fn(),
+}));
+jest.mock('../src/services/remote-runner', () => ({
+  runRemoteCommand: jest.fn(),
+}));
+jest.mock('../src/utils/path-utils', () => ({
+  // 只映射 /work 到 /srv
+  convertLocalPathToRemote: localPath => (localPath.startsWith('/work') ? localPath.replace(/^\/work/, '/srv') : null),
+}));
+
+const vscode = require('vscode');
+const configLoader = require('../src/adapters/config-loader');
+const terminalManager = require('../src/services/terminal-manager');
+const { runRemoteCommand } = require('../src/services/remote-runner');
+const taskProvider = require('../src/services/task-provider');
+
+/**
+ * 注册任务提供者并返回注册的提供者
+ * @returns {Object} - { provideTasks, resolveTask }
+ */
+function registerProvider() {
+  vscode.tasks.registerTaskProvider.mockClear();
+  taskProvider.register({ subscriptions: [] });
+  return vscode.tasks.registerTaskProvider.mock.calls[0][1];
+}
+
+/**
+ * 执行任务并收集输出和退出码
+ * @param {vscode.Task} task - 任务
+ * @returns {Promise<Object>} - { output, exitCode }
+ */
+async function runTask(task) {
+  const terminal = await task.execution.callback(task.definition);
+  const output = [];
+  terminal.onDidWrite(data => output.push(data));
+  const exitCode = new Promise(resolve => terminal.onDidClose(resolve));
+  await terminal.open();
+  return { output: output.join(''), exitCode: await exitCode, terminal };
+}
+
+describe('task-provider', () => {
+  const servers = [
+    { name: 'build', username: 'me', host: 'build.internal', customCommands: [{ name: '编译', command: 'make' }] },
+    { name: 'test', username: 'me', host: 'test.internal' },
+  ];
+  const folder = { uri: vscode.Uri.file('/work/app'), name: 'app' };
+
+  beforeEach(() => {
+    configLoader.getServerList.mockReturnValue(servers);
+    configLoader.getConfig.mockReturnValue({
+      customCommands: [{ name: '磁盘', command: 'df -h' }, { name: '无效' }],
+      workspaceCommands: [{ command: 'uptime' }],
+      serverList: servers,
+    });
+    configLoader.selectServer.mockReset();
+    terminalManager.getActiveSSHTerminal.mockReturnValue(null);
+    runRemoteCommand.mockReset().mockResolvedValue({ exitCode: 0, cancelled: false, sshFailed: false });
+  });
+
+  test('从自定义命令生成任务，服务器的命令绑定该服务器', () => {
+    const tasks = registerProvider().provideTasks();
+
+    expect(tasks.map(task => task.name)).toEqual(['磁盘', 'uptime', 'build: 编译']);
+    expect(tasks[0].definition).toEqual({ type: 'smartssh', command: 'df -h' });
+    expect(tasks[2].definition).toEqual({ type: 'smartssh', command: 'make', server: 'build' });
+    expect(tasks[2].source).toBe(taskProvider.TASK_TYPE);
+  });
+
+  test('没有 command 的 tasks.json 任务不解析', () => {
+    const provider = registerProvider();
+    expect(provider.resolveTask({ definition: { type: 'smartssh' }, scope: folder, name: 'x' })).toBeUndefined();
+  });
+
+  test('在任务指定的服务器和映射后的工作目录执行', async () => {
+    const task = registerProvider().resolveTask({
+      definition: { type: 'smartssh', server: 'build', command: 'make test', cwd: '${workspaceFolder}/sub' },
+      scope: folder,
+      name: 'test',
+    });
+
+    const { output, exitCode } = await runTask(task);
+
+    expect(runRemoteCommand).toHaveBeenCalledWith(servers[0], 'make test', expect.objectContaining({ cwd: '/srv/app/sub' }));
+    expect(output).toContain('> me@build.internal:/srv/app/sub $ make test');
+    expect(exitCode).toBe(0);
+  });
+
+  test('相对路径的 cwd 按工作区文件夹解析，超出映射范围时报错', async () => {
+    const provider = registerProvider();
+    const relative = provider.resolveTask({
+      definition: { type: 'smartssh', server: 'build', command: 'ls', cwd: 'lib' },
+      scope: folder,
+      name: 'ls',
+    });
+    await runTask(relative);
+    expect(runRemoteCommand.mock.calls[0][2].cwd).toBe('/srv/app/lib');
+
+    const outside = provider.resolveTask({
+      definition: { type: 'smartssh', server: 'build', command: 'ls', cwd: '/elsewhere' },
+      scope: folder,
+      name: 'ls',
+    });
+    const { output, exitCode } = await runTask(outside);
+    expect(output).toContain('工作目录 /elsewhere 不在服务器 build 的路径映射范围内');
+    expect(exitCode).toBe(1);
+  });
+
+  test('未指定服务器时使用当前SSH终端的服务器', async () => {
+    terminalManager.getActiveSSHTerminal.mockReturnValue({ metadata: { serverInfo: { name: 'test' } } });
+    const task = registerProvider().resolveTask({ definition: { type: 'smartssh', command: 'id' }, scope: folder, name: 'id' });
+
+    await runTask(task);
+
+    expect(runRemoteCommand.mock.calls[0][0]).toBe(servers[1]);
+    expect(configLoader.selectServer).not.toHaveBeenCalled();
+  });
+
+  test('找不到服务器、取消选择和连接失败时以非零退出码结束', async () => {
+    const provider = registerProvider();
+
+    const missing = provider.resolveTask({ definition: { type: 'smartssh', server: 'nope', command: 'id' }, scope: folder, name: 'id' });
+    expect(await runTask(missing)).toMatchObject({ exitCode: 1 });
+
+    configLoader.selectServer.mockResolvedValue(null);
+    const cancelled = provider.resolveTask({ definition: { type: 'smartssh', command: 'id' }, scope: folder, name: 'id' });
+    const cancelledResult = await runTask(cancelled);
+    expect(cancelledResult.output).toContain('未选择服务器');
+    expect(cancelledResult.exitCode).toBe(1);
+
+    runRemoteCommand.mockResolvedValue({ exitCode: 255, cancelled: false, sshFailed: true });
+    const failed = provider.resolveTask({ definition: { type: 'smartssh', server: 'build', command: 'id' }, scope: folder, name: 'id' });
+    const failedResult = await runTask(failed);
+    expect(failedResult.output).toContain('无法连接到服务器 build');
+    expect(failedResult.exitCode).toBe(255);
+  });
+
+  test('关闭终端时取消远程命令', async () => {
+    let token;
+    runRemoteCommand.mockImplementation((server, command, options) => {
+      token = options.token;
+      return Promise.resolve({ exitCode: null, cancelled: true, sshFailed: false });
+    });
+    const task = registerProvider().resolveTask({ definition: { type: 'smartssh', server: 'build', command: 'sleep 9' }, scope: folder, name: 's' });
+
+    const { terminal, exitCode } = await runTask(task);
+    terminal.close();
+
+    expect(token.isCancellationRequested).toBe(true);
+    expect(exitCode).toBe(1);
+  });
+});